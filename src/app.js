@@ -7,6 +7,8 @@ const alertRoutes = require("./routes/alertRoutes");
 const newsRoutes = require("./routes/newsRoutes");
 const watiRoutes = require("./routes/watiRoutes");
 const cronRoutes = require("./routes/cronRoutes");
+const userRoutes = require("./routes/userRoutes");
+const pushRoutes = require("./routes/pushRoutes");
 
 const app = express();
 
@@ -53,6 +55,8 @@ app.use("/alerts", alertRoutes);
 app.use("/news", newsRoutes);
 app.use("/wati", watiRoutes);
 app.use("/cron", cronRoutes);
+app.use("/users", userRoutes);
+app.use("/push", pushRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,52 @@
+class AuthConfig {
+  /**
+   * JWT_SECRET: Secret used to sign access/refresh tokens (required)
+   * ACCESS_TOKEN_TTL: Access token lifetime (jsonwebtoken format, e.g. "15m")
+   * REFRESH_TOKEN_TTL: Refresh token lifetime (e.g. "30d")
+   * OTP_LENGTH: Number of digits in the OTP code
+   * OTP_TTL_MINUTES: Minutes an OTP code stays valid
+   * OTP_MAX_ATTEMPTS: Wrong guesses allowed before the code is invalidated
+   * OTP_RESEND_SECONDS: Minimum gap between two OTP requests for a phone
+   * ADMIN_USER_IDS: Comma-separated user_ids allowed on admin routes
+   */
+  static getJwtSecret() {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error("JWT_SECRET is not set in environment variables");
+    }
+    return secret;
+  }
+
+  static get ACCESS_TOKEN_TTL() {
+    return process.env.ACCESS_TOKEN_TTL || "15m";
+  }
+
+  static get REFRESH_TOKEN_TTL() {
+    return process.env.REFRESH_TOKEN_TTL || "30d";
+  }
+
+  static get OTP_LENGTH() {
+    return parseInt(process.env.OTP_LENGTH) || 6;
+  }
+
+  static get OTP_TTL_MINUTES() {
+    return parseInt(process.env.OTP_TTL_MINUTES) || 5;
+  }
+
+  static get OTP_MAX_ATTEMPTS() {
+    return parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+  }
+
+  static get OTP_RESEND_SECONDS() {
+    return parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+  }
+
+  static get ADMIN_USER_IDS() {
+    return (process.env.ADMIN_USER_IDS || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+  }
+}
+
+module.exports = AuthConfig;
@@ -0,0 +1,34 @@
+class EmailConfig {
+  /**
+   * SMTP_HOST: SMTP server host (email channel is disabled when unset)
+   * SMTP_PORT: SMTP server port
+   * SMTP_SECURE: "true" to use TLS from the start (port 465)
+   * SMTP_USER / SMTP_PASS: SMTP credentials
+   * EMAIL_FROM: Sender address for alert emails
+   */
+  static get SMTP_HOST() {
+    return process.env.SMTP_HOST || "";
+  }
+
+  static get SMTP_PORT() {
+    return parseInt(process.env.SMTP_PORT) || 587;
+  }
+
+  static get SMTP_SECURE() {
+    return process.env.SMTP_SECURE === "true";
+  }
+
+  static get SMTP_USER() {
+    return process.env.SMTP_USER || "";
+  }
+
+  static get SMTP_PASS() {
+    return process.env.SMTP_PASS || "";
+  }
+
+  static get EMAIL_FROM() {
+    return process.env.EMAIL_FROM || "Naarad <alerts@naaradai.com>";
+  }
+}
+
+module.exports = EmailConfig;
@@ -0,0 +1,67 @@
+const GeminiConfig = require("./geminiConfig");
+
+/**
+ * LLM configuration
+ * Every LLM call names a task ("intent", "format", "rating", "gatekeep",
+ * "similarity", "image_query"); provider and model can be set per task.
+ */
+class LlmConfig {
+  /**
+   * LLM_PROVIDER: Default backend – "gemini" | "openai" | "stub"
+   * LLM_PROVIDER_<TASK>: Backend for one task (e.g. LLM_PROVIDER_RATING=stub)
+   * LLM_MODEL_<TASK>: Model for one task (e.g. LLM_MODEL_FORMAT=gemini-2.5-pro)
+   * OPENAI_BASE_URL: Base URL of an OpenAI-compatible API (…/v1)
+   * OPENAI_API_KEY: API key for the OpenAI-compatible API
+   * OPENAI_MODEL: Default model for the OpenAI-compatible API
+   * LLM_MAX_RETRIES: Retries for rate-limit / server / network errors
+   * LLM_RETRY_DELAY_MS: Base delay between retries (doubles each attempt)
+   */
+  static getProvider(task) {
+    const taskKey = `LLM_PROVIDER_${(task || "").toUpperCase()}`;
+    return (
+      process.env[taskKey] ||
+      process.env.LLM_PROVIDER ||
+      "gemini"
+    ).toLowerCase();
+  }
+
+  static getModel(task, provider) {
+    const taskModel = process.env[`LLM_MODEL_${(task || "").toUpperCase()}`];
+    if (taskModel) return taskModel;
+
+    if (provider === "openai") return LlmConfig.OPENAI_MODEL;
+    if (provider === "stub") return "stub";
+    return GeminiConfig.getModel();
+  }
+
+  static getOpenAiApiKey() {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error("OPENAI_API_KEY is not set in environment variables");
+    }
+    return apiKey;
+  }
+
+  static get OPENAI_BASE_URL() {
+    return (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(
+      /\/+$/,
+      ""
+    );
+  }
+
+  static get OPENAI_MODEL() {
+    return process.env.OPENAI_MODEL || "gpt-4o-mini";
+  }
+
+  static get MAX_RETRIES() {
+    const value = parseInt(process.env.LLM_MAX_RETRIES);
+    return isNaN(value) ? 2 : value;
+  }
+
+  static get RETRY_DELAY_MS() {
+    const value = parseInt(process.env.LLM_RETRY_DELAY_MS);
+    return isNaN(value) ? 1000 : value;
+  }
+}
+
+module.exports = LlmConfig;
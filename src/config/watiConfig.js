@@ -7,6 +7,12 @@ class WatiConfig {
    * CHANNEL_NUMBER: Optional channel number
    * WELCOME_TEMPLATE: Template name for welcome messages
    * WELCOME_BROADCAST: Broadcast name for welcome messages
+   * OTP_TEMPLATE: Template name for login OTP messages (param "1" = code)
+   * OTP_BROADCAST: Broadcast name for login OTP messages
+   * DIGEST_TEMPLATE: Template name for digest messages (same params as news alerts)
+   * DIGEST_BROADCAST: Broadcast name for digest messages
+   * TEMPLATE_PARAM_MAX_LENGTH: Max characters WhatsApp accepts in one template parameter
+   * WEBHOOK_SECRET: Optional shared secret expected as ?token= on webhook calls
    */
   static get ACCESS_TOKEN() {
     return process.env.WATI_ACCESS_TOKEN || "";
@@ -35,6 +41,30 @@ class WatiConfig {
   static get WELCOME_BROADCAST() {
     return process.env.WATI_WELCOME_BROADCAST || "welcome_051020251845";
   }
+
+  static get OTP_TEMPLATE() {
+    return process.env.WATI_OTP_TEMPLATE || "login_otp";
+  }
+
+  static get OTP_BROADCAST() {
+    return process.env.WATI_OTP_BROADCAST || "login_otp_broadcast";
+  }
+
+  static get DIGEST_TEMPLATE() {
+    return process.env.WATI_DIGEST_TEMPLATE || WatiConfig.TEMPLATE_NAME;
+  }
+
+  static get DIGEST_BROADCAST() {
+    return process.env.WATI_DIGEST_BROADCAST || WatiConfig.BROADCAST_NAME;
+  }
+
+  static get TEMPLATE_PARAM_MAX_LENGTH() {
+    return parseInt(process.env.WATI_TEMPLATE_PARAM_MAX_LENGTH) || 1024;
+  }
+
+  static get WEBHOOK_SECRET() {
+    return process.env.WATI_WEBHOOK_SECRET || "";
+  }
 }
 
 module.exports = WatiConfig;
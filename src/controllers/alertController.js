@@ -1,6 +1,62 @@
 const { v4: uuidv4 } = require("uuid");
 const Alert = require("../models/Alert");
+const User = require("../models/User");
+const AlertIntent = require("../models/AlertIntent");
 const cronService = require("../services/cronService");
+const { computeNextRunAt } = require("../services/alertScheduler");
+const { computeIntentFingerprint } = require("../services/intentFingerprint");
+const {
+  DEFAULT_THRESHOLD,
+  MIN_THRESHOLD,
+  MAX_THRESHOLD,
+  STEP,
+  getRatingThreshold,
+  getWindowStart,
+  collectThresholdStats,
+  evaluateRatingThreshold,
+} = require("../services/ratingThreshold");
+
+// Fields PUT /alerts/:user_id/:alert_id may change (schedule has its own
+// route)
+const UPDATABLE_ALERT_FIELDS = [
+  "main_category",
+  "sub_categories",
+  "followup_questions",
+  "custom_question",
+  "exclude_topics",
+  "news_source",
+  "delivery_mode",
+  "channels",
+  "is_active",
+];
+
+/**
+ * Normalize followup_questions from a request body: map 'answers' to
+ * 'options' if needed. Empty or missing input becomes null.
+ */
+const normalizeFollowupQuestions = (followup_questions) => {
+  if (!Array.isArray(followup_questions) || followup_questions.length === 0) {
+    return null;
+  }
+
+  return followup_questions.map((fq) => {
+    const normalized = {
+      question: fq.question || "",
+      selected_answer: fq.selected_answer || "",
+    };
+
+    // Map 'answers' to 'options' if 'answers' exists but 'options' doesn't
+    if (fq.answers && Array.isArray(fq.answers) && fq.answers.length > 0) {
+      normalized.options = fq.answers;
+    } else if (fq.options && Array.isArray(fq.options)) {
+      normalized.options = fq.options;
+    } else {
+      normalized.options = [];
+    }
+
+    return normalized;
+  });
+};
 
 /**
  * Create a new alert
@@ -14,6 +70,10 @@ const createAlert = async (req, res) => {
       sub_categories,
       followup_questions,
       custom_question,
+      exclude_topics,
+      news_source,
+      delivery_mode,
+      channels,
     } = req.body;
 
     // Check if this is the user's first alert
@@ -34,32 +94,23 @@ const createAlert = async (req, res) => {
       custom_question,
     });
 
-    // Normalize followup_questions: map 'answers' to 'options' if needed
-    let normalizedFollowupQuestions = null;
-    if (followup_questions && Array.isArray(followup_questions) && followup_questions.length > 0) {
-      console.log(`[ALERT][CREATE] Normalizing followup_questions...`);
-      normalizedFollowupQuestions = followup_questions.map((fq, idx) => {
-        const normalized = {
-          question: fq.question || "",
-          selected_answer: fq.selected_answer || "",
-        };
-        
-        // Map 'answers' to 'options' if 'answers' exists but 'options' doesn't
-        if (fq.answers && Array.isArray(fq.answers) && fq.answers.length > 0) {
-          normalized.options = fq.answers;
-          console.log(`[ALERT][CREATE] Mapped 'answers' to 'options' for question ${idx + 1}:`, fq.answers);
-        } else if (fq.options && Array.isArray(fq.options)) {
-          normalized.options = fq.options;
-        } else {
-          normalized.options = [];
-        }
-        
-        return normalized;
-      });
-      console.log(`[ALERT][CREATE] Normalized followup_questions:`, JSON.stringify(normalizedFollowupQuestions, null, 2));
+    const normalizedFollowupQuestions =
+      normalizeFollowupQuestions(followup_questions);
+    if (normalizedFollowupQuestions) {
+      console.log(
+        `[ALERT][CREATE] Normalized followup_questions:`,
+        JSON.stringify(normalizedFollowupQuestions, null, 2)
+      );
     }
 
-    // Create new alert with defaults
+    // Create new alert with defaults (daily, as alerts ran before schedules)
+    const schedule = {
+      frequency: "daily",
+      time: "09:00",
+      timezone: "Asia/Kolkata",
+      days: null,
+    };
+
     const newAlert = new Alert({
       alert_id: uuidv4(),
       user_id: user_id,
@@ -68,13 +119,13 @@ const createAlert = async (req, res) => {
         sub_categories && sub_categories.length > 0 ? sub_categories : null,
       followup_questions: normalizedFollowupQuestions,
       custom_question: custom_question || null,
+      exclude_topics: exclude_topics || undefined,
+      news_source: news_source || undefined,
+      delivery_mode: delivery_mode || undefined,
+      channels: channels && channels.length > 0 ? channels : undefined,
       is_active: true,
-      schedule: {
-        frequency: "realtime",
-        time: "09:00",
-        timezone: "Asia/Kolkata",
-        days: null,
-      },
+      schedule: schedule,
+      next_run_at: computeNextRunAt(schedule),
     });
 
     const savedAlert = await newAlert.save();
@@ -95,18 +146,27 @@ const createAlert = async (req, res) => {
             sub_categories: savedAlert.sub_categories,
             followup_questions: savedAlert.followup_questions,
             custom_question: savedAlert.custom_question,
+            exclude_topics: savedAlert.exclude_topics,
+            schedule: savedAlert.schedule,
+            news_source: savedAlert.news_source,
+            delivery_mode: savedAlert.delivery_mode,
+            channels: savedAlert.channels,
           };
 
           console.log(
             `[ALERT][CREATE][IMMEDIATE] Starting immediate processing for alert ${savedAlert.alert_id}`
           );
 
-          const result = await cronService.processAlert(alertForProcessing);
+          const result = await cronService.processSingleAlert(
+            alertForProcessing,
+            "first-alert"
+          );
 
           console.log(
             `[ALERT][CREATE][IMMEDIATE] Immediate processing completed:`,
             {
               alert_id: savedAlert.alert_id,
+              run_id: result.run_id,
               status: result.status,
               reason: result.reason || "N/A",
             }
@@ -135,6 +195,10 @@ const createAlert = async (req, res) => {
         sub_categories: savedAlert.sub_categories,
         followup_questions: savedAlert.followup_questions,
         custom_question: savedAlert.custom_question,
+        exclude_topics: savedAlert.exclude_topics,
+        news_source: savedAlert.news_source,
+        delivery_mode: savedAlert.delivery_mode,
+        channels: savedAlert.channels,
         is_active: savedAlert.is_active,
       },
       message: isFirstAlert
@@ -151,6 +215,71 @@ const createAlert = async (req, res) => {
   }
 };
 
+/**
+ * Preview what an alert would produce without saving it
+ * POST /alerts/preview
+ * Body: same as createAlert. Runs intent parsing, news fetch, rating and
+ * formatting; nothing is persisted and no message is sent.
+ */
+const previewAlert = async (req, res) => {
+  try {
+    const {
+      user_id,
+      main_category,
+      sub_categories,
+      followup_questions,
+      custom_question,
+      exclude_topics,
+      news_source,
+      delivery_mode,
+      channels,
+    } = req.body;
+
+    // Built like createAlert for schema defaults, but never saved
+    const alert = new Alert({
+      alert_id: `preview-${uuidv4()}`,
+      user_id: user_id,
+      main_category: main_category,
+      sub_categories:
+        sub_categories && sub_categories.length > 0 ? sub_categories : null,
+      followup_questions: normalizeFollowupQuestions(followup_questions),
+      custom_question: custom_question || null,
+      exclude_topics: exclude_topics || undefined,
+      news_source: news_source || undefined,
+      delivery_mode: delivery_mode || undefined,
+      channels: channels && channels.length > 0 ? channels : undefined,
+      is_active: true,
+    });
+
+    const validationError = alert.validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        error: validationError.message,
+      });
+    }
+
+    const user = await User.findOne({ user_id: user_id });
+    const preview = await cronService.previewAlert(alert, user);
+
+    return res.status(200).json({
+      success: true,
+      message: preview.message
+        ? "Preview generated (nothing was saved or sent)"
+        : "No articles would be sent for this alert right now",
+      data: preview,
+    });
+  } catch (error) {
+    console.error("Preview alert error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Get all alerts for a user
  * GET /alerts/:user_id
@@ -170,6 +299,10 @@ const getAlertsByUser = async (req, res) => {
       sub_categories: alert.sub_categories,
       followup_questions: alert.followup_questions,
       custom_question: alert.custom_question,
+      exclude_topics: alert.exclude_topics,
+      news_source: alert.news_source,
+      delivery_mode: alert.delivery_mode,
+      channels: alert.channels,
       is_active: alert.is_active,
     }));
 
@@ -204,6 +337,7 @@ const getScheduledAlerts = async (req, res) => {
       sub_categories: alert.sub_categories,
       followup_questions: alert.followup_questions,
       custom_question: alert.custom_question,
+      exclude_topics: alert.exclude_topics,
       is_active: alert.is_active,
     }));
 
@@ -228,7 +362,11 @@ const getScheduledAlerts = async (req, res) => {
 const updateAlertById = async (req, res) => {
   try {
     const { user_id, alert_id } = req.params;
-    const updateData = req.body;
+    // Owner, ids and schedule can't be changed here
+    const updateData = UPDATABLE_ALERT_FIELDS.reduce((acc, field) => {
+      if (req.body[field] !== undefined) acc[field] = req.body[field];
+      return acc;
+    }, {});
 
     // Find alert
     const alert = await Alert.findOne({
@@ -260,25 +398,10 @@ const updateAlertById = async (req, res) => {
         updateData.followup_questions.length === 0
       ) {
         updateData.followup_questions = null;
-      } else if (Array.isArray(updateData.followup_questions) && updateData.followup_questions.length > 0) {
-        // Normalize followup_questions: map 'answers' to 'options' if needed
-        updateData.followup_questions = updateData.followup_questions.map((fq) => {
-          const normalized = {
-            question: fq.question || "",
-            selected_answer: fq.selected_answer || "",
-          };
-          
-          // Map 'answers' to 'options' if 'answers' exists but 'options' doesn't
-          if (fq.answers && Array.isArray(fq.answers) && fq.answers.length > 0) {
-            normalized.options = fq.answers;
-          } else if (fq.options && Array.isArray(fq.options)) {
-            normalized.options = fq.options;
-          } else {
-            normalized.options = [];
-          }
-          
-          return normalized;
-        });
+      } else {
+        updateData.followup_questions = normalizeFollowupQuestions(
+          updateData.followup_questions
+        );
       }
     }
 
@@ -289,6 +412,16 @@ const updateAlertById = async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Content changed: the stored intent is re-parsed on next processing
+    const intentStale =
+      computeIntentFingerprint(alert) !== computeIntentFingerprint(updatedAlert);
+    if (intentStale) {
+      await AlertIntent.updateOne(
+        { alert_id: alert_id, user_id: user_id },
+        { is_stale: true }
+      );
+    }
+
     return res.status(200).json({
       success: true,
       data: {
@@ -298,7 +431,12 @@ const updateAlertById = async (req, res) => {
         sub_categories: updatedAlert.sub_categories,
         followup_questions: updatedAlert.followup_questions,
         custom_question: updatedAlert.custom_question,
+        exclude_topics: updatedAlert.exclude_topics,
+        news_source: updatedAlert.news_source,
+        delivery_mode: updatedAlert.delivery_mode,
+        channels: updatedAlert.channels,
         is_active: updatedAlert.is_active,
+        intent_stale: intentStale,
       },
     });
   } catch (error) {
@@ -346,6 +484,7 @@ const pausedAlertById = async (req, res) => {
         sub_categories: updatedAlert.sub_categories,
         followup_questions: updatedAlert.followup_questions,
         custom_question: updatedAlert.custom_question,
+        exclude_topics: updatedAlert.exclude_topics,
         is_active: updatedAlert.is_active,
       },
     });
@@ -379,9 +518,10 @@ const activateAlertById = async (req, res) => {
       });
     }
 
+    // Resume from the next slot in the schedule, not a stale past due time
     const updatedAlert = await Alert.findOneAndUpdate(
       { alert_id: alert_id, user_id: user_id },
-      { is_active: true },
+      { is_active: true, next_run_at: computeNextRunAt(alert.schedule) },
       { new: true }
     );
 
@@ -394,6 +534,7 @@ const activateAlertById = async (req, res) => {
         sub_categories: updatedAlert.sub_categories,
         followup_questions: updatedAlert.followup_questions,
         custom_question: updatedAlert.custom_question,
+        exclude_topics: updatedAlert.exclude_topics,
         is_active: updatedAlert.is_active,
       },
     });
@@ -438,6 +579,21 @@ const updateAlertSchedule = async (req, res) => {
         Array.isArray(days) && days.length > 0 ? days : null;
     }
 
+    // Recompute next due time from the merged schedule
+    const currentSchedule = alert.schedule?.toObject
+      ? alert.schedule.toObject()
+      : alert.schedule || {};
+    const mergedSchedule = {
+      ...currentSchedule,
+      ...(frequency && { frequency }),
+      ...(time && { time }),
+      ...(timezone && { timezone }),
+      ...(days !== undefined && {
+        days: scheduleUpdate["schedule.days"],
+      }),
+    };
+    scheduleUpdate.next_run_at = computeNextRunAt(mergedSchedule);
+
     const updatedAlert = await Alert.findOneAndUpdate(
       { alert_id: alert_id, user_id: user_id },
       scheduleUpdate,
@@ -453,7 +609,10 @@ const updateAlertSchedule = async (req, res) => {
         sub_categories: updatedAlert.sub_categories,
         followup_questions: updatedAlert.followup_questions,
         custom_question: updatedAlert.custom_question,
+        exclude_topics: updatedAlert.exclude_topics,
         is_active: updatedAlert.is_active,
+        schedule: updatedAlert.schedule,
+        next_run_at: updatedAlert.next_run_at,
       },
     });
   } catch (error) {
@@ -466,6 +625,55 @@ const updateAlertSchedule = async (req, res) => {
   }
 };
 
+/**
+ * Get the alert's current rating threshold and recent rating distribution
+ * GET /alerts/:user_id/:alert_id/rating-threshold
+ * Stats cover the window the next adjustment will be based on.
+ */
+const getAlertRatingThreshold = async (req, res) => {
+  try {
+    const { user_id, alert_id } = req.params;
+
+    const alert = await Alert.findOne({ alert_id, user_id }).lean();
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert not found",
+      });
+    }
+
+    const value = getRatingThreshold(alert);
+    const stats = await collectThresholdStats(alert, getWindowStart(alert));
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        alert_id,
+        threshold: {
+          value,
+          is_default: typeof alert.rating_threshold?.value !== "number",
+          default: DEFAULT_THRESHOLD,
+          min: MIN_THRESHOLD,
+          max: MAX_THRESHOLD,
+          step: STEP,
+          adjusted_at: alert.rating_threshold?.adjusted_at || null,
+          history: alert.rating_threshold?.history || [],
+        },
+        stats,
+        // What the next run would do with these stats
+        next_adjustment: evaluateRatingThreshold(value, stats),
+      },
+    });
+  } catch (error) {
+    console.error("Get alert rating threshold error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Delete alert
  * DELETE /alerts/:user_id/:alert_id
@@ -507,11 +715,13 @@ const deleteAlertById = async (req, res) => {
 
 module.exports = {
   createAlert,
+  previewAlert,
   getAlertsByUser,
   getScheduledAlerts,
   updateAlertById,
   pausedAlertById,
   activateAlertById,
   updateAlertSchedule,
+  getAlertRatingThreshold,
   deleteAlertById,
 };
@@ -1,13 +1,13 @@
 const { v4: uuidv4 } = require("uuid");
 const User = require("../models/User");
 const WatiNotificationService = require("../services/watiNotificationService");
+const AuthService = require("../services/authService");
 
 /**
- * Login or Register user
- * Checks if user exists by country_code + phone_number
- * If existing: Updates email if changed, returns existing user_id
- * If new: Creates new user with UUID, returns new user_id
- * TODO: WATI welcome message integration to be added later
+ * Login step 1: request OTP
+ * Sends a one-time code to the phone number via WATI (WhatsApp).
+ * The user is only created/returned once the code is verified.
+ * POST /auth/login
  */
 const login = async (req, res) => {
   try {
@@ -21,6 +21,91 @@ const login = async (req, res) => {
       });
     }
 
+    const result = await AuthService.createOtp(
+      country_code,
+      phone_number,
+      email
+    );
+
+    if (result.error === "resend_too_soon") {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${result.retry_after}s before requesting a new code`,
+        retry_after: result.retry_after,
+      });
+    }
+
+    const watiResult = await WatiNotificationService.sendOtpMessage(
+      country_code,
+      phone_number,
+      result.code
+    );
+
+    if (!watiResult.message_sent) {
+      if (process.env.NODE_ENV === "development") {
+        console.log(
+          `[AUTH][OTP] WATI unavailable (${watiResult.reason}), dev code for ${country_code}${phone_number}: ${result.code}`
+        );
+      } else {
+        return res.status(502).json({
+          success: false,
+          message: "Failed to send verification code",
+        });
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Verification code sent via WhatsApp",
+      data: {
+        country_code,
+        phone_number,
+        expires_at: result.otp.expires_at,
+      },
+    });
+  } catch (error) {
+    console.error("Login error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Login step 2: verify OTP
+ * Checks if user exists by country_code + phone_number
+ * If existing: Updates email if changed, returns existing user_id
+ * If new: Creates new user with UUID, sends WATI welcome message
+ * Returns access/refresh tokens in both cases
+ * POST /auth/verify-otp
+ */
+const verifyOtp = async (req, res) => {
+  try {
+    const { country_code, phone_number, code } = req.body;
+
+    const verification = await AuthService.verifyOtp(
+      country_code,
+      phone_number,
+      code
+    );
+
+    if (!verification.valid) {
+      const messages = {
+        otp_expired: "Verification code expired or not found",
+        too_many_attempts: "Too many attempts. Please request a new code",
+        invalid_code: "Invalid verification code",
+      };
+      return res.status(401).json({
+        success: false,
+        message: messages[verification.reason],
+        reason: verification.reason,
+      });
+    }
+
+    const email = verification.otp.email;
+
     // Find existing user by country_code + phone_number
     const existingUser = await User.findByPhone(country_code, phone_number);
 
@@ -44,6 +129,7 @@ const login = async (req, res) => {
           country_code: updatedUser.country_code,
           phone_number: updatedUser.phone_number,
           email: updatedUser.email,
+          tokens: AuthService.issueTokens(updatedUser),
         },
       });
     }
@@ -71,10 +157,11 @@ const login = async (req, res) => {
         country_code: savedUser.country_code,
         phone_number: savedUser.phone_number,
         email: savedUser.email,
+        tokens: AuthService.issueTokens(savedUser),
       },
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("Verify OTP error:", error);
 
     // Handle duplicate key error (if unique constraint is violated)
     if (error.code === 11000) {
@@ -92,6 +179,49 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /auth/refresh
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const payload = AuthService.verifyToken(refresh_token, "refresh");
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    const user = await User.findOne({ user_id: payload.sub });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user_id: user.user_id,
+        tokens: AuthService.issueTokens(user),
+      },
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 module.exports = {
   login,
+  verifyOtp,
+  refreshToken,
 };
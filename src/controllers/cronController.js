@@ -1,4 +1,8 @@
 const cronService = require("../services/cronService");
+const CronRun = require("../models/CronRun");
+const CronRunAlert = require("../models/CronRunAlert");
+const Alert = require("../models/Alert");
+const DeliveryControl = require("../services/deliveryControl");
 
 /**
  * Manually trigger cron job
@@ -13,8 +17,16 @@ const triggerCronJob = async (req, res) => {
       });
     }
 
+    const holder = await cronService.getRunLeaseHolder();
+    if (holder) {
+      return res.status(409).json({
+        success: false,
+        message: `Cron job is already running on ${holder.owner}`,
+      });
+    }
+
     // Run in background (don't wait for completion)
-    cronService.processAllAlerts().catch((error) => {
+    cronService.processAllAlerts("manual").catch((error) => {
       console.error("[CRON][MANUAL] Error in manual trigger:", error);
     });
 
@@ -32,6 +44,82 @@ const triggerCronJob = async (req, res) => {
   }
 };
 
+// Body flags may come as JSON booleans or form strings
+const isTrue = (value) => value === true || value === "true";
+
+/**
+ * Re-run one alert, or all active alerts of one user, now
+ * POST /cron/trigger/alert/:alert_id, POST /cron/trigger/user/:user_id
+ * Body: { force_reparse?, bypass_dedup?, wait? }
+ * With wait the results (including each alert's steps) are returned;
+ * otherwise the run continues in the background and its run_id is returned
+ * for GET /cron/runs/:id.
+ */
+const triggerOnDemand = (scope) => async (req, res) => {
+  try {
+    const forceReparse = isTrue(req.body?.force_reparse);
+    const bypassDedup = isTrue(req.body?.bypass_dedup);
+    const wait = isTrue(req.body?.wait);
+
+    const target =
+      scope === "alert"
+        ? { alert_id: req.params.alert_id }
+        : { user_id: req.params.user_id };
+
+    const alerts = await Alert.find({ ...target, is_active: true })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (alerts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message:
+          scope === "alert"
+            ? "Active alert not found"
+            : "No active alerts found for user",
+      });
+    }
+
+    const { run_id, done } = await cronService.startOnDemandRun(alerts, {
+      target,
+      forceReparse,
+      bypassDedup,
+    });
+
+    if (!wait) {
+      done.catch((error) => {
+        console.error("[CRON][ON-DEMAND] Error in on-demand run:", error);
+      });
+
+      return res.status(202).json({
+        success: true,
+        message: `Processing ${alerts.length} alert(s) in the background`,
+        data: { run_id, alerts: alerts.length },
+      });
+    }
+
+    const results = await done;
+
+    return res.status(results.success ? 200 : 500).json({
+      success: results.success,
+      message: results.success
+        ? "On-demand run completed"
+        : "On-demand run failed",
+      data: results,
+    });
+  } catch (error) {
+    console.error("Trigger on-demand run error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+const triggerAlertRun = triggerOnDemand("alert");
+const triggerUserRun = triggerOnDemand("user");
+
 /**
  * Get cron job status
  * GET /cron/status
@@ -39,9 +127,25 @@ const triggerCronJob = async (req, res) => {
 const getCronStatus = async (req, res) => {
   try {
     const status = cronService.getStatus();
+
+    // Shared state lives in the database; status stays available without it
+    const [runLease, activeRun, delivery] = await Promise.all([
+      cronService.getRunLeaseHolder().catch(() => null),
+      cronService.getActiveRun().catch(() => null),
+      DeliveryControl.getState().catch(() => null),
+    ]);
+
     return res.status(200).json({
       success: true,
-      data: status,
+      data: {
+        ...status,
+        // Run lease across all instances (null when no run is in progress)
+        runLease,
+        // Run in progress on any instance, with cancel_requested_at
+        activeRun,
+        // Kill-switch for WATI sends: { paused, reason, changed_at }
+        delivery,
+      },
     });
   } catch (error) {
     console.error("Get cron status error:", error);
@@ -53,7 +157,158 @@ const getCronStatus = async (req, res) => {
   }
 };
 
+/**
+ * Stop a run in progress before its next alert
+ * POST /cron/cancel
+ * Body: { run_id? } - defaults to the scheduled run, else an on-demand one
+ */
+const cancelCronRun = async (req, res) => {
+  try {
+    const runId =
+      typeof req.body?.run_id === "string" ? req.body.run_id.trim() : "";
+    const run = await cronService.requestCancel(runId || null);
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: "No cron run in progress",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Cancellation requested; the run stops before its next alert",
+      data: run,
+    });
+  } catch (error) {
+    console.error("Cancel cron run error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Turn the WATI delivery kill-switch on or off
+ * POST /cron/delivery/pause, POST /cron/delivery/resume
+ * Body: { reason? }
+ */
+const setDeliveryPaused = (paused) => async (req, res) => {
+  try {
+    const reason =
+      typeof req.body?.reason === "string"
+        ? req.body.reason.trim().substring(0, 200) || null
+        : null;
+
+    const delivery = await DeliveryControl.setPaused(paused, reason);
+
+    return res.status(200).json({
+      success: true,
+      message: paused ? "WATI delivery paused" : "WATI delivery resumed",
+      data: delivery,
+    });
+  } catch (error) {
+    console.error("Set delivery paused error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+const pauseDelivery = setDeliveryPaused(true);
+const resumeDelivery = setDeliveryPaused(false);
+
+/**
+ * List past pipeline runs (without per-alert details)
+ * GET /cron/runs
+ */
+const getCronRuns = async (req, res) => {
+  try {
+    const { trigger, status, limit = 20, skip = 0 } = req.query;
+
+    const query = {};
+    if (trigger) {
+      query.trigger = trigger;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const runs = await CronRun.find(query)
+      .sort({ started_at: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(skip));
+
+    const total = await CronRun.countDocuments(query);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        runs,
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+      },
+    });
+  } catch (error) {
+    console.error("Get cron runs error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get one pipeline run with per-alert step outcomes
+ * GET /cron/runs/:id
+ */
+const getCronRunById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const run = await CronRun.findOne({ run_id: id }).lean();
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: "Run not found",
+      });
+    }
+
+    const alerts = await CronRunAlert.find({ run_id: id })
+      .select("-_id -__v -run_id")
+      .sort({ started_at: 1 })
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      // Runs recorded before per-alert entries moved out keep them inline
+      data: { ...run, alerts: alerts.length > 0 ? alerts : run.alerts || [] },
+    });
+  } catch (error) {
+    console.error("Get cron run error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 module.exports = {
   triggerCronJob,
+  triggerAlertRun,
+  triggerUserRun,
   getCronStatus,
+  cancelCronRun,
+  pauseDelivery,
+  resumeDelivery,
+  getCronRuns,
+  getCronRunById,
 };
@@ -0,0 +1,109 @@
+const Alert = require("../models/Alert");
+const ArticleFeedback = require("../models/ArticleFeedback");
+const WatiDispatch = require("../models/WatiDispatch");
+const FeedbackService = require("../services/feedbackService");
+
+/**
+ * Rate a delivered message (thumbs up/down)
+ * POST /wati/user/:user_id/dispatches/:dispatch_id/feedback
+ * Body: { feedback: "up" | "down", comment? }
+ * Voting again replaces the previous vote.
+ */
+const submitDispatchFeedback = async (req, res) => {
+  try {
+    const { user_id, dispatch_id } = req.params;
+    const { feedback, comment } = req.body;
+
+    const dispatch = await WatiDispatch.findOne({
+      _id: dispatch_id,
+      user_id,
+    });
+
+    if (!dispatch) {
+      return res.status(404).json({
+        success: false,
+        message: "Dispatch not found",
+      });
+    }
+
+    if (!dispatch.message_sent) {
+      return res.status(409).json({
+        success: false,
+        message: "Only delivered messages can be rated",
+      });
+    }
+
+    const saved = await FeedbackService.recordFeedback(dispatch, {
+      value: feedback,
+      source: "api",
+      comment: comment || null,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Feedback recorded",
+      data: saved,
+    });
+  } catch (error) {
+    console.error("Submit dispatch feedback error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * List feedback for an alert with vote counts
+ * GET /alerts/:user_id/:alert_id/feedback
+ */
+const getAlertFeedback = async (req, res) => {
+  try {
+    const { user_id, alert_id } = req.params;
+    const { limit = 20, skip = 0 } = req.query;
+
+    const alert = await Alert.exists({ alert_id, user_id });
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert not found",
+      });
+    }
+
+    const [feedback, counts] = await Promise.all([
+      ArticleFeedback.find({ user_id, alert_id })
+        .sort({ updatedAt: -1 })
+        .skip(parseInt(skip))
+        .limit(parseInt(limit))
+        .lean(),
+      FeedbackService.getFeedbackCounts(user_id, alert_id),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        alert_id,
+        counts,
+        feedback,
+        pagination: {
+          total: counts.up + counts.down,
+          limit: parseInt(limit),
+          skip: parseInt(skip),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get alert feedback error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  submitDispatchFeedback,
+  getAlertFeedback,
+};
@@ -1,6 +1,161 @@
 const LLMIntentParser = require("../services/llmIntentParser");
 const AlertIntent = require("../models/AlertIntent");
+const AlertIntentVersion = require("../models/AlertIntentVersion");
 const Alert = require("../models/Alert");
+const {
+  computeIntentFingerprint,
+  isIntentStale,
+} = require("../services/intentFingerprint");
+
+// Parsed fields kept on every revision (and compared by the diff view)
+const INTENT_FIELDS = [
+  "topic",
+  "category",
+  "subcategory",
+  "custom_question",
+  "followup_questions",
+  "exclude_topics",
+  "intent_summary",
+  "timeframe",
+  "perplexity_query",
+  "perplexity_prompt",
+  "requires_live_data",
+];
+
+const DIFF_FIELDS = ["perplexity_query", "intent_summary", "timeframe"];
+
+const pickIntentFields = (source) =>
+  INTENT_FIELDS.reduce((acc, field) => {
+    if (source[field] !== undefined) acc[field] = source[field];
+    return acc;
+  }, {});
+
+/**
+ * Which LLM produced an intent
+ */
+const parserMeta = (parser, intent) => ({
+  provider: parser.llm?.provider || null,
+  model: parser.llm?.model || null,
+  fallback: !!intent.fallback,
+});
+
+// Attempts before giving up when concurrent parses take the same version
+const MAX_VERSION_ATTEMPTS = 5;
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+/**
+ * Next version number for an alert's intent: one past both the current
+ * intent and the latest stored revision. The revision is written first and
+ * the unique (user_id, alert_id, version) index rejects a number a
+ * concurrent parse took, so the number is only used once it is stored.
+ */
+const nextIntentVersion = async (alert) => {
+  const filter = { alert_id: alert.alert_id, user_id: alert.user_id };
+
+  const [previous, latest] = await Promise.all([
+    AlertIntent.findOne(filter),
+    AlertIntentVersion.findOne(filter)
+      .sort({ version: -1 })
+      .select("version")
+      .lean(),
+  ]);
+
+  const current = Math.max(
+    previous ? previous.version || 1 : 0,
+    latest?.version || 0
+  );
+  return { previous, version: current + 1 };
+};
+
+/**
+ * Store a freshly parsed intent for an alert as a new revision.
+ * Every parse is kept in AlertIntentVersion with the parser version, model
+ * and alert fingerprint; AlertIntent always holds the latest one.
+ */
+const saveIntentVersion = async (
+  alert,
+  intentData,
+  meta = {},
+  attempt = 1
+) => {
+  const { previous, version } = await nextIntentVersion(alert);
+  const now = new Date();
+
+  if (previous) {
+    // Intents parsed before revisions existed get backfilled here
+    await AlertIntentVersion.updateOne(
+      {
+        alert_id: alert.alert_id,
+        user_id: alert.user_id,
+        version: previous.version || 1,
+      },
+      {
+        $setOnInsert: {
+          source_fingerprint: previous.source_fingerprint || null,
+          parsing_version: previous.parsing_version || null,
+          intent: pickIntentFields(previous.toObject()),
+          parsed_at: previous.updatedAt || previous.createdAt || null,
+        },
+        $set: { superseded_at: now },
+      },
+      { upsert: true }
+    );
+  }
+
+  const sourceFingerprint = computeIntentFingerprint(alert);
+
+  try {
+    await AlertIntentVersion.create({
+      alert_id: alert.alert_id,
+      user_id: alert.user_id,
+      version,
+      source_fingerprint: sourceFingerprint,
+      parsing_version: intentData.parsing_version || null,
+      provider: meta.provider || null,
+      model: meta.model || null,
+      fallback: !!meta.fallback,
+      intent: pickIntentFields(intentData),
+      parsed_at: now,
+    });
+  } catch (error) {
+    if (isDuplicateKeyError(error) && attempt < MAX_VERSION_ATTEMPTS) {
+      return saveIntentVersion(alert, intentData, meta, attempt + 1);
+    }
+    throw error;
+  }
+
+  const update = {
+    ...intentData,
+    version,
+    source_fingerprint: sourceFingerprint,
+    is_stale: false,
+  };
+
+  if (!previous) {
+    return AlertIntent.findOneAndUpdate(
+      { alert_id: alert.alert_id, user_id: alert.user_id },
+      update,
+      { upsert: true, new: true }
+    );
+  }
+
+  // The revision is stored; the intent only moves forward, so a slower,
+  // older parse doesn't overwrite a newer one
+  const saved = await AlertIntent.findOneAndUpdate(
+    {
+      alert_id: alert.alert_id,
+      user_id: alert.user_id,
+      version: { $not: { $gte: version } },
+    },
+    update,
+    { new: true }
+  );
+  return (
+    saved ||
+    AlertIntent.findOne({ alert_id: alert.alert_id, user_id: alert.user_id })
+  );
+};
 
 /**
  * Parse alert intent from text or user_id + alert_id
@@ -14,6 +169,7 @@ const parseAlertIntent = async (req, res) => {
     const alert_id = req.body.alert_id || req.query.alert_id;
 
     let alertData;
+    let alert;
 
     // NEW: parse all alerts for a user if only user_id is provided
     const shouldParseAllAlerts = user_id && !alert_id && !alert_text;
@@ -60,7 +216,7 @@ const parseAlertIntent = async (req, res) => {
 
     // If user_id and alert_id provided, fetch alert from database
     if (user_id && alert_id) {
-      const alert = await Alert.findOne({
+      alert = await Alert.findOne({
         alert_id: alert_id,
         user_id: user_id,
       });
@@ -79,6 +235,7 @@ const parseAlertIntent = async (req, res) => {
         subcategories: alert.sub_categories || [],
         followup_questions: alert.followup_questions || [],
         custom_question: alert.custom_question || "",
+        exclude_topics: alert.exclude_topics || [],
         alert_id: alert.alert_id,
       };
     } else if (alert_text) {
@@ -117,6 +274,7 @@ const parseAlertIntent = async (req, res) => {
         subcategory: intent.subcategory || [],
         custom_question: intent.custom_question || null,
         followup_questions: intent.followup_questions || [],
+        exclude_topics: intent.exclude_topics || [],
         intent_summary: intent.intent_summary,
         timeframe: intent.timeframe,
         perplexity_query: intent.perplexity_query,
@@ -125,11 +283,11 @@ const parseAlertIntent = async (req, res) => {
         parsing_version: "llm_intent_v2",
       };
 
-      // Upsert (update if exists, create if not)
-      const savedIntent = await AlertIntent.findOneAndUpdate(
-        { alert_id: alert_id, user_id: user_id },
+      // Archive the previous version and store the new one
+      const savedIntent = await saveIntentVersion(
+        alert,
         intentData,
-        { upsert: true, new: true }
+        parserMeta(parser, intent)
       );
 
       return res.status(200).json({
@@ -194,6 +352,7 @@ const processUserAlertsAndStoreIntent = async (req, res) => {
           subcategories: alert.sub_categories || [],
           followup_questions: alert.followup_questions || [],
           custom_question: alert.custom_question || "",
+          exclude_topics: alert.exclude_topics || [],
           alert_id: alert.alert_id,
         };
 
@@ -209,6 +368,7 @@ const processUserAlertsAndStoreIntent = async (req, res) => {
           subcategory: intent.subcategory || [],
           custom_question: intent.custom_question || null,
           followup_questions: intent.followup_questions || [],
+          exclude_topics: intent.exclude_topics || [],
           intent_summary: intent.intent_summary,
           timeframe: intent.timeframe,
           perplexity_query: intent.perplexity_query,
@@ -217,11 +377,11 @@ const processUserAlertsAndStoreIntent = async (req, res) => {
           parsing_version: "llm_intent_v2",
         };
 
-        // Upsert (update if exists, create if not)
-        const savedIntent = await AlertIntent.findOneAndUpdate(
-          { alert_id: alert.alert_id, user_id: user_id },
+        // Archive the previous version and store the new one
+        const savedIntent = await saveIntentVersion(
+          alert,
           intentData,
-          { upsert: true, new: true }
+          parserMeta(parser, intent)
         );
 
         results.push({
@@ -255,60 +415,65 @@ const processUserAlertsAndStoreIntent = async (req, res) => {
   }
 };
 
+// Normalize followup_questions to object format
+const normalizeFollowups = (fqs) => {
+  if (!Array.isArray(fqs)) return [];
+  return fqs
+    .filter(Boolean)
+    .map((fq) => {
+      if (typeof fq === "string") {
+        return {
+          question: "",
+          selected_answer: fq,
+          options: [],
+        };
+      }
+      if (fq && typeof fq === "object") {
+        return {
+          question: fq.question || "",
+          selected_answer: fq.selected_answer || "",
+          options:
+            Array.isArray(fq.options) && fq.options.length ? fq.options : [],
+        };
+      }
+      return null;
+    })
+    .filter(Boolean);
+};
+
 /**
- * Parse and store intent for a single alert
- * Used in news pipeline
+ * Parse intent for a single alert without storing it
+ * Used by parseAndStoreAlert and the alert preview
  */
-const parseAndStoreAlert = async (alert, parserInstance = null) => {
-  try {
-    const parser = parserInstance || new LLMIntentParser();
+const parseAlert = async (alert, parserInstance = null) => {
+  const parser = parserInstance || new LLMIntentParser();
 
-    // Normalize followup_questions to object format
-    const normalizeFollowups = (fqs) => {
-      if (!Array.isArray(fqs)) return [];
-      return fqs
-        .filter(Boolean)
-        .map((fq) => {
-          if (typeof fq === "string") {
-            return {
-              question: "",
-              selected_answer: fq,
-              options: [],
-            };
-          }
-          if (fq && typeof fq === "object") {
-            return {
-              question: fq.question || "",
-              selected_answer: fq.selected_answer || "",
-              options:
-                Array.isArray(fq.options) && fq.options.length
-                  ? fq.options
-                  : [],
-            };
-          }
-          return null;
-        })
-        .filter(Boolean);
-    };
+  const alertData = {
+    topic: alert.main_category,
+    category: alert.main_category,
+    subcategories: alert.sub_categories || [],
+    followup_questions: normalizeFollowups(alert.followup_questions),
+    custom_question: alert.custom_question || "",
+    exclude_topics: alert.exclude_topics || [],
+    alert_id: alert.alert_id,
+  };
 
-    const normalizedFollowups = normalizeFollowups(alert.followup_questions);
+  const intent = await parser.parseIntent(alertData);
 
-    const alertData = {
-      topic: alert.main_category,
-      category: alert.main_category,
-      subcategories: alert.sub_categories || [],
-      followup_questions: normalizedFollowups,
-      custom_question: alert.custom_question || "",
-      alert_id: alert.alert_id,
-    };
+  // Normalize intent followups too (LLM may return strings)
+  intent.followup_questions = normalizeFollowups(intent.followup_questions);
 
-    const intent = await parser.parseIntent(alertData);
+  return intent;
+};
 
-    // Normalize intent followups too (LLM may return strings)
-    const normalizedIntentFollowups = normalizeFollowups(
-      intent.followup_questions
-    );
-    intent.followup_questions = normalizedIntentFollowups;
+/**
+ * Parse and store intent for a single alert
+ * Used in news pipeline
+ */
+const parseAndStoreAlert = async (alert, parserInstance = null) => {
+  try {
+    const parser = parserInstance || new LLMIntentParser();
+    const intent = await parseAlert(alert, parser);
 
     const intentData = {
       alert_id: alert.alert_id,
@@ -317,7 +482,8 @@ const parseAndStoreAlert = async (alert, parserInstance = null) => {
       category: intent.category,
       subcategory: intent.subcategory || [],
       custom_question: intent.custom_question || null,
-      followup_questions: normalizedIntentFollowups,
+      followup_questions: intent.followup_questions,
+      exclude_topics: intent.exclude_topics || [],
       intent_summary: intent.intent_summary,
       timeframe: intent.timeframe,
       perplexity_query: intent.perplexity_query,
@@ -326,10 +492,10 @@ const parseAndStoreAlert = async (alert, parserInstance = null) => {
       parsing_version: "llm_intent_v2",
     };
 
-    const savedIntent = await AlertIntent.findOneAndUpdate(
-      { alert_id: alert.alert_id, user_id: alert.user_id },
+    const savedIntent = await saveIntentVersion(
+      alert,
       intentData,
-      { upsert: true, new: true }
+      parserMeta(parser, intent)
     );
 
     return savedIntent;
@@ -339,8 +505,177 @@ const parseAndStoreAlert = async (alert, parserInstance = null) => {
   }
 };
 
+/**
+ * Word-level change between two field values
+ */
+const diffField = (fromValue, toValue) => {
+  const change = {
+    from: fromValue ?? null,
+    to: toValue ?? null,
+    changed: (fromValue ?? null) !== (toValue ?? null),
+  };
+
+  if (typeof fromValue === "string" && typeof toValue === "string") {
+    const words = (text) =>
+      new Set(text.toLowerCase().split(/\s+/).filter(Boolean));
+    const fromWords = words(fromValue);
+    const toWords = words(toValue);
+    change.added = [...toWords].filter((w) => !fromWords.has(w));
+    change.removed = [...fromWords].filter((w) => !toWords.has(w));
+  }
+
+  return change;
+};
+
+const describeRevision = (revision) => ({
+  version: revision.version,
+  parsing_version: revision.parsing_version,
+  provider: revision.provider,
+  model: revision.model,
+  fallback: revision.fallback,
+  source_fingerprint: revision.source_fingerprint,
+  parsed_at: revision.parsed_at,
+  superseded_at: revision.superseded_at,
+});
+
+/**
+ * List intent revisions for an alert (newest first)
+ * GET /alerts/:user_id/:alert_id/intents
+ */
+const getIntentRevisions = async (req, res) => {
+  try {
+    const { user_id, alert_id } = req.params;
+    const { limit = 20, skip = 0 } = req.query;
+
+    const alert = await Alert.findOne({ alert_id, user_id });
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert not found",
+      });
+    }
+
+    const [revisions, total, current] = await Promise.all([
+      AlertIntentVersion.find({ alert_id, user_id })
+        .sort({ version: -1 })
+        .skip(parseInt(skip))
+        .limit(parseInt(limit))
+        .lean(),
+      AlertIntentVersion.countDocuments({ alert_id, user_id }),
+      AlertIntent.findOne({ alert_id, user_id }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        alert_id,
+        current_version: current?.version || null,
+        is_stale: current ? isIntentStale(alert, current) : null,
+        alert_fingerprint: computeIntentFingerprint(alert),
+        revisions: revisions.map((revision) => ({
+          ...describeRevision(revision),
+          is_current: revision.version === current?.version,
+          intent: revision.intent,
+        })),
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          skip: parseInt(skip),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get intent revisions error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Diff perplexity_query, intent_summary and timeframe between two revisions
+ * GET /alerts/:user_id/:alert_id/intents/diff?from=1&to=3
+ * Defaults: to = latest revision, from = the one before it
+ */
+const diffIntentRevisions = async (req, res) => {
+  try {
+    const { user_id, alert_id } = req.params;
+
+    const latest = await AlertIntentVersion.findOne({ alert_id, user_id })
+      .sort({ version: -1 })
+      .lean();
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        message: "No intent revisions found for this alert",
+      });
+    }
+
+    const toVersion = req.query.to ? parseInt(req.query.to) : latest.version;
+    const fromVersion = req.query.from
+      ? parseInt(req.query.from)
+      : toVersion - 1;
+
+    const [from, to] = await Promise.all([
+      AlertIntentVersion.findOne({
+        alert_id,
+        user_id,
+        version: fromVersion,
+      }).lean(),
+      AlertIntentVersion.findOne({
+        alert_id,
+        user_id,
+        version: toVersion,
+      }).lean(),
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: `Revision ${!from ? fromVersion : toVersion} not found`,
+      });
+    }
+
+    const changes = DIFF_FIELDS.reduce((acc, field) => {
+      acc[field] = diffField(from.intent?.[field], to.intent?.[field]);
+      return acc;
+    }, {});
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        alert_id,
+        from: describeRevision(from),
+        to: describeRevision(to),
+        // Alert edited between the two parses (vs. same input, different output)
+        input_changed: from.source_fingerprint !== to.source_fingerprint,
+        model_changed:
+          from.provider !== to.provider ||
+          from.model !== to.model ||
+          from.fallback !== to.fallback,
+        parser_changed: from.parsing_version !== to.parsing_version,
+        changed_fields: DIFF_FIELDS.filter((field) => changes[field].changed),
+        changes,
+      },
+    });
+  } catch (error) {
+    console.error("Diff intent revisions error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 module.exports = {
   parseAlertIntent,
   processUserAlertsAndStoreIntent,
+  parseAlert,
   parseAndStoreAlert,
+  getIntentRevisions,
+  diffIntentRevisions,
 };
@@ -0,0 +1,170 @@
+const AlertJob = require("../models/AlertJob");
+const DeadLetterJob = require("../models/DeadLetterJob");
+const JobQueue = require("../services/jobQueue");
+
+/**
+ * Filter on alert_id / user_id from the query string
+ */
+const buildJobQuery = ({ alert_id, user_id }) => {
+  const query = {};
+  if (alert_id) {
+    query.alert_id = String(alert_id);
+  }
+  if (user_id) {
+    query.user_id = String(user_id);
+  }
+  return query;
+};
+
+/**
+ * List alert jobs (queued, running, succeeded)
+ * GET /cron/jobs
+ */
+const getJobs = async (req, res) => {
+  try {
+    const { status, limit = 20, skip = 0 } = req.query;
+
+    const query = buildJobQuery(req.query);
+    if (status) {
+      query.status = String(status);
+    }
+
+    const [jobs, total] = await Promise.all([
+      AlertJob.find(query)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip)),
+      AlertJob.countDocuments(query),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+      },
+    });
+  } catch (error) {
+    console.error("Get jobs error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * List jobs that failed for good, newest first
+ * GET /cron/jobs/dead-letter
+ */
+const getDeadLetterJobs = async (req, res) => {
+  try {
+    const { limit = 20, skip = 0 } = req.query;
+    const query = buildJobQuery(req.query);
+
+    const [jobs, total] = await Promise.all([
+      DeadLetterJob.find(query)
+        .sort({ failed_at: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip)),
+      DeadLetterJob.countDocuments(query),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        jobs,
+        total,
+        limit: parseInt(limit),
+        skip: parseInt(skip),
+      },
+    });
+  } catch (error) {
+    console.error("Get dead-letter jobs error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Queue a dead-lettered job again (runs on the next cron run)
+ * POST /cron/jobs/dead-letter/:job_id/retry
+ */
+const retryDeadLetterJob = async (req, res) => {
+  try {
+    const { job_id } = req.params;
+
+    const { state, job } = await JobQueue.retryDeadLetter(job_id);
+
+    if (state === "not_found") {
+      return res.status(404).json({
+        success: false,
+        message: "Dead-letter job not found",
+      });
+    }
+
+    if (state === "conflict") {
+      return res.status(409).json({
+        success: false,
+        message: "The alert already has a queued or running job",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Job queued for the next run",
+      data: job,
+    });
+  } catch (error) {
+    console.error("Retry dead-letter job error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Drop a dead-lettered job without retrying it
+ * DELETE /cron/jobs/dead-letter/:job_id
+ */
+const discardDeadLetterJob = async (req, res) => {
+  try {
+    const { job_id } = req.params;
+
+    const discarded = await JobQueue.discardDeadLetter(job_id);
+
+    if (!discarded) {
+      return res.status(404).json({
+        success: false,
+        message: "Dead-letter job not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Job discarded",
+    });
+  } catch (error) {
+    console.error("Discard dead-letter job error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getDeadLetterJobs,
+  retryDeadLetterJob,
+  discardDeadLetterJob,
+};
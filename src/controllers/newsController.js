@@ -1,156 +1,235 @@
-const PerplexityNewsFetcher = require("../services/perplexityNewsFetcher");
+const { createNewsProvider } = require("../services/newsProvider");
 const ArticleFormatter = require("../services/articleFormatter");
 const AlertIntent = require("../models/AlertIntent");
 const Alert = require("../models/Alert");
-const { sendWatiNotification } = require("./sendController");
+const User = require("../models/User");
+const ArticleCandidate = require("../models/ArticleCandidate");
+const WatiDispatch = require("../models/WatiDispatch");
+const { sendNotification } = require("./sendController");
+const IdempotencyService = require("../services/idempotencyService");
+const FeedbackService = require("../services/feedbackService");
+const { getRatingThreshold } = require("../services/ratingThreshold");
+const { pickSourceFields } = require("../services/articleSource");
+
+// Idempotency-Key scope for POST /news/alert/:alert_id deliveries
+const DELIVER_SCOPE = "news_alert_deliver";
 
 /**
- * Get news for a specific alert
- * GET /news/alert/:alert_id
+ * User-level domain block-list, applied on top of the alert's own lists
+ * @param {string} user_id
+ * @returns {Promise<string[]>}
  */
-const getNewsForAlert = async (req, res) => {
-  try {
-    const { alert_id } = req.params;
-    let { user_id } = req.query; // Optional user_id from query, will auto-fetch from alert if not provided
+const getBlockedDomains = async (user_id) => {
+  if (!user_id) return [];
+  const user = await User.findOne({ user_id })
+    .select("blocked_domains")
+    .lean();
+  return user?.blocked_domains || [];
+};
 
-    // Find alert intent from database
-    const query = { alert_id: alert_id };
-    if (user_id) {
-      query.user_id = user_id;
-    }
+/**
+ * Fetch and format news for an alert, optionally delivering the top article
+ * @param {string} alert_id
+ * @param {string|null} user_id - Optional, auto-fetched from the alert intent
+ * @param {Object} options - { deliver }: send on the alert's channels and
+ *   store the articles. Defaults to false (no side effects).
+ * @returns {Promise<{statusCode: number, body: object}>}
+ */
+const buildNewsForAlert = async (
+  alert_id,
+  user_id = null,
+  { deliver = false } = {}
+) => {
+  // Find alert intent from database
+  const query = { alert_id: alert_id };
+  if (user_id) {
+    query.user_id = user_id;
+  }
 
-    const alertIntent = await AlertIntent.findOne(query);
+  const alertIntent = await AlertIntent.findOne(query);
 
-    if (!alertIntent) {
-      return res.status(404).json({
+  if (!alertIntent) {
+    return {
+      statusCode: 404,
+      body: {
         success: false,
         message: "Alert intent not found. Please parse the alert intent first.",
-      });
-    }
+      },
+    };
+  }
 
-    // Auto-fetch user_id from alert intent if not provided in query
-    if (!user_id && alertIntent.user_id) {
-      user_id = alertIntent.user_id;
-      console.log(
-        "[WATI][NEWS] Auto-fetched user_id from alert intent:",
-        user_id
-      );
-    }
+  // Auto-fetch user_id from alert intent if not provided in query
+  if (!user_id && alertIntent.user_id) {
+    user_id = alertIntent.user_id;
+    console.log(
+      "[WATI][NEWS] Auto-fetched user_id from alert intent:",
+      user_id
+    );
+  }
 
-    // Check if required fields exist
-    if (!alertIntent.perplexity_query) {
-      return res.status(400).json({
+  // Check if required fields exist
+  if (!alertIntent.perplexity_query) {
+    return {
+      statusCode: 400,
+      body: {
         success: false,
         message:
           "Alert intent is missing perplexity_query. Please parse the alert again.",
-      });
-    }
-
-    // Convert to intent format for Perplexity fetcher
-    const intent = {
-      perplexity_query: alertIntent.perplexity_query,
-      topic: alertIntent.topic,
-      category: alertIntent.category,
-      subcategory: alertIntent.subcategory || [],
-      followup_questions: alertIntent.followup_questions || [],
-      custom_question: alertIntent.custom_question || "",
-      timeframe: alertIntent.timeframe,
+      },
     };
+  }
 
-    // Fetch news from Perplexity
-    const fetcher = new PerplexityNewsFetcher();
-    const newsPayload = await fetcher.fetchNews(intent);
+  // Convert to intent format for the news provider
+  const intent = {
+    perplexity_query: alertIntent.perplexity_query,
+    topic: alertIntent.topic,
+    category: alertIntent.category,
+    subcategory: alertIntent.subcategory || [],
+    followup_questions: alertIntent.followup_questions || [],
+    custom_question: alertIntent.custom_question || "",
+    exclude_topics: alertIntent.exclude_topics || [],
+    timeframe: alertIntent.timeframe,
+  };
 
-    // Get raw articles
-    const rawArticles = newsPayload.articles || [];
-    console.log(`\n[NEWS][CONTROLLER] 📰 Perplexity returned ${rawArticles.length} raw articles`);
-
-    // Format articles using ArticleFormatter
-    console.log(`\n[NEWS][CONTROLLER] 🎨 Starting article formatting with gatekeeping...`);
-    console.log(`[NEWS][CONTROLLER] AlertIntent data for gatekeeping:`);
-    console.log(`  - Intent Summary: ${alertIntent.intent_summary || "N/A"}`);
-    console.log(`  - Category: ${alertIntent.category || "N/A"}`);
-    console.log(`  - Subcategory: ${JSON.stringify(alertIntent.subcategory || [])}`);
-    console.log(`  - Custom Question: ${alertIntent.custom_question || "N/A"}`);
-    console.log(`  - Follow-up Questions: ${Array.isArray(alertIntent.followup_questions) ? alertIntent.followup_questions.length : 0}`);
-
-    const formatter = new ArticleFormatter(3);
-    const userIntentForFormatting = {
-      alert_id: alert_id, // Add alert_id for database storage
-      user_id: user_id, // Add user_id for database storage
-      topic: alertIntent.topic,
-      category: alertIntent.category,
+  // Fetch news from the alert's provider (Perplexity, RSS, ...)
+  const alert = await Alert.findOne({ alert_id: alert_id }).lean();
+  const fetcher = createNewsProvider(alert, alertIntent.category, {
+    blockedDomains: await getBlockedDomains(user_id),
+  });
+  const newsPayload = await fetcher.fetchNews(intent);
+
+  // Get raw articles
+  const rawArticles = newsPayload.articles || [];
+  console.log(`\n[NEWS][CONTROLLER] 📰 ${fetcher.name} returned ${rawArticles.length} raw articles`);
+
+  // Format articles using ArticleFormatter
+  console.log(`\n[NEWS][CONTROLLER] 🎨 Starting article formatting with gatekeeping...`);
+  console.log(`[NEWS][CONTROLLER] AlertIntent data for gatekeeping:`);
+  console.log(`  - Intent Summary: ${alertIntent.intent_summary || "N/A"}`);
+  console.log(`  - Category: ${alertIntent.category || "N/A"}`);
+  console.log(`  - Subcategory: ${JSON.stringify(alertIntent.subcategory || [])}`);
+  console.log(`  - Custom Question: ${alertIntent.custom_question || "N/A"}`);
+  console.log(`  - Follow-up Questions: ${Array.isArray(alertIntent.followup_questions) ? alertIntent.followup_questions.length : 0}`);
+
+  const formatter = new ArticleFormatter(
+    3,
+    null,
+    undefined,
+    getRatingThreshold(alert)
+  );
+  const userIntentForFormatting = {
+    // alert_id/user_id make the formatter store articles; only on delivery
+    alert_id: deliver ? alert_id : undefined,
+    user_id: deliver ? user_id : undefined,
+    topic: alertIntent.topic,
+    category: alertIntent.category,
+    intent_summary: alertIntent.intent_summary,
+    subcategory: alertIntent.subcategory || [],
+    followup_questions: alertIntent.followup_questions || [],
+    custom_question: alertIntent.custom_question || "",
+    exclude_topics: alertIntent.exclude_topics || [],
+    timeframe: alertIntent.timeframe,
+    source: newsPayload.source,
+    // Pass full alertIntent for gatekeeping rating
+    alertIntent: {
       intent_summary: alertIntent.intent_summary,
+      category: alertIntent.category,
       subcategory: alertIntent.subcategory || [],
       followup_questions: alertIntent.followup_questions || [],
       custom_question: alertIntent.custom_question || "",
-      timeframe: alertIntent.timeframe,
-      // Pass full alertIntent for gatekeeping rating
-      alertIntent: {
-        intent_summary: alertIntent.intent_summary,
-        category: alertIntent.category,
-        subcategory: alertIntent.subcategory || [],
-        followup_questions: alertIntent.followup_questions || [],
-        custom_question: alertIntent.custom_question || "",
-      },
-    };
+      exclude_topics: alertIntent.exclude_topics || [],
+      feedback_examples: await FeedbackService.getRatingExamples(
+        user_id,
+        alert_id
+      ),
+    },
+  };
 
-    const formattedArticles = await formatter.formatArticles(
-      rawArticles,
-      userIntentForFormatting
-    );
+  const formattedArticles = await formatter.formatArticles(
+    rawArticles,
+    userIntentForFormatting
+  );
 
-    console.log(`\n[NEWS][CONTROLLER] ✅ Formatting complete: ${formattedArticles.length} articles passed all checks`);
+  console.log(`\n[NEWS][CONTROLLER] ✅ Formatting complete: ${formattedArticles.length} articles passed all checks`);
 
-    // Optionally send WATI notification if user_id and at least one article exist
-    let wati_result = null;
-    if (user_id && formattedArticles && formattedArticles.length > 0) {
-      try {
-        const primaryArticle = formattedArticles[0];
-        console.log("[WATI][NEWS] Attempting to send notification:", {
-          user_id,
+  // Keep the evaluation for auditing; read-only calls leave no trace
+  if (deliver && user_id && formatter.lastRunStats.candidates.length > 0) {
+    try {
+      await ArticleCandidate.insertMany(
+        formatter.lastRunStats.candidates.map((candidate) => ({
+          ...candidate,
+          run_id: null,
           alert_id,
-          hasArticle: !!primaryArticle,
-          title: primaryArticle.title?.substring(0, 50),
-        });
-        wati_result = await sendWatiNotification(user_id, {
-          alert_id,
-          article: {
-            title: primaryArticle.title,
-            description: primaryArticle.description,
-            image_url: primaryArticle.image_url,
-            // Pass through original article hash if available so WATI
-            // can detect duplicates even if title/description change
-            article_hash: primaryArticle.article_hash,
+          user_id,
+        }))
+      );
+    } catch (candidateError) {
+      console.error(
+        "[NEWS][CONTROLLER] Failed to store candidates:",
+        candidateError.message
+      );
+    }
+  }
+
+  // Send only when delivery was requested explicitly
+  let wati_result = null;
+  if (deliver && user_id && formattedArticles?.length > 0) {
+    try {
+      const primaryArticle = formattedArticles[0];
+      console.log("[WATI][NEWS] Attempting to send notification:", {
+        user_id,
+        alert_id,
+        hasArticle: !!primaryArticle,
+        title: primaryArticle.title?.substring(0, 50),
+      });
+      // Delivered on the alert's channels (WhatsApp, email, web push)
+      wati_result = await sendNotification(
+        user_id,
+        [
+          {
+            alert_id,
+            article: {
+              title: primaryArticle.title,
+              description: primaryArticle.description,
+              image_url: primaryArticle.image_url,
+              // Pass through original article hash if available so
+              // duplicates are detected even if title/description change
+              article_hash: primaryArticle.article_hash,
+              ...pickSourceFields(primaryArticle),
+            },
           },
-          // phone can be resolved from DB using user_id inside service
-          phone: null,
-        });
-        console.log("[WATI][NEWS] Notification result:", {
-          status: wati_result?.status,
-          reason: wati_result?.reason,
-        });
-      } catch (watiError) {
-        console.error(
-          "[WATI][NEWS] Error sending WATI notification:",
-          watiError.message
-        );
-        wati_result = {
-          status: "error",
-          reason: watiError.message,
-        };
-      }
-    } else {
-      console.log("[WATI][NEWS] Skipping WATI notification:", {
-        hasUserId: !!user_id,
-        hasArticles: formattedArticles?.length > 0,
+        ],
+        { channels: alert?.channels }
+      );
+      console.log("[WATI][NEWS] Notification result:", {
+        status: wati_result?.status,
+        reason: wati_result?.reason,
       });
+    } catch (watiError) {
+      console.error(
+        "[WATI][NEWS] Error sending WATI notification:",
+        watiError.message
+      );
+      wati_result = {
+        status: "error",
+        reason: watiError.message,
+      };
     }
+  } else {
+    console.log("[WATI][NEWS] Skipping WATI notification:", {
+      deliver,
+      hasUserId: !!user_id,
+      hasArticles: formattedArticles?.length > 0,
+    });
+  }
 
-    return res.status(200).json({
+  return {
+    statusCode: 200,
+    body: {
       success: true,
       data: {
         alert_id: alert_id,
+        news_source: newsPayload.source,
         query: newsPayload.query,
         prompt: newsPayload.prompt,
         intent_summary: alertIntent.intent_summary,
@@ -165,9 +244,44 @@ const getNewsForAlert = async (req, res) => {
           category: alertIntent.category,
           timeframe: alertIntent.timeframe,
         },
+        deliver: deliver,
         wati_notification: wati_result,
       },
+    },
+  };
+};
+
+/**
+ * Get news for a specific alert (read-only: never stores or sends)
+ * GET /news/alert/:alert_id
+ */
+const getNewsForAlert = async (req, res) => {
+  try {
+    const { alert_id } = req.params;
+    const user_id = req.user.user_id;
+
+    const alert = await Alert.findOne({ alert_id: alert_id })
+      .select("user_id")
+      .lean();
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert not found",
+      });
+    }
+
+    if (alert.user_id !== user_id) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this user's data",
+      });
+    }
+
+    const { statusCode, body } = await buildNewsForAlert(alert_id, user_id, {
+      deliver: false,
     });
+
+    return res.status(statusCode).json(body);
   } catch (error) {
     console.error("Get news for alert error:", error);
     return res.status(500).json({
@@ -178,6 +292,182 @@ const getNewsForAlert = async (req, res) => {
   }
 };
 
+/**
+ * Fetch news for an alert and, with deliver: true, send the top article
+ * POST /news/alert/:alert_id
+ * Body: { deliver: boolean (default false) }
+ * Header: Idempotency-Key (required when deliver is true)
+ */
+const deliverNewsForAlert = async (req, res) => {
+  let claim = null;
+
+  try {
+    const { alert_id } = req.params;
+    const deliver = req.body.deliver === true || req.body.deliver === "true";
+    const user_id = req.user.user_id;
+
+    const alert = await Alert.findOne({ alert_id: alert_id }).lean();
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert not found",
+      });
+    }
+
+    if (alert.user_id !== user_id) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this user's data",
+      });
+    }
+
+    if (deliver) {
+      claim = await IdempotencyService.begin({
+        scope: DELIVER_SCOPE,
+        key: req.get("Idempotency-Key"),
+        userId: user_id,
+        target: alert_id,
+      });
+
+      if (claim.state === "replay") {
+        res.set("Idempotent-Replayed", "true");
+        return res
+          .status(claim.record.status_code)
+          .json(claim.record.response);
+      }
+
+      if (claim.state === "in_progress") {
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+
+      if (claim.state === "conflict") {
+        return res.status(422).json({
+          success: false,
+          message: "Idempotency-Key was already used for a different alert",
+        });
+      }
+    }
+
+    const { statusCode, body } = await buildNewsForAlert(alert_id, user_id, {
+      deliver,
+    });
+
+    // Only successful responses are replayed; anything else may be retried
+    if (claim) {
+      if (statusCode < 300) {
+        await IdempotencyService.complete(claim.record, statusCode, body);
+      } else {
+        await IdempotencyService.release(claim.record);
+      }
+    }
+
+    return res.status(statusCode).json(body);
+  } catch (error) {
+    console.error("Deliver news for alert error:", error);
+    if (claim?.state === "new") {
+      await IdempotencyService.release(claim.record).catch(() => {});
+    }
+    return res.status(500).json({
+      success: false,
+      message: error.message || "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+};
+
+/**
+ * List the articles evaluated for an alert, with whether each was delivered
+ * GET /news/alert/:alert_id/candidates
+ * Query: run_id, outcome, limit, skip
+ */
+const getAlertCandidates = async (req, res) => {
+  try {
+    const { alert_id } = req.params;
+    const { run_id, outcome, limit = 50, skip = 0 } = req.query;
+    const user_id = req.user.user_id;
+
+    const alert = await Alert.findOne({ alert_id: alert_id })
+      .select("user_id")
+      .lean();
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert not found",
+      });
+    }
+
+    if (alert.user_id !== user_id) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this user's data",
+      });
+    }
+
+    const filter = { alert_id };
+    if (run_id) filter.run_id = run_id;
+    if (outcome) filter.outcome = outcome;
+
+    const [candidates, total] = await Promise.all([
+      ArticleCandidate.find(filter)
+        .sort({ evaluated_at: -1 })
+        .skip(parseInt(skip))
+        .limit(parseInt(limit))
+        .lean(),
+      ArticleCandidate.countDocuments(filter),
+    ]);
+
+    // Delivered = sent to the user alone or as part of a digest
+    const hashes = [
+      ...new Set(candidates.map((c) => c.article_hash).filter(Boolean)),
+    ];
+    const delivered = new Set();
+    if (hashes.length > 0) {
+      const dispatches = await WatiDispatch.find({
+        user_id,
+        message_sent: true,
+        $or: [
+          { article_hash: { $in: hashes } },
+          { "digest_articles.article_hash": { $in: hashes } },
+        ],
+      })
+        .select("article_hash digest_articles.article_hash")
+        .lean();
+      dispatches.forEach((dispatch) => {
+        if (dispatch.article_hash) delivered.add(dispatch.article_hash);
+        (dispatch.digest_articles || []).forEach((item) => {
+          if (item.article_hash) delivered.add(item.article_hash);
+        });
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        alert_id,
+        candidates: candidates.map((candidate) => ({
+          ...candidate,
+          delivered: delivered.has(candidate.article_hash),
+        })),
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          skip: parseInt(skip),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get alert candidates error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Fetch news for alert (used in pipeline)
  * @param {string} alert_id - Alert ID
@@ -206,10 +496,14 @@ const fetchNewsForAlert = async (alert_id, user_id = null) => {
       subcategory: alertIntent.subcategory || [],
       followup_questions: alertIntent.followup_questions || [],
       custom_question: alertIntent.custom_question || "",
+      exclude_topics: alertIntent.exclude_topics || [],
       timeframe: alertIntent.timeframe,
     };
 
-    const fetcher = new PerplexityNewsFetcher();
+    const alert = await Alert.findOne({ alert_id: alert_id }).lean();
+    const fetcher = createNewsProvider(alert, alertIntent.category, {
+      blockedDomains: await getBlockedDomains(alertIntent.user_id),
+    });
     const newsPayload = await fetcher.fetchNews(intent);
 
     return newsPayload;
@@ -221,5 +515,7 @@ const fetchNewsForAlert = async (alert_id, user_id = null) => {
 
 module.exports = {
   getNewsForAlert,
+  deliverNewsForAlert,
+  getAlertCandidates,
   fetchNewsForAlert,
 };
@@ -0,0 +1,111 @@
+const PushSubscription = require("../models/PushSubscription");
+const User = require("../models/User");
+const { publicKey } = require("../utils/webPush");
+
+/**
+ * Get the VAPID public key browsers need to subscribe
+ * GET /push/public-key
+ */
+const getPublicKey = async (req, res) => {
+  if (!publicKey) {
+    return res.status(503).json({
+      success: false,
+      message: "Web push is not configured",
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    data: { public_key: publicKey },
+  });
+};
+
+/**
+ * Save a browser push subscription for the logged-in user
+ * POST /push/subscribe
+ * Body is PushSubscription.toJSON(): { endpoint, expirationTime, keys: { p256dh, auth } }
+ */
+const subscribe = async (req, res) => {
+  try {
+    const { user_id } = req.user;
+    const { endpoint, keys, expirationTime } = req.body;
+
+    // An endpoint belongs to one browser; re-subscribing moves it to this user
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user_id,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        expiration_time: expirationTime ? new Date(expirationTime) : null,
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    // Subscribing opts the user into push delivery
+    await User.updateOne(
+      { user_id },
+      { $addToSet: { notification_channels: "push" } }
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        user_id,
+        endpoint: subscription.endpoint,
+        expiration_time: subscription.expiration_time,
+      },
+    });
+  } catch (error) {
+    console.error("Push subscribe error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Remove a browser push subscription of the logged-in user
+ * DELETE /push/subscribe
+ */
+const unsubscribe = async (req, res) => {
+  try {
+    const { user_id } = req.user;
+    const { endpoint } = req.body;
+
+    const result = await PushSubscription.deleteOne({ user_id, endpoint });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found",
+      });
+    }
+
+    const remaining = await PushSubscription.countDocuments({ user_id });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user_id,
+        endpoint,
+        remaining_subscriptions: remaining,
+      },
+    });
+  } catch (error) {
+    console.error("Push unsubscribe error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getPublicKey,
+  subscribe,
+  unsubscribe,
+};
@@ -1,4 +1,5 @@
 const WatiNotificationService = require("../services/watiNotificationService");
+const DeliveryService = require("../services/deliveryService");
 
 /**
  * Send WATI notification for a news alert
@@ -31,6 +32,31 @@ const sendWatiNotification = async (userId, alertPayload) => {
   }
 };
 
+/**
+ * Deliver articles on the user's channels (WhatsApp, email, web push)
+ * One article is sent as a news message; with options.digest all fresh
+ * articles are combined into one numbered digest.
+ *
+ * @param {string} userId - User UUID
+ * @param {Array} items - [{ alert_id, article }]
+ * @param {object} options - { channels, digest }
+ */
+const sendNotification = async (userId, items, options = {}) => {
+  try {
+    return await DeliveryService.deliver(userId, items, options);
+  } catch (error) {
+    console.error("sendNotification error:", error.message);
+    return {
+      status: "error",
+      code: 500,
+      response: { message: error.message },
+      message_sent: false,
+      reason: error.message,
+    };
+  }
+};
+
 module.exports = {
   sendWatiNotification,
+  sendNotification,
 };
@@ -0,0 +1,158 @@
+const User = require("../models/User");
+
+/**
+ * Get a user's notification channel preferences
+ * GET /users/:user_id/channels
+ */
+const getChannelPreferences = async (req, res) => {
+  try {
+    const { user_id } = req.params;
+
+    const user = await User.findOne({ user_id }).select(
+      "user_id notification_channels"
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user_id: user.user_id,
+        channels: user.notification_channels,
+      },
+    });
+  } catch (error) {
+    console.error("Get channel preferences error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update a user's notification channel preferences
+ * PUT /users/:user_id/channels
+ */
+const updateChannelPreferences = async (req, res) => {
+  try {
+    const { user_id } = req.params;
+    const channels = [...new Set(req.body.channels)];
+
+    const user = await User.findOneAndUpdate(
+      { user_id },
+      { notification_channels: channels },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user_id: user.user_id,
+        channels: user.notification_channels,
+      },
+    });
+  } catch (error) {
+    console.error("Update channel preferences error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get the domains a user never wants news from
+ * GET /users/:user_id/blocked-domains
+ */
+const getBlockedDomains = async (req, res) => {
+  try {
+    const { user_id } = req.params;
+
+    const user = await User.findOne({ user_id }).select(
+      "user_id blocked_domains"
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user_id: user.user_id,
+        domains: user.blocked_domains,
+      },
+    });
+  } catch (error) {
+    console.error("Get blocked domains error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Replace a user's domain block-list (applies to all of their alerts)
+ * PUT /users/:user_id/blocked-domains
+ */
+const updateBlockedDomains = async (req, res) => {
+  try {
+    const { user_id } = req.params;
+
+    // Already normalized and de-duplicated by validateBlockedDomains
+    const user = await User.findOneAndUpdate(
+      { user_id },
+      { blocked_domains: req.body.domains },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        user_id: user.user_id,
+        domains: user.blocked_domains,
+      },
+    });
+  } catch (error) {
+    console.error("Update blocked domains error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+module.exports = {
+  getChannelPreferences,
+  updateChannelPreferences,
+  getBlockedDomains,
+  updateBlockedDomains,
+};
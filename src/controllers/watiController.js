@@ -7,13 +7,15 @@ const WatiDispatch = require("../models/WatiDispatch");
 const getUserDispatches = async (req, res) => {
   try {
     const { user_id } = req.params;
-    const { status, alert_id, limit = 50, skip = 0 } = req.query;
+    const { status, alert_id, channel, limit = 50, skip = 0 } = req.query;
 
     const query = { user_id };
 
     // Filter by status (success, skipped, error)
     if (status) {
-      if (status === "duplicate") {
+      if (["delivered", "read"].includes(status)) {
+        query.delivery_status = status;
+      } else if (status === "duplicate") {
         query.reason = "duplicate_message";
       } else if (status === "sent") {
         query.message_sent = true;
@@ -27,6 +29,11 @@ const getUserDispatches = async (req, res) => {
       query.alert_id = alert_id;
     }
 
+    // Filter by delivery channel (whatsapp, email, push)
+    if (channel) {
+      query.channel = channel;
+    }
+
     const dispatches = await WatiDispatch.find(query)
       .sort({ sent_at: -1 })
       .limit(parseInt(limit))
@@ -102,12 +109,12 @@ const getDuplicateMessages = async (req, res) => {
 const getAlertDispatches = async (req, res) => {
   try {
     const { alert_id } = req.params;
-    const { user_id } = req.query;
 
-    const query = { alert_id };
-    if (user_id) {
-      query.user_id = user_id;
-    }
+    // Digests covering several alerts list each alert in digest_articles
+    const query = {
+      $or: [{ alert_id }, { "digest_articles.alert_id": alert_id }],
+      user_id: req.user.user_id,
+    };
 
     const dispatches = await WatiDispatch.find(query).sort({ sent_at: -1 });
 
@@ -201,6 +208,9 @@ const checkDuplicate = async (req, res) => {
 const getUserStats = async (req, res) => {
   try {
     const { user_id } = req.params;
+    // Only WhatsApp reports delivery states; records from before channels
+    // existed have no channel field
+    const whatsapp = { channel: { $in: ["whatsapp", null] } };
 
     const [
       total,
@@ -208,6 +218,10 @@ const getUserStats = async (req, res) => {
       skipped,
       duplicates,
       errors,
+      whatsappSent,
+      delivered,
+      read,
+      deliveryFailed,
     ] = await Promise.all([
       WatiDispatch.countDocuments({ user_id }),
       WatiDispatch.countDocuments({ user_id, message_sent: true }),
@@ -217,6 +231,14 @@ const getUserStats = async (req, res) => {
         reason: "duplicate_message",
       }),
       WatiDispatch.countDocuments({ user_id, reason: "error" }),
+      WatiDispatch.countDocuments({ user_id, ...whatsapp, message_sent: true }),
+      // Delivery states come from WATI status webhooks
+      WatiDispatch.countDocuments({
+        user_id,
+        delivery_status: { $in: ["delivered", "read"] },
+      }),
+      WatiDispatch.countDocuments({ user_id, delivery_status: "read" }),
+      WatiDispatch.countDocuments({ user_id, delivery_status: "failed" }),
     ]);
 
     return res.status(200).json({
@@ -230,6 +252,16 @@ const getUserStats = async (req, res) => {
           duplicates,
           errors,
           success_rate: total > 0 ? ((sent / total) * 100).toFixed(2) : 0,
+          delivered,
+          read,
+          delivery_failed: deliveryFailed,
+          whatsapp_sent: whatsappSent,
+          delivery_rate:
+            whatsappSent > 0
+              ? ((delivered / whatsappSent) * 100).toFixed(2)
+              : 0,
+          read_rate:
+            whatsappSent > 0 ? ((read / whatsappSent) * 100).toFixed(2) : 0,
         },
       },
     });
@@ -0,0 +1,123 @@
+const WatiInboundMessage = require("../models/WatiInboundMessage");
+const WhatsappCommandService = require("../services/whatsappCommandService");
+const WatiNotificationService = require("../services/watiNotificationService");
+
+/**
+ * Handle WATI inbound message webhook (user replies on WhatsApp)
+ * POST /wati/webhook/message
+ * Supports STOP, PAUSE <alert>, RESUME [alert], LIST, MORE, HELP
+ * and 👍/👎 feedback quick-replies on delivered updates
+ */
+const handleInboundMessage = async (req, res) => {
+  try {
+    const event = req.body || {};
+    const waId = event.waId;
+    const messageId = event.whatsappMessageId || event.id;
+    const text =
+      event.buttonReply?.text || event.listReply?.title || event.text || "";
+
+    // Ignore our own outgoing messages and non-message events
+    if (
+      event.owner === true ||
+      (event.eventType && event.eventType !== "message")
+    ) {
+      return res.status(200).json({ success: true, data: { ignored: true } });
+    }
+
+    if (!waId || !messageId) {
+      return res.status(400).json({
+        success: false,
+        message: "waId and message id are required",
+      });
+    }
+
+    // WATI retries webhooks - only handle each message once
+    const alreadyHandled = await WatiInboundMessage.exists({
+      message_id: messageId,
+    });
+    if (alreadyHandled) {
+      return res.status(200).json({
+        success: true,
+        data: { duplicate: true },
+      });
+    }
+
+    const outcome = await WhatsappCommandService.handleInboundMessage(
+      waId,
+      text,
+      // Quick-replies quote the template message they belong to
+      { replyContextId: event.replyContextId || event.context?.id || null }
+    );
+
+    try {
+      await WatiInboundMessage.create({
+        message_id: messageId,
+        wa_id: waId,
+        user_id: outcome.user_id,
+        text,
+        command: outcome.command,
+        reply_text: outcome.reply,
+        result: outcome.result,
+        payload: event,
+      });
+    } catch (logError) {
+      console.error(
+        "[WATI][INBOUND] Failed to log inbound message:",
+        logError.message
+      );
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        command: outcome.command,
+        result: outcome.result,
+      },
+    });
+  } catch (error) {
+    console.error("Handle inbound message error:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+};
+
+/**
+ * Handle WATI message status webhook (sent / delivered / read / failed)
+ * POST /wati/webhook/status
+ * Unmatched callbacks still get 200 so WATI does not keep retrying them.
+ */
+const handleStatusUpdate = async (req, res) => {
+  try {
+    const outcome = await WatiNotificationService.recordDeliveryStatus(
+      req.body || {}
+    );
+
+    if (!outcome.matched) {
+      console.warn("[WATI][STATUS] Callback not applied:", {
+        reason: outcome.reason,
+        eventType: req.body?.eventType,
+        localMessageId: req.body?.localMessageId,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: outcome,
+    });
+  } catch (error) {
+    console.error("Handle status update error:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || "Internal server error",
+      error: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    });
+  }
+};
+
+module.exports = {
+  handleInboundMessage,
+  handleStatusUpdate,
+};
@@ -1,4 +1,31 @@
-const { body, param, validationResult } = require("express-validator");
+const {
+  body,
+  header,
+  param,
+  query,
+  validationResult,
+} = require("express-validator");
+const { isValidTimezone } = require("../services/alertScheduler");
+const { normalizeDomain } = require("../services/articleSource");
+const { normalizeExcludeTopics } = require("../services/topicExclusion");
+const { getCategoryFeeds } = require("../services/newsProvider");
+
+// Domain list (e.g. ["reuters.com"]), normalized and de-duplicated
+const domainListField = (field) =>
+  body(field)
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage(`${field} must be an array of at most 50 domains`)
+    .custom((value) => value.every((domain) => normalizeDomain(domain)))
+    .withMessage(`${field} must only contain valid domains (e.g. reuters.com)`)
+    .customSanitizer((value) => [...new Set(value.map(normalizeDomain))]);
+
+// "rss" needs feeds of its own or from the alert's category
+const hasRssFeeds = (provider, body) =>
+  provider !== "rss" ||
+  (Array.isArray(body.news_source?.feeds) &&
+    body.news_source.feeds.length > 0) ||
+  getCategoryFeeds(body.main_category).length > 0;
 
 // Validation for creating alert
 const validateCreateAlert = [
@@ -59,6 +86,64 @@ const validateCreateAlert = [
     .optional()
     .isString()
     .withMessage("custom_question must be a string"),
+
+  body("exclude_topics")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("exclude_topics must be an array of at most 20 topics")
+    .custom((value) =>
+      value.every(
+        (topic) =>
+          typeof topic === "string" &&
+          topic.trim().length > 0 &&
+          topic.trim().length <= 60
+      )
+    )
+    .withMessage("exclude_topics must only contain strings of 1-60 characters")
+    .customSanitizer((value) => normalizeExcludeTopics(value)),
+
+  body("news_source")
+    .optional()
+    .isObject()
+    .withMessage("news_source must be an object"),
+
+  body("news_source.provider")
+    .optional()
+    .isIn(["auto", "perplexity", "rss"])
+    .withMessage("news_source.provider must be one of: auto, perplexity, rss")
+    .custom((provider, { req }) => hasRssFeeds(provider, req.body))
+    .withMessage(
+      'news_source.feeds is required for provider "rss" in this category'
+    ),
+
+  body("news_source.feeds")
+    .optional()
+    .isArray()
+    .withMessage("news_source.feeds must be an array")
+    .custom((value) =>
+      value.every(
+        (url) => typeof url === "string" && /^https?:\/\/\S+$/i.test(url)
+      )
+    )
+    .withMessage("news_source.feeds must be an array of http(s) URLs"),
+
+  domainListField("news_source.include_domains"),
+
+  domainListField("news_source.exclude_domains"),
+
+  body("delivery_mode")
+    .optional()
+    .isIn(["single", "digest", "user_digest"])
+    .withMessage("delivery_mode must be one of: single, digest, user_digest"),
+
+  body("channels")
+    .optional({ values: "null" })
+    .isArray()
+    .withMessage("channels must be an array")
+    .custom((value) =>
+      value.every((channel) => ["whatsapp", "email", "push"].includes(channel))
+    )
+    .withMessage("channels must only contain: whatsapp, email, push"),
 ];
 
 // Validation for updating alert
@@ -111,6 +196,64 @@ const validateUpdateAlert = [
     .optional()
     .isString()
     .withMessage("custom_question must be a string"),
+
+  body("exclude_topics")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("exclude_topics must be an array of at most 20 topics")
+    .custom((value) =>
+      value.every(
+        (topic) =>
+          typeof topic === "string" &&
+          topic.trim().length > 0 &&
+          topic.trim().length <= 60
+      )
+    )
+    .withMessage("exclude_topics must only contain strings of 1-60 characters")
+    .customSanitizer((value) => normalizeExcludeTopics(value)),
+
+  body("news_source")
+    .optional()
+    .isObject()
+    .withMessage("news_source must be an object"),
+
+  body("news_source.provider")
+    .optional()
+    .isIn(["auto", "perplexity", "rss"])
+    .withMessage("news_source.provider must be one of: auto, perplexity, rss")
+    .custom((provider, { req }) => hasRssFeeds(provider, req.body))
+    .withMessage(
+      'news_source.feeds is required for provider "rss" in this category'
+    ),
+
+  body("news_source.feeds")
+    .optional()
+    .isArray()
+    .withMessage("news_source.feeds must be an array")
+    .custom((value) =>
+      value.every(
+        (url) => typeof url === "string" && /^https?:\/\/\S+$/i.test(url)
+      )
+    )
+    .withMessage("news_source.feeds must be an array of http(s) URLs"),
+
+  domainListField("news_source.include_domains"),
+
+  domainListField("news_source.exclude_domains"),
+
+  body("delivery_mode")
+    .optional()
+    .isIn(["single", "digest", "user_digest"])
+    .withMessage("delivery_mode must be one of: single, digest, user_digest"),
+
+  body("channels")
+    .optional({ values: "null" })
+    .isArray()
+    .withMessage("channels must be an array")
+    .custom((value) =>
+      value.every((channel) => ["whatsapp", "email", "push"].includes(channel))
+    )
+    .withMessage("channels must only contain: whatsapp, email, push"),
 ];
 
 // Validation for schedule update
@@ -128,7 +271,9 @@ const validateScheduleUpdate = [
   body("timezone")
     .optional()
     .isString()
-    .withMessage("timezone must be a string"),
+    .withMessage("timezone must be a string")
+    .custom((value) => isValidTimezone(value))
+    .withMessage("timezone must be a valid IANA timezone (e.g. Asia/Kolkata)"),
 
   body("days")
     .optional()
@@ -178,6 +323,138 @@ const validateUserId = [
     .withMessage("user_id must be a string"),
 ];
 
+// Validation for intent revision listing
+const validateIntentRevisionsQuery = [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be an integer between 1 and 100"),
+
+  query("skip")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("skip must be a non-negative integer"),
+];
+
+// Validation for intent revision diff
+const validateIntentDiffQuery = [
+  query("from")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("from must be a positive revision number"),
+
+  query("to")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("to must be a positive revision number"),
+];
+
+// Validation for POST /news/alert/:alert_id
+const validateNewsDelivery = [
+  param("alert_id")
+    .notEmpty()
+    .withMessage("alert_id is required")
+    .isString()
+    .withMessage("alert_id must be a string"),
+
+  body("deliver")
+    .optional()
+    .isBoolean()
+    .withMessage("deliver must be a boolean"),
+
+  header("idempotency-key")
+    .if(body("deliver").isIn([true, "true"]))
+    .notEmpty()
+    .withMessage("Idempotency-Key header is required when deliver is true")
+    .isLength({ max: 255 })
+    .withMessage("Idempotency-Key must be at most 255 characters"),
+];
+
+// Validation for POST /wati/user/:user_id/dispatches/:dispatch_id/feedback
+const validateDispatchFeedback = [
+  param("dispatch_id")
+    .isMongoId()
+    .withMessage("dispatch_id must be a valid dispatch id"),
+
+  body("feedback")
+    .isIn(["up", "down"])
+    .withMessage("feedback must be one of: up, down"),
+
+  body("comment")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("comment must be a string")
+    .isLength({ max: 500 })
+    .withMessage("comment must be at most 500 characters"),
+];
+
+// Validation for alert feedback listing
+const validateFeedbackQuery = [
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be an integer between 1 and 100"),
+
+  query("skip")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("skip must be a non-negative integer"),
+];
+
+const validateCandidatesQuery = [
+  query("run_id")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("run_id cannot be empty"),
+
+  query("outcome")
+    .optional()
+    .isIn([
+      "over_limit",
+      "empty_after_cleaning",
+      "rejected_by_rating",
+      "format_failed",
+      "rejected_by_gatekeeper",
+      "excluded_topic",
+      "selected",
+    ])
+    .withMessage("Invalid outcome"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("limit must be an integer between 1 and 200"),
+
+  query("skip")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("skip must be a non-negative integer"),
+];
+
+// Validation for GET /cron/runs
+const validateCronRunsQuery = [
+  query("trigger")
+    .optional()
+    .isIn(["schedule", "manual", "first-alert", "on-demand"])
+    .withMessage("Invalid trigger"),
+
+  query("status")
+    .optional()
+    .isIn(["running", "completed", "failed", "cancelled"])
+    .withMessage("Invalid status"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be an integer between 1 and 100"),
+
+  query("skip")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("skip must be a non-negative integer"),
+];
+
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -197,5 +474,12 @@ module.exports = {
   validateScheduleUpdate,
   validateParams,
   validateUserId,
+  validateIntentRevisionsQuery,
+  validateIntentDiffQuery,
+  validateNewsDelivery,
+  validateDispatchFeedback,
+  validateFeedbackQuery,
+  validateCandidatesQuery,
+  validateCronRunsQuery,
   handleValidationErrors,
 };
@@ -0,0 +1,110 @@
+const crypto = require("crypto");
+const AuthService = require("../services/authService");
+const AuthConfig = require("../config/authConfig");
+const WatiConfig = require("../config/watiConfig");
+
+/**
+ * Require a valid access token
+ * Expects header: Authorization: Bearer <access_token>
+ * Sets req.user = { user_id }
+ */
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      success: false,
+      message: "Authorization token is required",
+    });
+  }
+
+  const payload = AuthService.verifyToken(token, "access");
+  if (!payload) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired access token",
+    });
+  }
+
+  req.user = { user_id: payload.sub };
+  next();
+};
+
+/**
+ * Bind the authenticated user to the user_id in the request
+ * Every user_id given (:user_id route param, body.user_id, query.user_id)
+ * must be the authenticated user's. Must run after authenticate.
+ */
+const authorizeUser = (req, res, next) => {
+  const requestedUserIds = [
+    req.params.user_id,
+    req.body?.user_id,
+    req.query?.user_id,
+  ].filter((userId) => userId !== undefined && userId !== null);
+
+  if (requestedUserIds.some((userId) => userId !== req.user?.user_id)) {
+    return res.status(403).json({
+      success: false,
+      message: "You do not have access to this user's data",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Allow only users listed in ADMIN_USER_IDS (support/ops routes)
+ * Must run after authenticate.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!AuthConfig.ADMIN_USER_IDS.includes(req.user?.user_id)) {
+    return res.status(403).json({
+      success: false,
+      message: "Admin access is required",
+    });
+  }
+
+  next();
+};
+
+// Constant-time string comparison (digests keep lengths equal)
+const safeEqual = (a, b) =>
+  crypto.timingSafeEqual(
+    crypto.createHash("sha256").update(String(a)).digest(),
+    crypto.createHash("sha256").update(String(b)).digest()
+  );
+
+/**
+ * Verify WATI webhook calls
+ * The webhook URL must carry ?token=<WATI_WEBHOOK_SECRET>; without a
+ * configured secret every call is rejected.
+ */
+const verifyWatiWebhook = (req, res, next) => {
+  const secret = WatiConfig.WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error("[WATI][WEBHOOK] WATI_WEBHOOK_SECRET is not set, rejecting");
+    return res.status(503).json({
+      success: false,
+      message: "Webhook is not configured",
+    });
+  }
+
+  const { token } = req.query;
+  if (typeof token !== "string" || !safeEqual(token, secret)) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid webhook token",
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  authorizeUser,
+  requireAdmin,
+  verifyWatiWebhook,
+};
@@ -1,4 +1,5 @@
 const { body, validationResult } = require('express-validator');
+const { normalizeDomain } = require('../services/articleSource');
 
 // Validation middleware for login route
 const validateLogin = [
@@ -26,6 +27,98 @@ const validateLogin = [
     .normalizeEmail(),
 ];
 
+// Validation middleware for OTP verification route
+const validateVerifyOtp = [
+  body('country_code')
+    .notEmpty()
+    .withMessage('country_code is required')
+    .isString()
+    .withMessage('country_code must be a string')
+    .matches(/^\+?\d+$/)
+    .withMessage('country_code must be a valid format (e.g., "+91")'),
+
+  body('phone_number')
+    .notEmpty()
+    .withMessage('phone_number is required')
+    .isString()
+    .withMessage('phone_number must be a string')
+    .matches(/^\d+$/)
+    .withMessage('phone_number must contain only digits'),
+
+  body('code')
+    .notEmpty()
+    .withMessage('code is required')
+    .isString()
+    .withMessage('code must be a string')
+    .matches(/^\d{4,8}$/)
+    .withMessage('code must be 4-8 digits'),
+];
+
+// Validation middleware for refresh route
+const validateRefreshToken = [
+  body('refresh_token')
+    .notEmpty()
+    .withMessage('refresh_token is required')
+    .isString()
+    .withMessage('refresh_token must be a string'),
+];
+
+// Validation middleware for notification channel preferences
+const validateChannelPreferences = [
+  body('channels')
+    .isArray({ min: 1 })
+    .withMessage('channels must be a non-empty array')
+    .custom((value) =>
+      value.every((channel) => ['whatsapp', 'email', 'push'].includes(channel))
+    )
+    .withMessage('channels must only contain: whatsapp, email, push'),
+];
+
+// Validation middleware for the user's default domain block-list
+const validateBlockedDomains = [
+  body('domains')
+    .isArray({ max: 100 })
+    .withMessage('domains must be an array of at most 100 domains')
+    .custom((value) => value.every((domain) => normalizeDomain(domain)))
+    .withMessage('domains must only contain valid domains (e.g. example.com)')
+    .customSanitizer((value) => [...new Set(value.map(normalizeDomain))]),
+];
+
+// Validation middleware for saving a browser push subscription
+const validatePushSubscribe = [
+  body('endpoint')
+    .notEmpty()
+    .withMessage('endpoint is required')
+    .isURL({ protocols: ['https'], require_tld: false })
+    .withMessage('endpoint must be an https URL'),
+
+  body('keys.p256dh')
+    .notEmpty()
+    .withMessage('keys.p256dh is required')
+    .isString()
+    .withMessage('keys.p256dh must be a string'),
+
+  body('keys.auth')
+    .notEmpty()
+    .withMessage('keys.auth is required')
+    .isString()
+    .withMessage('keys.auth must be a string'),
+
+  body('expirationTime')
+    .optional({ values: 'null' })
+    .isNumeric()
+    .withMessage('expirationTime must be a timestamp in milliseconds'),
+];
+
+// Validation middleware for removing a browser push subscription
+const validatePushUnsubscribe = [
+  body('endpoint')
+    .notEmpty()
+    .withMessage('endpoint is required')
+    .isString()
+    .withMessage('endpoint must be a string'),
+];
+
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -41,6 +134,12 @@ const handleValidationErrors = (req, res, next) => {
 
 module.exports = {
   validateLogin,
+  validateVerifyOtp,
+  validateRefreshToken,
+  validateChannelPreferences,
+  validateBlockedDomains,
+  validatePushSubscribe,
+  validatePushUnsubscribe,
   handleValidationErrors,
 };
 
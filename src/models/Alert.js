@@ -39,6 +39,11 @@ const alertSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Things the user does NOT want, e.g. ["IPL gossip"]
+    exclude_topics: {
+      type: [String],
+      default: [],
+    },
     is_active: {
       type: Boolean,
       default: true,
@@ -62,6 +67,72 @@ const alertSchema = new mongoose.Schema(
         default: null,
       },
     },
+    // Where news is fetched from; "auto" uses the category default
+    news_source: {
+      provider: {
+        type: String,
+        enum: ["auto", "perplexity", "rss"],
+        default: "auto",
+      },
+      // Curated RSS/Atom feed URLs (override category feeds for "rss")
+      feeds: {
+        type: [String],
+        default: [],
+      },
+      // Only use articles from these domains (empty = any)
+      include_domains: {
+        type: [String],
+        default: [],
+      },
+      // Never use articles from these domains (added to the user's blocked_domains)
+      exclude_domains: {
+        type: [String],
+        default: [],
+      },
+    },
+    // "single": top article only, "digest": all accepted articles in one
+    // message, "user_digest": one message for all of the user's digest alerts per run
+    delivery_mode: {
+      type: String,
+      enum: ["single", "digest", "user_digest"],
+      default: "single",
+    },
+    // Delivery channels for this alert; null uses the user's notification_channels
+    channels: {
+      type: [String],
+      enum: ["whatsapp", "email", "push"],
+      default: undefined,
+    },
+    // Next time this alert is due for processing (computed from schedule)
+    next_run_at: {
+      type: Date,
+      default: null,
+    },
+    last_run_at: {
+      type: Date,
+      default: null,
+    },
+    // Minimum article rating for this alert, adjusted from delivery volume
+    // and feedback (see ratingThreshold.js); null uses the global default
+    rating_threshold: {
+      value: { type: Number, default: null },
+      adjusted_at: { type: Date, default: null },
+      // Most recent adjustments, newest last
+      history: {
+        type: [
+          new mongoose.Schema(
+            {
+              from: { type: Number },
+              to: { type: Number },
+              reason: { type: String },
+              at: { type: Date },
+            },
+            { _id: false }
+          ),
+        ],
+        default: [],
+      },
+    },
   },
   {
     timestamps: true,
@@ -71,6 +142,7 @@ const alertSchema = new mongoose.Schema(
 // Index for faster queries
 alertSchema.index({ user_id: 1, is_active: 1 });
 alertSchema.index({ is_active: 1 });
+alertSchema.index({ is_active: 1, next_run_at: 1 });
 
 const Alert = mongoose.model("Alert", alertSchema, "alerts_collection");
 
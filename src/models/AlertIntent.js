@@ -42,6 +42,11 @@ const alertIntentSchema = new mongoose.Schema(
       ],
       default: [],
     },
+    // Copied from Alert.exclude_topics (normalized)
+    exclude_topics: {
+      type: [String],
+      default: [],
+    },
     intent_summary: {
       type: String,
       required: true,
@@ -67,6 +72,21 @@ const alertIntentSchema = new mongoose.Schema(
       type: String,
       default: "llm_intent_v2",
     },
+    // Incremented on every re-parse; older versions live in AlertIntentVersion
+    version: {
+      type: Number,
+      default: 1,
+    },
+    // Fingerprint of the alert fields this intent was parsed from
+    source_fingerprint: {
+      type: String,
+      default: null,
+    },
+    // Set when the alert is edited; the next processing run re-parses
+    is_stale: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
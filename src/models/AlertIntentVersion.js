@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// One revision per intent parse; the latest matches the current AlertIntent
+const alertIntentVersionSchema = new mongoose.Schema(
+  {
+    alert_id: {
+      type: String,
+      required: true,
+    },
+    user_id: {
+      type: String,
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    source_fingerprint: {
+      type: String,
+      default: null,
+    },
+    parsing_version: {
+      type: String,
+      default: null,
+    },
+    // LLM that produced the revision; fallback = heuristic parse after an LLM failure
+    provider: {
+      type: String,
+      default: null,
+    },
+    model: {
+      type: String,
+      default: null,
+    },
+    fallback: {
+      type: Boolean,
+      default: false,
+    },
+    // Parsed fields as stored on AlertIntent (topic, intent_summary, perplexity_query, ...)
+    intent: {
+      type: Object,
+      required: true,
+    },
+    parsed_at: {
+      type: Date,
+      default: null,
+    },
+    // null while this is the current revision
+    superseded_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+alertIntentVersionSchema.index(
+  { user_id: 1, alert_id: 1, version: -1 },
+  { unique: true }
+);
+
+const AlertIntentVersion = mongoose.model(
+  "AlertIntentVersion",
+  alertIntentVersionSchema,
+  "alert_intent_versions_collection"
+);
+
+module.exports = AlertIntentVersion;
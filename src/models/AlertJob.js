@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+
+// One failed attempt of a job
+const jobErrorSchema = new mongoose.Schema(
+  {
+    attempt: { type: Number, required: true },
+    message: { type: String, default: null },
+    // "transient" errors are retried, "permanent" ones are dead-lettered
+    type: {
+      type: String,
+      enum: ["transient", "permanent"],
+      required: true,
+    },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Processing of one due alert, persisted so it survives restarts and can
+// be retried (see JobQueue)
+const alertJobSchema = new mongoose.Schema(
+  {
+    job_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    alert_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    user_id: {
+      type: String,
+      required: true,
+    },
+    // "schedule" when the alert came due, "dead_letter" when retried by hand
+    source: {
+      type: String,
+      enum: ["schedule", "dead_letter"],
+      default: "schedule",
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "succeeded"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    max_attempts: {
+      type: Number,
+      required: true,
+    },
+    // Queued jobs are picked up by the first run after this
+    next_attempt_at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Run of the latest attempt
+    run_id: {
+      type: String,
+      default: null,
+    },
+    attempt_errors: {
+      type: [jobErrorSchema],
+      default: [],
+    },
+    // Final processAlert status/reason of a succeeded job
+    result: {
+      status: { type: String, default: null },
+      reason: { type: String, default: null },
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+alertJobSchema.index({ status: 1, next_attempt_at: 1 });
+
+// Finished jobs are kept for JOB_RETENTION_DAYS (queued/running have no
+// finished_at and are never purged)
+alertJobSchema.index(
+  { finished_at: 1 },
+  {
+    expireAfterSeconds:
+      parseInt(process.env.JOB_RETENTION_DAYS || "7") * 24 * 60 * 60,
+  }
+);
+
+const AlertJob = mongoose.model(
+  "AlertJob",
+  alertJobSchema,
+  "alert_jobs_collection"
+);
+
+module.exports = AlertJob;
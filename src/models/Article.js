@@ -40,6 +40,20 @@ const articleSchema = new mongoose.Schema(
       type: String,
       default: "perplexity",
     },
+    // Canonical article URL, its domain and publish date (when the provider has them)
+    source_url: {
+      type: String,
+      default: null,
+    },
+    source_domain: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    published_at: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
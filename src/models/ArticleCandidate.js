@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+// How far a fetched article got through rating, formatting and gatekeeping
+const CANDIDATE_OUTCOMES = [
+  "over_limit", // beyond the formatter's maxArticles, never rated
+  "empty_after_cleaning",
+  "rejected_by_rating",
+  "format_failed",
+  "rejected_by_gatekeeper",
+  "excluded_topic",
+  "selected", // passed every check; delivery may still skip it as a duplicate
+];
+
+// One fetched article evaluated for an alert in a run
+const articleCandidateSchema = new mongoose.Schema(
+  {
+    // null for on-demand deliveries outside a cron run (POST /news/alert/:alert_id)
+    run_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    alert_id: {
+      type: String,
+      required: true,
+    },
+    user_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    article_hash: {
+      type: String,
+      default: null,
+    },
+    source_url: { type: String, default: null },
+    source_domain: { type: String, default: null },
+    published_at: { type: Date, default: null },
+    // Start of the raw article text
+    preview: {
+      type: String,
+      default: "",
+    },
+    // Formatted title, when the article got that far
+    title: {
+      type: String,
+      default: null,
+    },
+    rating: {
+      type: Number,
+      default: null,
+    },
+    rating_reason: {
+      type: String,
+      default: null,
+    },
+    rating_provider: {
+      type: String,
+      default: null,
+    },
+    rating_model: {
+      type: String,
+      default: null,
+    },
+    threshold: {
+      type: Number,
+      default: null,
+    },
+    // rating >= threshold (null when rating was skipped)
+    accepted: {
+      type: Boolean,
+      default: null,
+    },
+    passed_gatekeeper: {
+      type: Boolean,
+      default: null,
+    },
+    gatekeeper_reason: {
+      type: String,
+      default: null,
+    },
+    excluded_topic: {
+      type: String,
+      default: null,
+    },
+    outcome: {
+      type: String,
+      enum: CANDIDATE_OUTCOMES,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: "evaluated_at", updatedAt: false },
+  }
+);
+
+articleCandidateSchema.index({ alert_id: 1, evaluated_at: -1 });
+articleCandidateSchema.index({ alert_id: 1, article_hash: 1 });
+
+const ArticleCandidate = mongoose.model(
+  "ArticleCandidate",
+  articleCandidateSchema,
+  "article_candidates_collection"
+);
+
+module.exports = ArticleCandidate;
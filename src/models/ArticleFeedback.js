@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// A user's thumbs-up/down on one delivered message (latest vote wins)
+const articleFeedbackSchema = new mongoose.Schema(
+  {
+    dispatch_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+    },
+    user_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // null for user_digest messages that mix several alerts
+    alert_id: {
+      type: String,
+      default: null,
+    },
+    value: {
+      type: String,
+      enum: ["up", "down"],
+      required: true,
+    },
+    // Where the vote came from: WhatsApp quick-reply or the REST endpoint
+    source: {
+      type: String,
+      enum: ["whatsapp", "api"],
+      required: true,
+    },
+    comment: {
+      type: String,
+      default: null,
+    },
+    // Copied from the dispatch so rating prompts don't need a join
+    kind: {
+      type: String,
+      enum: ["single", "digest"],
+      default: "single",
+    },
+    article_hash: {
+      type: String,
+      default: null,
+    },
+    title: {
+      type: String,
+      default: "",
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    source_domain: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+articleFeedbackSchema.index({ user_id: 1, alert_id: 1, updatedAt: -1 });
+
+const ArticleFeedback = mongoose.model(
+  "ArticleFeedback",
+  articleFeedbackSchema,
+  "article_feedback_collection"
+);
+
+module.exports = ArticleFeedback;
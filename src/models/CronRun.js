@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// One pipeline run; each alert's outcome is a CronRunAlert with its run_id
+const cronRunSchema = new mongoose.Schema(
+  {
+    run_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual", "first-alert", "on-demand"],
+      required: true,
+    },
+    // Target and options of an on-demand run (POST /cron/trigger/alert|user)
+    on_demand: {
+      type: new mongoose.Schema(
+        {
+          alert_id: { type: String, default: null },
+          user_id: { type: String, default: null },
+          force_reparse: { type: Boolean, default: false },
+          bypass_dedup: { type: Boolean, default: false },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed", "cancelled"],
+      default: "running",
+    },
+    // Set by POST /cron/cancel; the run stops before its next alert
+    cancel_requested_at: {
+      type: Date,
+      default: null,
+    },
+    started_at: {
+      type: Date,
+      required: true,
+    },
+    finished_at: {
+      type: Date,
+      default: null,
+    },
+    duration_ms: {
+      type: Number,
+      default: null,
+    },
+    totals: {
+      due: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cronRunSchema.index({ started_at: -1 });
+cronRunSchema.index({ trigger: 1, started_at: -1 });
+
+const CronRun = mongoose.model("CronRun", cronRunSchema, "cron_runs_collection");
+
+module.exports = CronRun;
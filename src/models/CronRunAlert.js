@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+
+// Outcome of one alert within a run, kept out of the run document so
+// large runs stay well below MongoDB's document size limit
+const cronRunAlertSchema = new mongoose.Schema(
+  {
+    run_id: { type: String, required: true },
+    alert_id: { type: String, required: true },
+    user_id: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["success", "skipped", "error"],
+      required: true,
+    },
+    reason: { type: String, default: null },
+    error: { type: String, default: null },
+    // Queued job this attempt belongs to (see AlertJob)
+    job_id: { type: String, default: null },
+    attempt: { type: Number, default: null },
+    news_source: { type: String, default: null },
+    articles_found: { type: Number, default: 0 },
+    // Per-article gatekeeping ratings from ArticleFormatter
+    ratings: {
+      type: [
+        new mongoose.Schema(
+          {
+            article_hash: { type: String, default: null },
+            rating: { type: Number },
+            reason: { type: String },
+            accepted: { type: Boolean },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    formatter: {
+      formatted: { type: Number, default: 0 },
+      passed_gatekeeper: { type: Number, default: 0 },
+      // Dropped by the exclude_topics keyword guard after gatekeeping
+      excluded_by_topic: { type: Number, default: 0 },
+      // Minimum rating the alert's articles had to reach in this run
+      rating_threshold: { type: Number, default: null },
+    },
+    // Ranked articles that passed all checks but were not sent (served by MORE)
+    remaining_articles: {
+      type: [
+        new mongoose.Schema(
+          {
+            title: { type: String },
+            description: { type: String },
+            image_url: { type: String, default: null },
+            article_hash: { type: String, default: null },
+            source_url: { type: String, default: null },
+            source_domain: { type: String, default: null },
+            published_at: { type: Date, default: null },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    wati: {
+      status: { type: String, default: null },
+      reason: { type: String, default: null },
+      log_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    },
+    // Per-channel delivery outcome: { whatsapp: { status, reason, log_id }, email: ... }
+    channels: { type: Object, default: undefined },
+    // What processAlert did at each step (intent, rating_threshold, fetch,
+    // format, deliver), with step-specific details
+    steps: {
+      type: [
+        new mongoose.Schema(
+          {
+            step: { type: String },
+            status: { type: String },
+            detail: { type: Object, default: {} },
+            at: { type: Date },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    started_at: { type: Date },
+    finished_at: { type: Date },
+  }
+);
+
+cronRunAlertSchema.index({ run_id: 1, started_at: 1 });
+cronRunAlertSchema.index({ alert_id: 1, started_at: -1 });
+cronRunAlertSchema.index({ user_id: 1, started_at: -1 });
+
+const CronRunAlert = mongoose.model(
+  "CronRunAlert",
+  cronRunAlertSchema,
+  "cron_run_alerts_collection"
+);
+
+module.exports = CronRunAlert;
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// An alert job that failed for good: a permanent error, or transient
+// errors on every attempt. Kept until retried or discarded by an admin.
+const deadLetterJobSchema = new mongoose.Schema(
+  {
+    job_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    alert_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    user_id: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      default: "schedule",
+    },
+    // "permanent_error" | "max_attempts"
+    reason: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    run_id: {
+      type: String,
+      default: null,
+    },
+    attempt_errors: {
+      type: [
+        new mongoose.Schema(
+          {
+            attempt: { type: Number },
+            message: { type: String, default: null },
+            type: { type: String },
+            at: { type: Date },
+          },
+          { _id: false }
+        ),
+      ],
+      default: [],
+    },
+    // When the job was first queued
+    queued_at: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: "failed_at", updatedAt: false },
+  }
+);
+
+deadLetterJobSchema.index({ failed_at: -1 });
+
+const DeadLetterJob = mongoose.model(
+  "DeadLetterJob",
+  deadLetterJobSchema,
+  "alert_jobs_dead_letter_collection"
+);
+
+module.exports = DeadLetterJob;
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// Client-supplied Idempotency-Key for requests that message users
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    // Endpoint the key was used on (e.g. "news_alert_deliver")
+    scope: {
+      type: String,
+      required: true,
+    },
+    user_id: {
+      type: String,
+      required: true,
+    },
+    // Resource the request acted on; reusing a key for another one is rejected
+    target: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["in_progress", "completed"],
+      default: "in_progress",
+    },
+    // Stored response, replayed for retries with the same key
+    status_code: {
+      type: Number,
+      default: null,
+    },
+    response: {
+      type: Object,
+      default: null,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ user_id: 1, scope: 1, key: 1 }, { unique: true });
+
+// Let MongoDB purge expired keys automatically
+idempotencyKeySchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model(
+  "IdempotencyKey",
+  idempotencyKeySchema,
+  "idempotency_keys_collection"
+);
+
+module.exports = IdempotencyKey;
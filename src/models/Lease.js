@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Time-limited lock shared by all server instances (see LeaseService)
+const leaseSchema = new mongoose.Schema({
+  // "cron:run" for the global run, "alert:<alert_id>" for alert claims
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Instance holding the lease (host:pid), for status and logs
+  owner: {
+    type: String,
+    required: true,
+  },
+  // Identifies one acquisition, so a holder whose lease expired and was
+  // taken over cannot renew or release the new holder's lease
+  token: {
+    type: String,
+    required: true,
+  },
+  acquired_at: {
+    type: Date,
+    required: true,
+  },
+  heartbeat_at: {
+    type: Date,
+    required: true,
+  },
+  // Free for anyone to take after this
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Purge leases abandoned by crashed instances an hour after they expire
+leaseSchema.index({ expires_at: 1 }, { expireAfterSeconds: 3600 });
+
+const Lease = mongoose.model("Lease", leaseSchema, "leases_collection");
+
+module.exports = Lease;
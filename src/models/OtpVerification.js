@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const otpVerificationSchema = new mongoose.Schema(
+  {
+    country_code: {
+      type: String,
+      required: true,
+    },
+    phone_number: {
+      type: String,
+      required: true,
+    },
+    // Email supplied at login, applied to the user once the code is verified
+    email: {
+      type: String,
+      required: true,
+    },
+    // sha256 of phone + code; the plain code is never stored
+    code_hash: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    expires_at: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+otpVerificationSchema.index({ country_code: 1, phone_number: 1, createdAt: -1 });
+
+// Let MongoDB purge expired codes automatically
+otpVerificationSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const OtpVerification = mongoose.model(
+  "OtpVerification",
+  otpVerificationSchema,
+  "otp_verifications_collection"
+);
+
+module.exports = OtpVerification;
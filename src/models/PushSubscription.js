@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Browser Push API subscription (PushSubscription.toJSON())
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    endpoint: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true },
+    },
+    expiration_time: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PushSubscription = mongoose.model(
+  "PushSubscription",
+  pushSubscriptionSchema,
+  "push_subscriptions_collection"
+);
+
+module.exports = PushSubscription;
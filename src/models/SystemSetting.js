@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Process-wide switch shared by all server instances (e.g. delivery_paused)
+const systemSettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    // Why the setting was last changed, for operators
+    reason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const SystemSetting = mongoose.model(
+  "SystemSetting",
+  systemSettingSchema,
+  "system_settings_collection"
+);
+
+module.exports = SystemSetting;
@@ -19,6 +19,17 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Channels alerts are delivered on unless an alert overrides them
+    notification_channels: {
+      type: [String],
+      enum: ["whatsapp", "email", "push"],
+      default: ["whatsapp"],
+    },
+    // News domains excluded from every alert
+    blocked_domains: {
+      type: [String],
+      default: [],
+    },
   },
   {
     timestamps: true,
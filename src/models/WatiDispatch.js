@@ -1,5 +1,33 @@
 const mongoose = require("mongoose");
 
+// One entry per WATI delivery status callback (sent → delivered → read, or failed)
+const statusEventSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["sent", "delivered", "read", "failed"],
+      required: true,
+    },
+    at: { type: Date, required: true },
+    error_code: { type: String, default: null },
+    error_detail: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+// Article included in a digest message
+const digestArticleSchema = new mongoose.Schema(
+  {
+    alert_id: { type: String, default: null },
+    article_hash: { type: String, default: null },
+    content_hash: { type: String, default: null },
+    title: { type: String, default: "" },
+    source_url: { type: String, default: null },
+    published_at: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
 const watiDispatchSchema = new mongoose.Schema(
   {
     user_id: {
@@ -43,6 +71,19 @@ const watiDispatchSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // Source of the article behind a single message (digests keep it per article)
+    source_url: {
+      type: String,
+      default: null,
+    },
+    source_domain: {
+      type: String,
+      default: null,
+    },
+    published_at: {
+      type: Date,
+      default: null,
+    },
     payload: {
       type: Object,
       required: true,
@@ -59,6 +100,44 @@ const watiDispatchSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // Delivery channel; null for duplicates caught before any channel was tried
+    channel: {
+      type: String,
+      enum: ["whatsapp", "email", "push", null],
+      default: "whatsapp",
+      index: true,
+    },
+    // "single" = one article per message, "digest" = numbered headlines
+    kind: {
+      type: String,
+      enum: ["single", "digest"],
+      default: "single",
+    },
+    digest_articles: {
+      type: [digestArticleSchema],
+      default: undefined,
+    },
+    // WATI localMessageId from the send response, used to match status callbacks
+    wati_message_id: {
+      type: String,
+      required: false,
+      index: true,
+    },
+    whatsapp_message_id: {
+      type: String,
+      required: false,
+      index: true,
+    },
+    // Furthest delivery state reached (failed is terminal)
+    delivery_status: {
+      type: String,
+      enum: ["sent", "delivered", "read", "failed", null],
+      default: null,
+    },
+    status_timeline: {
+      type: [statusEventSchema],
+      default: [],
+    },
   },
   {
     timestamps: { createdAt: "sent_at", updatedAt: "updated_at" },
@@ -71,6 +150,10 @@ watiDispatchSchema.index({ user_id: 1, template_name: 1, content_hash: 1 });
 // Optional index for original-article-level duplicate prevention
 watiDispatchSchema.index({ user_id: 1, template_name: 1, article_hash: 1 });
 
+// Per-article duplicate prevention for digests
+watiDispatchSchema.index({ user_id: 1, "digest_articles.content_hash": 1 });
+watiDispatchSchema.index({ user_id: 1, "digest_articles.article_hash": 1 });
+
 const WatiDispatch = mongoose.model(
   "WatiDispatch",
   watiDispatchSchema,
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const watiInboundMessageSchema = new mongoose.Schema(
+  {
+    // WATI message id, used to ignore webhook retries
+    message_id: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    wa_id: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    user_id: {
+      type: String,
+      default: null,
+      index: true,
+    },
+    text: {
+      type: String,
+      default: "",
+    },
+    command: {
+      type: String,
+      default: null,
+    },
+    reply_text: {
+      type: String,
+      default: null,
+    },
+    result: {
+      type: Object,
+      default: {},
+    },
+    payload: {
+      type: Object,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: "received_at", updatedAt: "updated_at" },
+  }
+);
+
+const WatiInboundMessage = mongoose.model(
+  "WatiInboundMessage",
+  watiInboundMessageSchema,
+  "wati_inbound_messages_collection"
+);
+
+module.exports = WatiInboundMessage;
@@ -2,119 +2,229 @@ const express = require("express");
 const router = express.Router();
 const {
   createAlert,
+  previewAlert,
   getAlertsByUser,
   getScheduledAlerts,
   updateAlertById,
   pausedAlertById,
   activateAlertById,
   updateAlertSchedule,
+  getAlertRatingThreshold,
   deleteAlertById,
 } = require("../controllers/alertController");
-const { parseAlertIntent } = require("../controllers/intentController");
+const {
+  parseAlertIntent,
+  getIntentRevisions,
+  diffIntentRevisions,
+} = require("../controllers/intentController");
+const { getAlertFeedback } = require("../controllers/feedbackController");
 const {
   validateCreateAlert,
   validateUpdateAlert,
   validateScheduleUpdate,
   validateParams,
   validateUserId,
+  validateIntentRevisionsQuery,
+  validateIntentDiffQuery,
+  validateFeedbackQuery,
   handleValidationErrors,
 } = require("../middleware/alertValidation");
+const {
+  authenticate,
+  authorizeUser,
+  requireAdmin,
+} = require("../middleware/auth");
 
 /**
  * @route   POST /alerts/parse-intent
  * @desc    Parse alert intent from text (test endpoint)
- * @access  Public
+ * @access  Private (user_id in body/query must match token)
  * Note: This route must come before /:user_id to avoid route conflicts
  */
-router.post("/parse-intent", parseAlertIntent);
-router.get("/parse-intent", parseAlertIntent);
+router.post("/parse-intent", authenticate, authorizeUser, parseAlertIntent);
+router.get("/parse-intent", authenticate, authorizeUser, parseAlertIntent);
 
 /**
  * @route   POST /alerts/
  * @desc    Create a new alert
- * @access  Public
+ * @access  Private (body.user_id must match token)
+ */
+router.post(
+  "/",
+  authenticate,
+  validateCreateAlert,
+  handleValidationErrors,
+  authorizeUser,
+  createAlert
+);
+
+/**
+ * @route   POST /alerts/preview
+ * @desc    Dry run an alert (same body as create): parse, fetch, rate and
+ *          format without saving or sending anything
+ * @access  Private (body.user_id must match token)
  */
-router.post("/", validateCreateAlert, handleValidationErrors, createAlert);
+router.post(
+  "/preview",
+  authenticate,
+  validateCreateAlert,
+  handleValidationErrors,
+  authorizeUser,
+  previewAlert
+);
 
 /**
  * @route   GET /alerts/active/all
  * @desc    Get all active alerts (for cron)
- * @access  Public
+ * @access  Admin
  * Note: This route must come before /:user_id to avoid route conflicts
  */
-router.get("/active/all", getScheduledAlerts);
+router.get("/active/all", authenticate, requireAdmin, getScheduledAlerts);
 
 /**
  * @route   GET /alerts/:user_id
  * @desc    Get all alerts for a user
- * @access  Public
+ * @access  Private
  */
 router.get(
   "/:user_id",
+  authenticate,
   validateUserId,
   handleValidationErrors,
+  authorizeUser,
   getAlertsByUser
 );
 
 /**
  * @route   PUT /alerts/:user_id/:alert_id
  * @desc    Update alert fields
- * @access  Public
+ * @access  Private
  */
 router.put(
   "/:user_id/:alert_id",
+  authenticate,
   validateParams,
   validateUpdateAlert,
   handleValidationErrors,
+  authorizeUser,
   updateAlertById
 );
 
+/**
+ * @route   GET /alerts/:user_id/:alert_id/intents
+ * @desc    List parsed intent revisions for an alert
+ * @access  Private
+ */
+router.get(
+  "/:user_id/:alert_id/intents",
+  authenticate,
+  validateParams,
+  validateIntentRevisionsQuery,
+  handleValidationErrors,
+  authorizeUser,
+  getIntentRevisions
+);
+
+/**
+ * @route   GET /alerts/:user_id/:alert_id/intents/diff
+ * @desc    Compare two intent revisions (query, summary, timeframe)
+ * @access  Private
+ */
+router.get(
+  "/:user_id/:alert_id/intents/diff",
+  authenticate,
+  validateParams,
+  validateIntentDiffQuery,
+  handleValidationErrors,
+  authorizeUser,
+  diffIntentRevisions
+);
+
+/**
+ * @route   GET /alerts/:user_id/:alert_id/rating-threshold
+ * @desc    Current article rating threshold and recent rating distribution
+ * @access  Private
+ */
+router.get(
+  "/:user_id/:alert_id/rating-threshold",
+  authenticate,
+  validateParams,
+  handleValidationErrors,
+  authorizeUser,
+  getAlertRatingThreshold
+);
+
+/**
+ * @route   GET /alerts/:user_id/:alert_id/feedback
+ * @desc    List thumbs-up/down feedback on the alert's delivered updates
+ * @access  Private
+ * @query   limit (optional): Default 20
+ * @query   skip (optional): Default 0
+ */
+router.get(
+  "/:user_id/:alert_id/feedback",
+  authenticate,
+  validateParams,
+  validateFeedbackQuery,
+  handleValidationErrors,
+  authorizeUser,
+  getAlertFeedback
+);
+
 /**
  * @route   PUT /alerts/:user_id/:alert_id/pause
  * @desc    Pause alert (set is_active to false)
- * @access  Public
+ * @access  Private
  */
 router.put(
   "/:user_id/:alert_id/pause",
+  authenticate,
   validateParams,
   handleValidationErrors,
+  authorizeUser,
   pausedAlertById
 );
 
 /**
  * @route   PUT /alerts/:user_id/:alert_id/activate
  * @desc    Activate alert (set is_active to true)
- * @access  Public
+ * @access  Private
  */
 router.put(
   "/:user_id/:alert_id/activate",
+  authenticate,
   validateParams,
   handleValidationErrors,
+  authorizeUser,
   activateAlertById
 );
 
 /**
  * @route   PUT /alerts/:user_id/:alert_id/schedule
  * @desc    Update alert schedule
- * @access  Public
+ * @access  Private
  */
 router.put(
   "/:user_id/:alert_id/schedule",
+  authenticate,
   validateParams,
   validateScheduleUpdate,
   handleValidationErrors,
+  authorizeUser,
   updateAlertSchedule
 );
 
 /**
  * @route   DELETE /alerts/:user_id/:alert_id
  * @desc    Delete alert
- * @access  Public
+ * @access  Private
  */
 router.delete(
   "/:user_id/:alert_id",
+  authenticate,
   validateParams,
   handleValidationErrors,
+  authorizeUser,
   deleteAlertById
 );
 
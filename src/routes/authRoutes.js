@@ -1,16 +1,39 @@
 const express = require('express');
 const router = express.Router();
-const { login } = require('../controllers/authController');
-const { validateLogin, handleValidationErrors } = require('../middleware/validation');
+const { login, verifyOtp, refreshToken } = require('../controllers/authController');
+const {
+  validateLogin,
+  validateVerifyOtp,
+  validateRefreshToken,
+  handleValidationErrors,
+} = require('../middleware/validation');
 
 /**
  * @route   POST /auth/login
- * @desc    Login or register user
+ * @desc    Login step 1: send OTP code via WhatsApp
  * @access  Public
  * @body    { country_code: string, phone_number: string, email: string }
- * @returns { user_id: string, country_code: string, phone_number: string, email: string }
+ * @returns { country_code: string, phone_number: string, expires_at: Date }
  */
 router.post('/login', validateLogin, handleValidationErrors, login);
 
+/**
+ * @route   POST /auth/verify-otp
+ * @desc    Login step 2: verify OTP code, login or register user
+ * @access  Public
+ * @body    { country_code: string, phone_number: string, code: string }
+ * @returns { user_id: string, country_code: string, phone_number: string, email: string, tokens: object }
+ */
+router.post('/verify-otp', validateVerifyOtp, handleValidationErrors, verifyOtp);
+
+/**
+ * @route   POST /auth/refresh
+ * @desc    Exchange refresh token for a new token pair
+ * @access  Public
+ * @body    { refresh_token: string }
+ * @returns { user_id: string, tokens: object }
+ */
+router.post('/refresh', validateRefreshToken, handleValidationErrors, refreshToken);
+
 module.exports = router;
 
@@ -1,6 +1,27 @@
 const express = require("express");
 const router = express.Router();
-const { triggerCronJob, getCronStatus } = require("../controllers/cronController");
+const {
+  triggerCronJob,
+  triggerAlertRun,
+  triggerUserRun,
+  getCronStatus,
+  cancelCronRun,
+  pauseDelivery,
+  resumeDelivery,
+  getCronRuns,
+  getCronRunById,
+} = require("../controllers/cronController");
+const {
+  getJobs,
+  getDeadLetterJobs,
+  retryDeadLetterJob,
+  discardDeadLetterJob,
+} = require("../controllers/jobController");
+const {
+  validateCronRunsQuery,
+  handleValidationErrors,
+} = require("../middleware/alertValidation");
+const { authenticate, requireAdmin } = require("../middleware/auth");
 
 /**
  * @route   POST /cron/trigger
@@ -9,6 +30,34 @@ const { triggerCronJob, getCronStatus } = require("../controllers/cronController
  */
 router.post("/trigger", triggerCronJob);
 
+/**
+ * @route   POST /cron/trigger/alert/:alert_id
+ * @desc    Re-run one active alert now, regardless of its schedule
+ * @access  Admin
+ * @body    force_reparse (optional): Re-parse the intent even if current
+ * @body    bypass_dedup (optional): Resend articles already delivered
+ * @body    wait (optional): Return the results instead of a run_id (202)
+ */
+router.post(
+  "/trigger/alert/:alert_id",
+  authenticate,
+  requireAdmin,
+  triggerAlertRun
+);
+
+/**
+ * @route   POST /cron/trigger/user/:user_id
+ * @desc    Re-run all active alerts of one user now
+ * @access  Admin
+ * @body    force_reparse, bypass_dedup, wait (optional): As above
+ */
+router.post(
+  "/trigger/user/:user_id",
+  authenticate,
+  requireAdmin,
+  triggerUserRun
+);
+
 /**
  * @route   GET /cron/status
  * @desc    Get cron job status
@@ -16,5 +65,113 @@ router.post("/trigger", triggerCronJob);
  */
 router.get("/status", getCronStatus);
 
+/**
+ * @route   POST /cron/cancel
+ * @desc    Stop a run in progress (on any instance) before its next alert
+ * @access  Admin
+ * @body    run_id (optional): Run to stop, e.g. an on-demand run; defaults
+ *          to the scheduled run in progress, else an on-demand one
+ */
+router.post("/cancel", authenticate, requireAdmin, cancelCronRun);
+
+/**
+ * @route   POST /cron/delivery/pause
+ * @desc    Kill-switch: keep runs going but send no WATI news/digest messages
+ * @access  Admin
+ * @body    reason (optional)
+ */
+router.post(
+  "/delivery/pause",
+  authenticate,
+  requireAdmin,
+  pauseDelivery
+);
+
+/**
+ * @route   POST /cron/delivery/resume
+ * @desc    Turn the delivery kill-switch off
+ * @access  Admin
+ * @body    reason (optional)
+ */
+router.post(
+  "/delivery/resume",
+  authenticate,
+  requireAdmin,
+  resumeDelivery
+);
+
+/**
+ * @route   GET /cron/runs
+ * @desc    List past pipeline runs (summary only)
+ * @access  Admin
+ * @query   trigger (optional): "schedule" | "manual" | "first-alert" | "on-demand"
+ * @query   status (optional): "running" | "completed" | "failed" | "cancelled"
+ * @query   limit (optional): Default 20, at most 100
+ * @query   skip (optional): Default 0
+ */
+router.get(
+  "/runs",
+  authenticate,
+  requireAdmin,
+  validateCronRunsQuery,
+  handleValidationErrors,
+  getCronRuns
+);
+
+/**
+ * @route   GET /cron/runs/:id
+ * @desc    Get a pipeline run with per-alert step outcomes
+ * @access  Admin
+ */
+router.get("/runs/:id", authenticate, requireAdmin, getCronRunById);
+
+/**
+ * @route   GET /cron/jobs
+ * @desc    List alert jobs, newest first
+ * @access  Admin
+ * @query   status (optional): "queued" | "running" | "succeeded"
+ * @query   alert_id, user_id (optional)
+ * @query   limit (optional): Default 20
+ * @query   skip (optional): Default 0
+ */
+router.get("/jobs", authenticate, requireAdmin, getJobs);
+
+/**
+ * @route   GET /cron/jobs/dead-letter
+ * @desc    List jobs that failed for good, newest first
+ * @access  Admin
+ * @query   alert_id, user_id, limit, skip (optional)
+ */
+router.get(
+  "/jobs/dead-letter",
+  authenticate,
+  requireAdmin,
+  getDeadLetterJobs
+);
+
+/**
+ * @route   POST /cron/jobs/dead-letter/:job_id/retry
+ * @desc    Queue a dead-lettered job again for the next run
+ * @access  Admin
+ */
+router.post(
+  "/jobs/dead-letter/:job_id/retry",
+  authenticate,
+  requireAdmin,
+  retryDeadLetterJob
+);
+
+/**
+ * @route   DELETE /cron/jobs/dead-letter/:job_id
+ * @desc    Discard a dead-lettered job
+ * @access  Admin
+ */
+router.delete(
+  "/jobs/dead-letter/:job_id",
+  authenticate,
+  requireAdmin,
+  discardDeadLetterJob
+);
+
 module.exports = router;
 
@@ -3,31 +3,69 @@ const router = express.Router();
 const {
   processUserAlertsAndStoreIntent,
 } = require("../controllers/intentController");
-const { getNewsForAlert } = require("../controllers/newsController");
+const {
+  getNewsForAlert,
+  deliverNewsForAlert,
+  getAlertCandidates,
+} = require("../controllers/newsController");
 const {
   validateUserId,
+  validateNewsDelivery,
+  validateCandidatesQuery,
   handleValidationErrors,
 } = require("../middleware/alertValidation");
+const { authenticate, authorizeUser } = require("../middleware/auth");
 
 /**
  * @route   POST /news/user/:user_id
  * @desc    Process user alerts, parse intent, and store in database
- * @access  Public
+ * @access  Private
  * @note    This endpoint parses all active alerts for the user and stores their intents
  */
 router.post(
   "/user/:user_id",
+  authenticate,
   validateUserId,
   handleValidationErrors,
+  authorizeUser,
   processUserAlertsAndStoreIntent
 );
 
 /**
  * @route   GET /news/alert/:alert_id
- * @desc    Get news for a specific alert
- * @access  Public
- * @query   user_id (optional) - for validation
+ * @desc    Get news for a specific alert (read-only, never sends)
+ * @access  Private (alert owner)
+ */
+router.get("/alert/:alert_id", authenticate, getNewsForAlert);
+
+/**
+ * @route   POST /news/alert/:alert_id
+ * @desc    Get news for an alert and, with deliver: true, send the top article
+ * @access  Private (alert owner)
+ * @body    deliver (optional, default false)
+ * @header  Idempotency-Key - required when deliver is true
+ */
+router.post(
+  "/alert/:alert_id",
+  authenticate,
+  validateNewsDelivery,
+  handleValidationErrors,
+  deliverNewsForAlert
+);
+
+/**
+ * @route   GET /news/alert/:alert_id/candidates
+ * @desc    Every article evaluated for an alert with its rating, gatekeeper
+ *          reason and outcome, newest first
+ * @access  Private (alert owner)
+ * @query   run_id, outcome, limit (default 50), skip (all optional)
  */
-router.get("/alert/:alert_id", getNewsForAlert);
+router.get(
+  "/alert/:alert_id/candidates",
+  authenticate,
+  validateCandidatesQuery,
+  handleValidationErrors,
+  getAlertCandidates
+);
 
 module.exports = router;
@@ -0,0 +1,50 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPublicKey,
+  subscribe,
+  unsubscribe,
+} = require("../controllers/pushController");
+const {
+  validatePushSubscribe,
+  validatePushUnsubscribe,
+  handleValidationErrors,
+} = require("../middleware/validation");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * @route   GET /push/public-key
+ * @desc    VAPID public key for PushManager.subscribe()
+ * @access  Public
+ */
+router.get("/public-key", getPublicKey);
+
+/**
+ * @route   POST /push/subscribe
+ * @desc    Save the browser's push subscription for the logged-in user
+ * @access  Private
+ * @body    { endpoint: string, expirationTime?: number, keys: { p256dh: string, auth: string } }
+ */
+router.post(
+  "/subscribe",
+  authenticate,
+  validatePushSubscribe,
+  handleValidationErrors,
+  subscribe
+);
+
+/**
+ * @route   DELETE /push/subscribe
+ * @desc    Remove a push subscription of the logged-in user
+ * @access  Private
+ * @body    { endpoint: string }
+ */
+router.delete(
+  "/subscribe",
+  authenticate,
+  validatePushUnsubscribe,
+  handleValidationErrors,
+  unsubscribe
+);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getChannelPreferences,
+  updateChannelPreferences,
+  getBlockedDomains,
+  updateBlockedDomains,
+} = require("../controllers/userController");
+const {
+  validateChannelPreferences,
+  validateBlockedDomains,
+  handleValidationErrors,
+} = require("../middleware/validation");
+const { validateUserId } = require("../middleware/alertValidation");
+const { authenticate, authorizeUser } = require("../middleware/auth");
+
+/**
+ * @route   GET /users/:user_id/channels
+ * @desc    Get the channels alerts are delivered on
+ * @access  Private
+ */
+router.get(
+  "/:user_id/channels",
+  authenticate,
+  validateUserId,
+  handleValidationErrors,
+  authorizeUser,
+  getChannelPreferences
+);
+
+/**
+ * @route   PUT /users/:user_id/channels
+ * @desc    Set the channels alerts are delivered on (alerts may override)
+ * @access  Private
+ * @body    { channels: ["whatsapp" | "email" | "push"] }
+ */
+router.put(
+  "/:user_id/channels",
+  authenticate,
+  validateUserId,
+  validateChannelPreferences,
+  handleValidationErrors,
+  authorizeUser,
+  updateChannelPreferences
+);
+
+/**
+ * @route   GET /users/:user_id/blocked-domains
+ * @desc    Get the domains excluded from all of the user's alerts
+ * @access  Private
+ */
+router.get(
+  "/:user_id/blocked-domains",
+  authenticate,
+  validateUserId,
+  handleValidationErrors,
+  authorizeUser,
+  getBlockedDomains
+);
+
+/**
+ * @route   PUT /users/:user_id/blocked-domains
+ * @desc    Replace the domains excluded from all of the user's alerts
+ * @access  Private
+ * @body    { domains: ["example.com"] }
+ */
+router.put(
+  "/:user_id/blocked-domains",
+  authenticate,
+  validateUserId,
+  validateBlockedDomains,
+  handleValidationErrors,
+  authorizeUser,
+  updateBlockedDomains
+);
+
+module.exports = router;
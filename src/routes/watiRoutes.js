@@ -7,63 +7,121 @@ const {
   checkDuplicate,
   getUserStats,
 } = require("../controllers/watiController");
+const { submitDispatchFeedback } = require("../controllers/feedbackController");
 const {
   validateUserId,
+  validateDispatchFeedback,
   handleValidationErrors,
 } = require("../middleware/alertValidation");
+const {
+  handleInboundMessage,
+  handleStatusUpdate,
+} = require("../controllers/watiWebhookController");
+const {
+  authenticate,
+  authorizeUser,
+  verifyWatiWebhook,
+} = require("../middleware/auth");
 
 /**
  * @route   GET /wati/user/:user_id
  * @desc    Get all WATI dispatches for a user
- * @query   status (optional): "sent" | "failed" | "duplicate"
+ * @access  Private
+ * @query   status (optional): "sent" | "failed" | "duplicate" | "delivered" | "read"
  * @query   alert_id (optional): Filter by alert_id
+ * @query   channel (optional): "whatsapp" | "email" | "push"
  * @query   limit (optional): Default 50
  * @query   skip (optional): Default 0
  */
 router.get(
   "/user/:user_id",
+  authenticate,
   validateUserId,
   handleValidationErrors,
+  authorizeUser,
   getUserDispatches
 );
 
 /**
  * @route   GET /wati/user/:user_id/duplicates
  * @desc    Get all duplicate messages for a user
+ * @access  Private
  * @query   limit (optional): Default 50
  * @query   skip (optional): Default 0
  */
 router.get(
   "/user/:user_id/duplicates",
+  authenticate,
   validateUserId,
   handleValidationErrors,
+  authorizeUser,
   getDuplicateMessages
 );
 
 /**
  * @route   GET /wati/user/:user_id/stats
  * @desc    Get WATI dispatch statistics for a user
+ * @access  Private
  */
 router.get(
   "/user/:user_id/stats",
+  authenticate,
   validateUserId,
   handleValidationErrors,
+  authorizeUser,
   getUserStats
 );
 
+/**
+ * @route   POST /wati/user/:user_id/dispatches/:dispatch_id/feedback
+ * @desc    Rate a delivered message; used as examples when rating new articles
+ * @access  Private
+ * @body    { feedback: "up" | "down", comment?: string }
+ */
+router.post(
+  "/user/:user_id/dispatches/:dispatch_id/feedback",
+  authenticate,
+  validateUserId,
+  validateDispatchFeedback,
+  handleValidationErrors,
+  authorizeUser,
+  submitDispatchFeedback
+);
+
 /**
  * @route   GET /wati/alert/:alert_id
- * @desc    Get all dispatches for a specific alert
- * @query   user_id (optional): Filter by user_id
+ * @desc    Get the authenticated user's dispatches for a specific alert
+ * @access  Private
+ * @query   user_id (optional): Must match token
  */
-router.get("/alert/:alert_id", getAlertDispatches);
+router.get(
+  "/alert/:alert_id",
+  authenticate,
+  authorizeUser,
+  getAlertDispatches
+);
 
 /**
  * @route   POST /wati/check-duplicate
  * @desc    Check if a message would be duplicate before sending
+ * @access  Private (body.user_id must match token)
  * @body    { user_id, alert_id, article: { title, description, image_url }, template_name?, broadcast_name? }
  */
-router.post("/check-duplicate", checkDuplicate);
+router.post("/check-duplicate", authenticate, authorizeUser, checkDuplicate);
+
+/**
+ * @route   POST /wati/webhook/message
+ * @desc    WATI inbound message webhook (STOP, PAUSE, RESUME, LIST, MORE, 👍/👎)
+ * @access  WATI (?token=WATI_WEBHOOK_SECRET)
+ */
+router.post("/webhook/message", verifyWatiWebhook, handleInboundMessage);
+
+/**
+ * @route   POST /wati/webhook/status
+ * @desc    WATI message status webhook (sent, delivered, read, failed)
+ * @access  WATI (?token=WATI_WEBHOOK_SECRET)
+ */
+router.post("/webhook/status", verifyWatiWebhook, handleStatusUpdate);
 
 module.exports = router;
 
@@ -86,8 +86,8 @@ server.listen(PORT, () => {
     console.log("[CRON] Cron service started");
     console.log(
       `[CRON] Interval: ${
-        process.env.CRON_INTERVAL || "0 9 * * *"
-      } (daily at 9:00 AM)`
+        process.env.CRON_INTERVAL || "*/15 * * * *"
+      } (alerts run per their own schedule)`
     );
   } else {
     console.log(
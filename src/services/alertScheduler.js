@@ -0,0 +1,221 @@
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+const DEFAULT_TIME = "09:00";
+const DEFAULT_WEEKLY_DAY = "monday";
+// Shortest gap between two runs of a "realtime" alert
+const REALTIME_MIN_INTERVAL_MS =
+  parseInt(process.env.REALTIME_MIN_INTERVAL_MINUTES || "60") * 60 * 1000;
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Check if a timezone is a valid IANA name (e.g. "America/New_York")
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get wall-clock parts of a date in the given timezone
+ */
+function _getZonedParts(date, timezone) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "long",
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: parts.weekday.toLowerCase(),
+  };
+}
+
+/**
+ * Offset (ms) between the timezone's wall clock and UTC at a given instant
+ */
+function _getTimezoneOffset(date, timezone) {
+  const p = _getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date.
+ * Month/day/hour overflow is normalised by Date.UTC.
+ */
+function _zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = _getTimezoneOffset(new Date(guess), timezone);
+  let result = guess - offset;
+
+  // Re-check offset at the result in case we crossed a DST transition
+  const correctedOffset = _getTimezoneOffset(new Date(result), timezone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+
+  return new Date(result);
+}
+
+/**
+ * Parse "HH:MM" into { hour, minute }, falling back to the default time
+ */
+function _parseTime(time) {
+  const match =
+    /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/.exec(time || "") ||
+    /^(\d+):(\d+)$/.exec(DEFAULT_TIME);
+  return { hour: parseInt(match[1]), minute: parseInt(match[2]) };
+}
+
+/**
+ * Normalise schedule fields and apply defaults
+ */
+function normalizeSchedule(schedule = {}) {
+  const frequency = schedule?.frequency || "realtime";
+  const timezone = isValidTimezone(schedule?.timezone)
+    ? schedule.timezone
+    : DEFAULT_TIMEZONE;
+
+  let days = Array.isArray(schedule?.days)
+    ? schedule.days
+        .map((d) => (typeof d === "string" ? d.toLowerCase() : ""))
+        .filter((d) => WEEKDAYS.includes(d))
+    : [];
+
+  if (frequency === "weekly" && days.length === 0) {
+    days = [DEFAULT_WEEKLY_DAY];
+  }
+
+  return {
+    frequency,
+    time: schedule?.time || DEFAULT_TIME,
+    timezone,
+    days,
+  };
+}
+
+/**
+ * Compute the next time an alert is due, strictly after `from`.
+ *
+ * - realtime: on the first cron tick REALTIME_MIN_INTERVAL_MINUTES after `from`
+ * - hourly:   every hour at the minute of `time`
+ * - daily:    every day at `time`
+ * - weekly:   at `time` on each of `days` (default Monday)
+ *
+ * `days` restricts hourly/daily runs to those weekdays when provided.
+ *
+ * @param {Object} schedule - Alert.schedule { frequency, time, timezone, days }
+ * @param {Date} from - Reference time (default now)
+ * @returns {Date} Next due time (UTC)
+ */
+function computeNextRunAt(schedule, from = new Date()) {
+  const { frequency, time, timezone, days } = normalizeSchedule(schedule);
+  const fromDate = new Date(from);
+
+  if (frequency === "realtime") {
+    return new Date(fromDate.getTime() + REALTIME_MIN_INTERVAL_MS);
+  }
+
+  const { hour, minute } = _parseTime(time);
+  const local = _getZonedParts(fromDate, timezone);
+  const isAllowedDay = (date) =>
+    days.length === 0 ||
+    days.includes(_getZonedParts(date, timezone).weekday);
+
+  if (frequency === "hourly") {
+    // Scan forward hour by hour (up to 8 days to honour a days filter)
+    for (let h = 0; h <= 24 * 8; h++) {
+      const candidate = _zonedTimeToUtc(
+        local.year,
+        local.month,
+        local.day,
+        local.hour + h,
+        minute,
+        timezone
+      );
+      if (candidate > fromDate && isAllowedDay(candidate)) {
+        return candidate;
+      }
+    }
+  } else {
+    // daily / weekly: scan forward day by day
+    for (let d = 0; d <= 8; d++) {
+      const candidate = _zonedTimeToUtc(
+        local.year,
+        local.month,
+        local.day + d,
+        hour,
+        minute,
+        timezone
+      );
+      if (candidate > fromDate && isAllowedDay(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
+  // Should not happen for a valid schedule; retry on the next day
+  return new Date(fromDate.getTime() + 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Check whether an alert is due at `now`
+ * Alerts without a stored next_run_at are always due.
+ */
+function isAlertDue(alert, now = new Date()) {
+  if (!alert?.next_run_at) return true;
+  return new Date(alert.next_run_at) <= now;
+}
+
+/**
+ * Mongo filter for active alerts that are due at `now`
+ */
+function buildDueAlertsQuery(now = new Date()) {
+  return {
+    is_active: true,
+    $or: [
+      { next_run_at: { $exists: false } },
+      { next_run_at: null },
+      { next_run_at: { $lte: now } },
+    ],
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimezone,
+  normalizeSchedule,
+  computeNextRunAt,
+  isAlertDue,
+  buildDueAlertsQuery,
+};
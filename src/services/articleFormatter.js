@@ -1,6 +1,10 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const GeminiConfig = require("../config/geminiConfig");
+const { createLlmClient, parseJsonResponse } = require("./llmClient");
 const ImageSearchService = require("./imageSearchService");
+const { pickSourceFields } = require("./articleSource");
+const {
+  normalizeExcludeTopics,
+  filterByExcludedTopics,
+} = require("./topicExclusion");
 const Article = require("../models/Article");
 
 class ArticleFormatter {
@@ -12,11 +16,11 @@ class ArticleFormatter {
     enableRating = true
   ) {
     this.maxArticles = maxArticles;
-    this.modelName = model || GeminiConfig.getModel();
     this.maxPromptChars = maxPromptChars;
-    this.apiKey = GeminiConfig.getApiKey();
     this.minRatingThreshold = minRatingThreshold; // Minimum rating to proceed (default 7 instead of 9)
     this.enableRating = enableRating; // Enable/disable rating gatekeeping
+    // Outcome of the last formatArticles() call (ratings, counts) for run history
+    this.lastRunStats = null;
 
     // Initialize image search service (optional - won't fail if not configured)
     try {
@@ -25,31 +29,10 @@ class ArticleFormatter {
       this.imageSearchService = null;
     }
 
-    this.genAI = new GoogleGenerativeAI(this.apiKey);
-    this.model = this.genAI.getGenerativeModel({
-      model: this.modelName,
-      generationConfig: {
-        temperature: 0.3,
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_NONE",
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_NONE",
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_NONE",
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_NONE",
-        },
-      ],
-    });
+    // One client per task so provider/model can be switched per task
+    this.formatLlm = createLlmClient("format", { model, temperature: 0.3 });
+    this.ratingLlm = createLlmClient("rating", { model, temperature: 0.3 });
+    this.gatekeepLlm = createLlmClient("gatekeep", { model, temperature: 0.3 });
   }
 
   /**
@@ -393,41 +376,23 @@ Now rewrite the following article into a Naarad update:
       console.log(`\nPrompt length: ${prompt.length} characters`);
       console.log("=".repeat(80) + "\n");
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
+      const { text, blocked, usage } = await this.formatLlm.generate(prompt);
 
       // Log token usage
       console.log("\n" + "=".repeat(80));
       console.log("[GEMINI_TOKEN_USAGE] Token Information:");
       console.log("=".repeat(80));
-      if (response.usageMetadata) {
-        console.log("\nUSAGE METADATA:");
-        console.log(
-          `  Prompt Tokens: ${response.usageMetadata.promptTokenCount || "N/A"}`
-        );
-        console.log(
-          `  Candidates Tokens: ${
-            response.usageMetadata.candidatesTokenCount || "N/A"
-          }`
-        );
-        console.log(
-          `  Total Tokens: ${response.usageMetadata.totalTokenCount || "N/A"}`
-        );
-      } else {
-        console.log("\nUsage metadata not available in response");
-      }
+      console.log("\nUSAGE METADATA:");
+      console.log(`  Prompt Tokens: ${usage.prompt_tokens || "N/A"}`);
+      console.log(`  Candidates Tokens: ${usage.completion_tokens || "N/A"}`);
+      console.log(`  Total Tokens: ${usage.total_tokens || "N/A"}`);
       console.log("=".repeat(80) + "\n");
 
       // Check for blocking
-      if (response.promptFeedback) {
-        const blockReason = response.promptFeedback.blockReason;
-        if (blockReason && blockReason !== "BLOCK_REASON_UNSPECIFIED") {
-          return this._fallback(articleText);
-        }
+      if (blocked) {
+        return this._fallback(articleText);
       }
 
-      const text = response.text();
-
       // Console log: Raw response from Gemini
       console.log("\n" + "=".repeat(80));
       console.log("[GEMINI_FORMAT] Raw response received from Gemini:");
@@ -449,12 +414,7 @@ Now rewrite the following article into a Naarad update:
 
         // Try to parse as JSON first
         try {
-          const cleanedText = text
-            .replace(/```json\n?/gi, "")
-            .replace(/```\n?/g, "")
-            .trim();
-
-          const parsed = JSON.parse(cleanedText);
+          const parsed = parseJsonResponse(text);
 
           // Debug: Log parsed JSON
           console.log("\n" + "=".repeat(80));
@@ -642,11 +602,42 @@ Now rewrite the following article into a Naarad update:
       prompt += `Custom Question/Interests: ${alertIntent.custom_question}\n`;
     }
 
+    // Excluded Topics
+    const excludeTopics = normalizeExcludeTopics(alertIntent?.exclude_topics);
+    if (excludeTopics.length > 0) {
+      prompt += `Excluded Topics (user does NOT want): ${excludeTopics.join(", ")}\n`;
+    }
+
     // Intent Summary (if available)
     if (alertIntent?.intent_summary) {
       prompt += `\nIntent Summary: ${alertIntent.intent_summary}\n`;
     }
 
+    // Past feedback from this user on the alert (few-shot examples)
+    const { liked = [], disliked = [] } = alertIntent?.feedback_examples || {};
+    const describeExample = (example, idx) =>
+      `${idx + 1}. ${example.title}${
+        example.description
+          ? ` – ${example.description.substring(0, 200)}`
+          : ""
+      }${example.comment ? ` (user said: "${example.comment}")` : ""}\n`;
+
+    if (liked.length > 0 || disliked.length > 0) {
+      prompt += `\n🔹 Past Feedback From This User\n\n`;
+      if (liked.length > 0) {
+        prompt += `Updates the user marked USEFUL:\n`;
+        liked.forEach((example, idx) => {
+          prompt += describeExample(example, idx);
+        });
+      }
+      if (disliked.length > 0) {
+        prompt += `${liked.length > 0 ? "\n" : ""}Updates the user marked NOT USEFUL:\n`;
+        disliked.forEach((example, idx) => {
+          prompt += describeExample(example, idx);
+        });
+      }
+    }
+
     prompt += `\n🔹 Instructions\n\n`;
     prompt += `1. Read the entire article carefully.\n`;
     prompt += `2. Evaluate alignment with the user's preferences (category, subcategory, follow-up question selections, and custom question).\n`;
@@ -663,6 +654,12 @@ Now rewrite the following article into a Naarad update:
     prompt += `- Interesting Trivia: Articles about interesting/fascinating topics, tech launches (like AI models, new products), discoveries, or trivia-worthy news should be rated highly if they match user interests.\n`;
     prompt += `  Examples: "Google Gemini model 3 launches", "New AI breakthrough", "Interesting scientific discovery", etc.\n`;
     prompt += `- Absence of these elements lowers the score proportionally.\n`;
+    if (excludeTopics.length > 0) {
+      prompt += `- An article mainly about an excluded topic must be rated 3 or lower, however well it matches otherwise.\n`;
+    }
+    if (liked.length > 0 || disliked.length > 0) {
+      prompt += `- Articles similar in topic, angle or source to the USEFUL examples should score higher; articles similar to the NOT USEFUL examples should score lower.\n`;
+    }
     prompt += `- Only articles with rating >= ${this.minRatingThreshold} will be selected.\n\n`;
 
     prompt += `\nRAW ARTICLE TO RATE:\n${articleText.substring(0, 2000)}\n\n`;
@@ -699,9 +696,7 @@ Now rewrite the following article into a Naarad update:
       }
 
       const prompt = this._buildArticleRatingPrompt(articleText, alertIntent);
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { text } = await this.ratingLlm.generate(prompt);
 
       if (!text || text.trim().length === 0) {
         return {
@@ -712,12 +707,7 @@ Now rewrite the following article into a Naarad update:
       }
 
       try {
-        const cleanedText = text
-          .replace(/```json\n?/gi, "")
-          .replace(/```\n?/g, "")
-          .trim();
-
-        const parsed = JSON.parse(cleanedText);
+        const parsed = parseJsonResponse(text);
         const rating = typeof parsed.rating === "number" ? parsed.rating : 0;
         const reason = parsed.reason || "No reason provided";
 
@@ -765,6 +755,11 @@ Now rewrite the following article into a Naarad update:
       prompt += `User Intent: ${userIntent.intent_summary}\n\n`;
     }
 
+    const excludeTopics = normalizeExcludeTopics(userIntent?.exclude_topics);
+    if (excludeTopics.length > 0) {
+      prompt += `User does NOT want: ${excludeTopics.join(", ")}\n\n`;
+    }
+
     prompt += `Formatted Articles:\n`;
     formattedArticles.forEach((article, index) => {
       prompt += `${index + 1}. Title: ${article.title}\n`;
@@ -775,6 +770,7 @@ Now rewrite the following article into a Naarad update:
     prompt += `- Return ONLY valid JSON array.\n`;
     prompt += `- Include articles that match user intent.\n`;
     prompt += `- Exclude articles that are irrelevant, outdated, or don't match the intent.\n`;
+    prompt += `- Exclude articles mainly about anything the user does NOT want.\n`;
     prompt += `- For each included article, add a "gatekeeper_reason" field explaining why it was selected.\n`;
     prompt += `- Return empty array [] if no articles match.\n\n`;
 
@@ -804,10 +800,7 @@ Now rewrite the following article into a Naarad update:
         userIntent
       );
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response;
-
-      const text = response.text();
+      const { text } = await this.gatekeepLlm.generate(prompt);
 
       if (!text || text.trim().length === 0) {
         return formattedArticles.map((article) => ({
@@ -817,12 +810,7 @@ Now rewrite the following article into a Naarad update:
       }
 
       try {
-        const cleanedText = text
-          .replace(/```json\n?/gi, "")
-          .replace(/```\n?/g, "")
-          .trim();
-
-        const parsed = JSON.parse(cleanedText);
+        const parsed = parseJsonResponse(text);
 
         if (Array.isArray(parsed)) {
           return parsed;
@@ -881,7 +869,8 @@ Now rewrite the following article into a Naarad update:
               ? userIntent.subcategory
               : [],
             timeframe: userIntent.timeframe || "",
-            source: "perplexity",
+            source: userIntent.source || "perplexity",
+            ...pickSourceFields(article),
           };
 
           // Use findOneAndUpdate with upsert to avoid duplicates
@@ -982,6 +971,34 @@ Now rewrite the following article into a Naarad update:
     }
   }
 
+  /**
+   * Audit entry for one fetched article; outcome is filled in as it moves
+   * through rating, formatting and gatekeeping
+   */
+  _newCandidate(article, outcome = null) {
+    const isObject = article && typeof article === "object";
+    const text = isObject ? article.article || "" : String(article || "");
+
+    return {
+      article_hash: isObject ? article.article_hash || null : null,
+      ...(isObject
+        ? pickSourceFields(article)
+        : { source_url: null, source_domain: null, published_at: null }),
+      preview: text.substring(0, 300),
+      title: null,
+      rating: null,
+      rating_reason: null,
+      rating_provider: null,
+      rating_model: null,
+      threshold: null,
+      accepted: null,
+      passed_gatekeeper: null,
+      gatekeeper_reason: null,
+      excluded_topic: null,
+      outcome,
+    };
+  }
+
   /**
    * Main method: Format articles
    * @param {Array} articles - Array of article strings or objects
@@ -989,6 +1006,17 @@ Now rewrite the following article into a Naarad update:
    * @returns {Promise<Array>} Formatted articles with title, description, gatekeeper_reason
    */
   async formatArticles(articles, userIntent = null) {
+    this.lastRunStats = {
+      input: Array.isArray(articles) ? articles.length : 0,
+      ratings: [],
+      formatted: 0,
+      passed_gatekeeper: 0,
+      excluded_by_topic: 0,
+      rating_threshold: this.minRatingThreshold,
+      // Every evaluated article and how far it got (see ArticleCandidate)
+      candidates: [],
+    };
+
     try {
       if (!articles || !Array.isArray(articles) || articles.length === 0) {
         return [];
@@ -996,9 +1024,16 @@ Now rewrite the following article into a Naarad update:
 
       // Limit to max articles
       const articlesToProcess = articles.slice(0, this.maxArticles);
+      articles.slice(this.maxArticles).forEach((article) => {
+        this.lastRunStats.candidates.push(
+          this._newCandidate(article, "over_limit")
+        );
+      });
 
       // Stage 1: Format each article
       const formattedArticles = [];
+      // formatted article → its candidate entry
+      const candidateFor = new Map();
       for (const article of articlesToProcess) {
         // Extract text if article is an object
         let articleText =
@@ -1021,6 +1056,10 @@ Now rewrite the following article into a Naarad update:
           typeof article === "object" && article.article_hash
             ? article.article_hash
             : null;
+        const sourceFields =
+          typeof article === "object" ? pickSourceFields(article) : null;
+        const candidate = this._newCandidate(article);
+        this.lastRunStats.candidates.push(candidate);
 
         // Validate and clean article text
         const validation = this._validateArticleText(articleText);
@@ -1045,6 +1084,7 @@ Now rewrite the following article into a Naarad update:
           console.log(
             "[ARTICLE_FORMAT] Skipping article - empty after cleaning"
           );
+          candidate.outcome = "empty_after_cleaning";
           continue;
         }
 
@@ -1081,10 +1121,26 @@ Now rewrite the following article into a Naarad update:
           );
           console.log("=".repeat(80) + "\n");
 
+          this.lastRunStats.ratings.push({
+            article_hash: articleHash,
+            rating: ratingResult.rating,
+            reason: ratingResult.reason,
+            accepted: ratingResult.shouldProceed,
+          });
+          Object.assign(candidate, {
+            rating: ratingResult.rating,
+            rating_reason: ratingResult.reason,
+            rating_provider: this.ratingLlm.provider || null,
+            rating_model: this.ratingLlm.model || null,
+            threshold: this.minRatingThreshold,
+            accepted: ratingResult.shouldProceed,
+          });
+
           if (!ratingResult.shouldProceed) {
             console.log(
               `[ARTICLE_RATING] ⚠️  Skipping article - rating ${ratingResult.rating}/10 is below threshold (${this.minRatingThreshold}/10)`
             );
+            candidate.outcome = "rejected_by_rating";
             continue; // Skip this article, don't format it
           } else {
             console.log(
@@ -1102,6 +1158,9 @@ Now rewrite the following article into a Naarad update:
           if (articleHash) {
             formatted.article_hash = articleHash;
           }
+          if (sourceFields) {
+            Object.assign(formatted, sourceFields);
+          }
           // Attach original article text (content) for database storage
           formatted.original_content = articleText;
           // Get image for the article
@@ -1124,18 +1183,52 @@ Now rewrite the following article into a Naarad update:
           }
 
           formattedArticles.push(formatted);
+          candidate.title = formatted.title;
+          candidateFor.set(formatted, candidate);
+        } else {
+          candidate.outcome = "format_failed";
         }
       }
 
+      this.lastRunStats.formatted = formattedArticles.length;
+
       if (formattedArticles.length === 0) {
         return [];
       }
 
       // Stage 2: Gatekeeping - filter based on user intent
-      const finalArticles = await this._gatekeepArticles(
+      const gatekeptArticles = await this._gatekeepArticles(
         formattedArticles,
         userIntent
       );
+      this.lastRunStats.passed_gatekeeper = gatekeptArticles.length;
+
+      // The gatekeeper only returns what it keeps, matched back by title
+      formattedArticles.forEach((formatted) => {
+        const candidate = candidateFor.get(formatted);
+        const kept = gatekeptArticles.find((a) => a.title === formatted.title);
+        candidate.passed_gatekeeper = !!kept;
+        candidate.gatekeeper_reason = kept?.gatekeeper_reason || null;
+        candidate.outcome = kept ? "selected" : "rejected_by_gatekeeper";
+      });
+
+      // Stage 3: Keyword guard - the LLM stages may still let excluded topics through
+      const { kept: finalArticles, dropped: excluded } = filterByExcludedTopics(
+        gatekeptArticles,
+        userIntent?.exclude_topics
+      );
+      this.lastRunStats.excluded_by_topic = excluded.length;
+      excluded.forEach(({ article, topic }) => {
+        console.log(
+          `[ARTICLE_FORMAT] Dropped "${article.title}" - mentions excluded topic "${topic}"`
+        );
+        this.lastRunStats.candidates
+          .filter((c) => c.outcome === "selected" && c.title === article.title)
+          .forEach((c) => {
+            c.outcome = "excluded_topic";
+            c.excluded_topic = topic;
+          });
+      });
 
       // Ensure image URLs are preserved in final articles
       finalArticles.forEach((article, index) => {
@@ -1156,6 +1249,8 @@ Now rewrite the following article into a Naarad update:
           if (originalArticle.article_hash) {
             article.article_hash = originalArticle.article_hash;
           }
+          // Preserve source URL and publish date
+          Object.assign(article, pickSourceFields(originalArticle));
         }
       });
 
@@ -0,0 +1,182 @@
+const TIMEFRAME_HOURS = {
+  "24hours": 24,
+  "3days": 72,
+  "1week": 24 * 7,
+  "1month": 24 * 30,
+};
+
+// Query parameters that only track the click, not the article
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref_src|cmpid)$/i;
+
+/**
+ * Canonical form of an article URL: https/http only, lowercase host
+ * without "www.", no fragment, no tracking params, no trailing slash.
+ * @returns {string|null}
+ */
+function canonicalizeUrl(url) {
+  if (!url || typeof url !== "string") return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim().replace(/[).,;\]]+$/, ""));
+  } catch (error) {
+    return null;
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) return null;
+
+  parsed.hash = "";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+  }
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Registrable host of a URL without "www." (e.g. "bbc.co.uk")
+ * @returns {string|null}
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "") || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The "Source: <url>" line news providers append to article text
+ * (the last one wins). Falls back to the last bare URL in the text.
+ * @returns {string|null} canonical URL
+ */
+function extractSourceUrl(text) {
+  if (!text || typeof text !== "string") return null;
+
+  const sourceMatches = [...text.matchAll(/Source:\s*(https?:\/\/\S+)/gi)];
+  if (sourceMatches.length > 0) {
+    return canonicalizeUrl(sourceMatches[sourceMatches.length - 1][1]);
+  }
+
+  const urls = text.match(/https?:\/\/\S+/g);
+  return urls ? canonicalizeUrl(urls[urls.length - 1]) : null;
+}
+
+function parsePublishedAt(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Oldest publish date that still fits an alert timeframe
+ */
+function getTimeframeCutoff(timeframe, now = new Date()) {
+  const hours = TIMEFRAME_HOURS[timeframe] || TIMEFRAME_HOURS["3days"];
+  return new Date(now.getTime() - hours * 60 * 60 * 1000);
+}
+
+/**
+ * Drop articles published before the timeframe.
+ * Undated articles can't be checked and are kept.
+ * @param {Array} articles - [{ published_at, ... }]
+ * @returns {{ kept: Array, dropped: Array }}
+ */
+function filterByTimeframe(articles, timeframe, now = new Date()) {
+  const cutoff = getTimeframeCutoff(timeframe, now);
+  const kept = [];
+  const dropped = [];
+
+  for (const article of articles) {
+    const publishedAt = parsePublishedAt(article.published_at);
+    if (publishedAt && publishedAt < cutoff) {
+      dropped.push(article);
+    } else {
+      kept.push(article);
+    }
+  }
+
+  return { kept, dropped };
+}
+
+/**
+ * Normalise user input to a bare domain: "https://www.BBC.com/news" → "bbc.com"
+ * @returns {string|null} null when the value isn't a hostname
+ */
+function normalizeDomain(value) {
+  if (!value || typeof value !== "string") return null;
+
+  const host = value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/[/?#:].*$/, "")
+    .replace(/^www\./, "")
+    .replace(/\.$/, "");
+
+  return /^([a-z0-9-]+\.)+[a-z]{2,}$/.test(host) ? host : null;
+}
+
+/**
+ * Whether a domain is one of the listed domains or a subdomain of one
+ * ("sport.bbc.co.uk" matches "bbc.co.uk")
+ */
+function matchesDomain(domain, domains = []) {
+  if (!domain) return false;
+  return domains.some(
+    (listed) => domain === listed || domain.endsWith(`.${listed}`)
+  );
+}
+
+/**
+ * Enforce allow/block lists on articles by source_domain.
+ * With an allow-list, articles whose source is unknown are dropped too.
+ * @param {Array} articles - [{ source_domain, ... }]
+ * @param {Object} filter - { include: string[], exclude: string[] }
+ * @returns {{ kept: Array, dropped: Array }}
+ */
+function filterByDomains(articles, { include = [], exclude = [] } = {}) {
+  const kept = [];
+  const dropped = [];
+
+  for (const article of articles) {
+    const domain = article.source_domain;
+    const blocked =
+      matchesDomain(domain, exclude) ||
+      (include.length > 0 && !matchesDomain(domain, include));
+    (blocked ? dropped : kept).push(article);
+  }
+
+  return { kept, dropped };
+}
+
+/**
+ * Source fields carried from fetched articles into stored records
+ * @returns {{ source_url, source_domain, published_at }}
+ */
+function pickSourceFields(article) {
+  return {
+    source_url: article?.source_url || null,
+    source_domain: article?.source_domain || null,
+    published_at: parsePublishedAt(article?.published_at),
+  };
+}
+
+module.exports = {
+  TIMEFRAME_HOURS,
+  canonicalizeUrl,
+  getDomain,
+  extractSourceUrl,
+  parsePublishedAt,
+  getTimeframeCutoff,
+  filterByTimeframe,
+  normalizeDomain,
+  matchesDomain,
+  filterByDomains,
+  pickSourceFields,
+};
@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const AuthConfig = require("../config/authConfig");
+const OtpVerification = require("../models/OtpVerification");
+
+class AuthService {
+  /**
+   * Generate a numeric OTP code
+   */
+  generateOtpCode(length = AuthConfig.OTP_LENGTH) {
+    let code = "";
+    for (let i = 0; i < length; i++) {
+      code += crypto.randomInt(0, 10).toString();
+    }
+    return code;
+  }
+
+  /**
+   * Hash OTP code bound to the phone it was issued for
+   */
+  hashOtpCode(countryCode, phoneNumber, code) {
+    return crypto
+      .createHash("sha256")
+      .update(`${countryCode}|${phoneNumber}|${code}`, "utf-8")
+      .digest("hex");
+  }
+
+  /**
+   * Create a new OTP for a phone number
+   * Invalidates earlier unverified codes for the same phone.
+   * @returns {Promise<object>} { code, otp } or { error: "resend_too_soon", retry_after }
+   */
+  async createOtp(countryCode, phoneNumber, email) {
+    const latest = await OtpVerification.findOne({
+      country_code: countryCode,
+      phone_number: phoneNumber,
+      verified: false,
+    }).sort({ createdAt: -1 });
+
+    if (latest) {
+      const elapsedSeconds = (Date.now() - latest.createdAt.getTime()) / 1000;
+      if (elapsedSeconds < AuthConfig.OTP_RESEND_SECONDS) {
+        return {
+          error: "resend_too_soon",
+          retry_after: Math.ceil(AuthConfig.OTP_RESEND_SECONDS - elapsedSeconds),
+        };
+      }
+    }
+
+    await OtpVerification.deleteMany({
+      country_code: countryCode,
+      phone_number: phoneNumber,
+      verified: false,
+    });
+
+    const code = this.generateOtpCode();
+    const otp = await OtpVerification.create({
+      country_code: countryCode,
+      phone_number: phoneNumber,
+      email,
+      code_hash: this.hashOtpCode(countryCode, phoneNumber, code),
+      expires_at: new Date(Date.now() + AuthConfig.OTP_TTL_MINUTES * 60 * 1000),
+    });
+
+    return { code, otp };
+  }
+
+  /**
+   * Verify an OTP code for a phone number
+   * @returns {Promise<object>} { valid: true, otp } or { valid: false, reason }
+   */
+  async verifyOtp(countryCode, phoneNumber, code) {
+    const otp = await OtpVerification.findOne({
+      country_code: countryCode,
+      phone_number: phoneNumber,
+      verified: false,
+    }).sort({ createdAt: -1 });
+
+    if (!otp || otp.expires_at < new Date()) {
+      return { valid: false, reason: "otp_expired" };
+    }
+
+    // Each guess claims an attempt atomically, so parallel guesses can't
+    // all slip in under the limit
+    const claimed = await OtpVerification.findOneAndUpdate(
+      {
+        _id: otp._id,
+        verified: false,
+        attempts: { $lt: AuthConfig.OTP_MAX_ATTEMPTS },
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return { valid: false, reason: "too_many_attempts" };
+    }
+
+    const expected = Buffer.from(claimed.code_hash, "hex");
+    const actual = Buffer.from(
+      this.hashOtpCode(countryCode, phoneNumber, code),
+      "hex"
+    );
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: "invalid_code" };
+    }
+
+    // Consume the code once: a concurrent verification of the same code
+    // finds it already verified
+    const verified = await OtpVerification.findOneAndUpdate(
+      { _id: otp._id, verified: false },
+      { $set: { verified: true } },
+      { new: true }
+    );
+
+    if (!verified) {
+      return { valid: false, reason: "otp_expired" };
+    }
+
+    return { valid: true, otp: verified };
+  }
+
+  /**
+   * Issue signed access + refresh tokens for a user
+   */
+  issueTokens(user) {
+    const secret = AuthConfig.getJwtSecret();
+
+    const accessToken = jwt.sign(
+      { sub: user.user_id, type: "access" },
+      secret,
+      { expiresIn: AuthConfig.ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = jwt.sign(
+      { sub: user.user_id, type: "refresh" },
+      secret,
+      { expiresIn: AuthConfig.REFRESH_TOKEN_TTL }
+    );
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: "Bearer",
+      expires_in: AuthConfig.ACCESS_TOKEN_TTL,
+    };
+  }
+
+  /**
+   * Verify a token and check its type ("access" | "refresh")
+   * @returns {object|null} Decoded payload, or null if invalid/expired
+   */
+  verifyToken(token, expectedType = "access") {
+    try {
+      const payload = jwt.verify(token, AuthConfig.getJwtSecret());
+      if (payload.type !== expectedType || !payload.sub) {
+        return null;
+      }
+      return payload;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,85 @@
+const WatiDispatch = require("../models/WatiDispatch");
+const WatiNotificationService = require("./watiNotificationService");
+const { pickSourceFields } = require("./articleSource");
+
+/**
+ * Record a non-WhatsApp delivery in the shared dispatch log
+ * (wati_dispatch_collection), so duplicate checks and stats see every channel.
+ *
+ * @param {object} params
+ * @param {string} params.channel - "email" | "push"
+ * @param {string} params.userId
+ * @param {object} params.message - Message built by deliveryService
+ * @param {object} params.payload - What was handed to the channel
+ * @param {object} params.response - Channel response (or error)
+ * @param {boolean} params.sent
+ * @param {string} params.reason
+ */
+const logChannelDispatch = async ({
+  channel,
+  userId,
+  message,
+  payload,
+  response,
+  sent,
+  reason,
+}) => {
+  const alertIds = [...new Set(message.items.map((item) => item.alert_id))];
+  const isDigest = message.kind === "digest";
+  const article = message.items[0]?.article;
+
+  try {
+    return await WatiDispatch.create({
+      user_id: userId,
+      alert_id: alertIds.length === 1 ? alertIds[0] : undefined,
+      channel,
+      kind: message.kind,
+      // Sent single messages share the WhatsApp content hash so level 1 dedup
+      // spans channels; digests and failed sends get a channel-scoped hash
+      // that never matches a later check
+      content_hash:
+        sent && !isDigest
+          ? WatiNotificationService.computeArticleHash(article)
+          : WatiNotificationService.computeContentHash({
+              imageUrl: message.image_url,
+              title: message.title,
+              description: message.description,
+              templateName: channel,
+              broadcastName: channel,
+            }),
+      article_hash:
+        sent && !isDigest ? article?.article_hash || undefined : undefined,
+      template_name: channel,
+      broadcast_name: channel,
+      title: message.title,
+      description: message.description || "",
+      image_url: message.image_url || "",
+      ...(isDigest ? {} : pickSourceFields(article)),
+      payload: payload || {},
+      response: response || {},
+      message_sent: sent,
+      reason,
+      digest_articles:
+        sent && isDigest
+          ? message.items.map((item) => ({
+              alert_id: item.alert_id,
+              article_hash: item.article?.article_hash || null,
+              content_hash: WatiNotificationService.computeArticleHash(
+                item.article
+              ),
+              title: item.article?.title || "",
+              source_url: item.article?.source_url || null,
+              published_at: pickSourceFields(item.article).published_at,
+            }))
+          : undefined,
+    });
+  } catch (logError) {
+    console.error(
+      `[DELIVERY][${channel.toUpperCase()}] Failed to log dispatch:`,
+      logError.message
+    );
+    return null;
+  }
+};
+
+module.exports = { logChannelDispatch };
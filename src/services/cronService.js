@@ -1,23 +1,311 @@
 const cron = require("node-cron");
+const { v4: uuidv4 } = require("uuid");
 const Alert = require("../models/Alert");
+const User = require("../models/User");
+const CronRun = require("../models/CronRun");
+const CronRunAlert = require("../models/CronRunAlert");
 const AlertIntent = require("../models/AlertIntent");
-const { parseAndStoreAlert } = require("../controllers/intentController");
-const PerplexityNewsFetcher = require("./perplexityNewsFetcher");
+const ArticleCandidate = require("../models/ArticleCandidate");
+const {
+  parseAlert,
+  parseAndStoreAlert,
+} = require("../controllers/intentController");
+const { isIntentStale } = require("./intentFingerprint");
+const { pickSourceFields } = require("./articleSource");
+const { createNewsProvider } = require("./newsProvider");
+const { getTokenUsage } = require("./llmClient");
 const ArticleFormatter = require("./articleFormatter");
-const { sendWatiNotification } = require("../controllers/sendController");
+const { sendNotification } = require("../controllers/sendController");
+const DeliveryService = require("./deliveryService");
+const FeedbackService = require("./feedbackService");
+const LeaseService = require("./leaseService");
+const JobQueue = require("./jobQueue");
+const { runPool } = require("./workerPool");
+const { getRateLimitStats } = require("./rateLimiter");
+const {
+  getRatingThreshold,
+  adjustRatingThreshold,
+} = require("./ratingThreshold");
+const {
+  computeNextRunAt,
+  buildDueAlertsQuery,
+} = require("./alertScheduler");
+
+// Held for a whole run, so only one instance processes due alerts at a time
+const RUN_LEASE = "cron:run";
+
+// How often a run re-reads its record for a cancel from another instance
+const CANCEL_CHECK_INTERVAL_MS = 5000;
+// Runs POST /cron/cancel can stop ("first-alert" runs process one alert)
+const CANCELLABLE_TRIGGERS = ["schedule", "manual", "on-demand"];
 
 class CronService {
   constructor() {
     this.isRunning = false;
+    // Set by POST /cron/cancel (on any instance); checked between alerts
+    this.cancelRequested = false;
+    this.cancelCheckedAt = 0;
+    // Run of processAllAlerts in progress on this instance
+    this.currentRunId = null;
     this.lastRun = null;
-    this.cronInterval = process.env.CRON_INTERVAL || "0 9 * * *"; // Default: daily at 9:00 AM
+    this.lastRunId = null;
+    // Scheduler tick: each alert's own schedule decides whether it is due
+    this.cronInterval = process.env.CRON_INTERVAL || "*/15 * * * *"; // Default: every 15 minutes
     this.cronJob = null;
+    // Users processed in parallel during a run
+    this.concurrency = Math.max(
+      1,
+      parseInt(process.env.CRON_CONCURRENCY || "4") || 1
+    );
+  }
+
+  /**
+   * Article fields carried into WATI messages and run records
+   */
+  _toMessageArticle(article) {
+    return {
+      title: article.title,
+      description: article.description,
+      image_url: article.image_url || null,
+      article_hash: article.article_hash || null,
+      ...pickSourceFields(article),
+    };
+  }
+
+  /**
+   * Fetch news for an intent and run rating, formatting and gatekeeping
+   * @param {Object} alert - Alert document (news source, alert_id)
+   * @param {Object} alertIntent - Parsed intent (stored AlertIntent or preview)
+   * @param {Object} options - { ratingThreshold }: defaults to the alert's
+   * @returns {Promise<Object>} { newsPayload, rawArticles, formattedArticles, formatterStats }
+   */
+  async _fetchAndFormatArticles(alert, alertIntent, options = {}) {
+    const { alert_id } = alert;
+
+    const intent = {
+      perplexity_query: alertIntent.perplexity_query,
+      topic: alertIntent.topic,
+      category: alertIntent.category,
+      subcategory: alertIntent.subcategory || [],
+      followup_questions: alertIntent.followup_questions || [],
+      custom_question: alertIntent.custom_question || "",
+      exclude_topics: alertIntent.exclude_topics || [],
+      timeframe: alertIntent.timeframe,
+    };
+
+    // Log SERP query source
+    console.log(`[CRON][ALERT] SERP Query Source for alert ${alert_id}:`);
+    console.log(
+      `  📍 From Database (AlertIntent.perplexity_query): ${alertIntent.perplexity_query}`
+    );
+    console.log(`  📍 Prompt: Built by the news provider`);
+    console.log(`  📍 Alert Topic: ${alertIntent.topic}`);
+    console.log(`  📍 Category: ${alertIntent.category}`);
+    console.log(
+      `  📍 Subcategory: ${JSON.stringify(alertIntent.subcategory || [])}`
+    );
+    console.log(
+      `  📍 Custom Question: ${alertIntent.custom_question || "None"}`
+    );
+
+    const owner = await User.findOne({ user_id: alert.user_id })
+      .select("blocked_domains")
+      .lean();
+    const fetcher = createNewsProvider(alert, alertIntent.category, {
+      blockedDomains: owner?.blocked_domains,
+    });
+    const newsPayload = await fetcher.fetchNews(intent);
+    const rawArticles = newsPayload.articles || [];
+
+    console.log(
+      `\n[CRON][ALERT] 📰 ${fetcher.name} returned ${rawArticles.length} raw articles`
+    );
+
+    if (rawArticles.length === 0) {
+      return {
+        newsPayload,
+        rawArticles,
+        formattedArticles: [],
+        formatterStats: null,
+      };
+    }
+
+    // Rate, format and gatekeep
+    console.log(
+      `\n[CRON][ALERT] 🎨 Starting article formatting with gatekeeping...`
+    );
+    console.log(`[CRON][ALERT] AlertIntent data for gatekeeping:`);
+    console.log(`  - Intent Summary: ${alertIntent.intent_summary || "N/A"}`);
+    console.log(`  - Category: ${alertIntent.category || "N/A"}`);
+    console.log(
+      `  - Subcategory: ${JSON.stringify(alertIntent.subcategory || [])}`
+    );
+    console.log(
+      `  - Custom Question: ${alertIntent.custom_question || "N/A"}`
+    );
+    console.log(
+      `  - Follow-up Questions: ${
+        Array.isArray(alertIntent.followup_questions)
+          ? alertIntent.followup_questions.length
+          : 0
+      }`
+    );
+
+    const formatter = new ArticleFormatter(
+      3,
+      null,
+      undefined,
+      options.ratingThreshold ?? getRatingThreshold(alert)
+    );
+    const userIntentForFormatting = {
+      topic: alertIntent.topic,
+      category: alertIntent.category,
+      intent_summary: alertIntent.intent_summary,
+      subcategory: alertIntent.subcategory || [],
+      followup_questions: alertIntent.followup_questions || [],
+      custom_question: alertIntent.custom_question || "",
+      exclude_topics: alertIntent.exclude_topics || [],
+      timeframe: alertIntent.timeframe,
+      source: newsPayload.source,
+      // Pass full alertIntent for gatekeeping rating
+      alertIntent: {
+        intent_summary: alertIntent.intent_summary,
+        category: alertIntent.category,
+        subcategory: alertIntent.subcategory || [],
+        followup_questions: alertIntent.followup_questions || [],
+        custom_question: alertIntent.custom_question || "",
+        exclude_topics: alertIntent.exclude_topics || [],
+        // Liked/disliked past updates as few-shot rating examples
+        feedback_examples: await FeedbackService.getRatingExamples(
+          alert.user_id,
+          alert.alert_id
+        ),
+      },
+    };
+
+    const formattedArticles = await formatter.formatArticles(
+      rawArticles,
+      userIntentForFormatting
+    );
+
+    console.log(
+      `\n[CRON][ALERT] ✅ Formatting complete: ${formattedArticles.length} articles passed all checks`
+    );
+
+    return {
+      newsPayload,
+      rawArticles,
+      formattedArticles,
+      formatterStats: formatter.lastRunStats,
+    };
+  }
+
+  /**
+   * Dry run for an unsaved alert: parse intent, fetch, rate and format,
+   * and build the message that would be delivered. Nothing is stored or sent,
+   * and duplicate checks against past deliveries are not applied.
+   * @param {Object} alert - Alert document built from a create body (not saved)
+   * @param {Object|null} user - Owner, used to resolve delivery channels
+   */
+  async previewAlert(alert, user = null) {
+    const intent = await parseAlert(alert);
+
+    const { newsPayload, rawArticles, formattedArticles, formatterStats } =
+      await this._fetchAndFormatArticles(alert, intent);
+
+    // Rejected articles have no title yet, so show the start of the raw text
+    const rawByHash = new Map(
+      rawArticles.map((raw) => [raw.article_hash, raw.article || ""])
+    );
+    const ratings = (formatterStats?.ratings || []).map((rating) => ({
+      ...rating,
+      preview: (rawByHash.get(rating.article_hash) || "").substring(0, 160),
+    }));
+
+    const deliveryMode = alert.delivery_mode || "single";
+    const items = formattedArticles.map((article) => ({
+      alert_id: alert.alert_id,
+      article: this._toMessageArticle(article),
+    }));
+
+    let message = null;
+    let remaining = 0;
+    if (items.length > 0) {
+      // user_digest is previewed as a digest of this alert alone
+      const composed = DeliveryService.composeMessage(
+        items,
+        deliveryMode !== "single"
+      );
+      message = {
+        kind: composed.message.kind,
+        title: composed.message.title,
+        description: composed.message.description,
+        image_url: composed.message.image_url || null,
+        article_hashes: composed.included.map(
+          (item) => item.article.article_hash
+        ),
+      };
+      remaining = composed.overflow.length;
+    }
+
+    return {
+      intent: {
+        topic: intent.topic,
+        category: intent.category,
+        subcategory: intent.subcategory || [],
+        exclude_topics: intent.exclude_topics || [],
+        intent_summary: intent.intent_summary,
+        timeframe: intent.timeframe,
+        perplexity_query: intent.perplexity_query,
+        requires_live_data: !!intent.requires_live_data,
+        fallback: !!intent.fallback,
+      },
+      news_source: newsPayload.source,
+      query: newsPayload.query || null,
+      articles_found: rawArticles.length,
+      formatter_stats: formatterStats
+        ? {
+            formatted: formatterStats.formatted,
+            passed_gatekeeper: formatterStats.passed_gatekeeper,
+            excluded_by_topic: formatterStats.excluded_by_topic,
+            rating_threshold: formatterStats.rating_threshold,
+          }
+        : null,
+      ratings,
+      articles: formattedArticles.map((article) => ({
+        title: article.title,
+        description: article.description,
+        article_hash: article.article_hash || null,
+        image_url: article.image_url || null,
+        image_thumbnail: article.image_thumbnail || null,
+        image_search_query: article.image_search_query || null,
+        image_source: article.image_source || null,
+        ...pickSourceFields(article),
+      })),
+      delivery_mode: deliveryMode,
+      channels: DeliveryService.resolveChannels(user || {}, alert.channels),
+      message,
+      remaining_articles: remaining,
+    };
   }
 
   /**
    * Process a single alert: parse intent, fetch news, send WATI
+   * The result's `steps` trace what each step did.
+   * @param {Object} alert - Alert document
+   * @param {Object} options
+   * @param {boolean} options.deferUserDigest - leave "user_digest" alerts
+   *   unsent so the caller can combine them into one message per user
+   * @param {boolean} options.forceReparse - parse the intent even if the
+   *   stored one is current
+   * @param {boolean} options.bypassDedup - send articles the user already
+   *   received (support/QA re-runs)
    */
-  async processAlert(alert) {
+  async processAlert(alert, options = {}) {
+    const steps = [];
+    const step = (name, status, detail = {}) =>
+      steps.push({ step: name, status, detail, at: new Date() });
+
     try {
       const { alert_id, user_id } = alert;
 
@@ -36,10 +324,30 @@ class CronService {
           `[CRON][ALERT] Intent not found, parsing for alert ${alert_id}`
         );
         alertIntent = await parseAndStoreAlert(alert);
+        step("intent", "parsed", { version: alertIntent.version });
+      } else if (options.forceReparse) {
+        console.log(
+          `[CRON][ALERT] Re-parsing intent v${alertIntent.version} for alert ${alert_id} (forced)`
+        );
+        alertIntent = await parseAndStoreAlert(alert);
+        step("intent", "reparsed", {
+          reason: "forced",
+          version: alertIntent.version,
+        });
+      } else if (isIntentStale(alert, alertIntent)) {
+        console.log(
+          `[CRON][ALERT] Intent v${alertIntent.version} is stale (alert edited), re-parsing for alert ${alert_id}`
+        );
+        alertIntent = await parseAndStoreAlert(alert);
+        step("intent", "reparsed", {
+          reason: "stale",
+          version: alertIntent.version,
+        });
       } else {
         console.log(
           `[CRON][ALERT] Intent already exists for alert ${alert_id}`
         );
+        step("intent", "cached", { version: alertIntent.version });
       }
 
       // Step 2: Check if required fields exist
@@ -47,47 +355,48 @@ class CronService {
         console.warn(
           `[CRON][ALERT] Alert ${alert_id} missing perplexity_query, skipping`
         );
+        step("intent", "skipped", { reason: "missing_perplexity_query" });
         return {
           alert_id,
           user_id,
           status: "skipped",
           reason: "missing_perplexity_query",
+          steps,
         };
       }
 
-      // Step 3: Fetch news from Perplexity
-      const intent = {
-        perplexity_query: alertIntent.perplexity_query,
-        topic: alertIntent.topic,
-        category: alertIntent.category,
-        subcategory: alertIntent.subcategory || [],
-        followup_questions: alertIntent.followup_questions || [],
-        custom_question: alertIntent.custom_question || "",
-        timeframe: alertIntent.timeframe,
-      };
-
-      // Log SERP query source
-      console.log(`[CRON][ALERT] SERP Query Source for alert ${alert_id}:`);
-      console.log(
-        `  📍 From Database (AlertIntent.perplexity_query): ${alertIntent.perplexity_query}`
-      );
-      console.log(`  📍 Perplexity Prompt: Built in PerplexityNewsFetcher`);
-      console.log(`  📍 Alert Topic: ${alertIntent.topic}`);
-      console.log(`  📍 Category: ${alertIntent.category}`);
-      console.log(
-        `  📍 Subcategory: ${JSON.stringify(alertIntent.subcategory || [])}`
-      );
-      console.log(
-        `  📍 Custom Question: ${alertIntent.custom_question || "None"}`
-      );
+      // Step 3: Move the alert's rating threshold from recent volume/feedback
+      let ratingThreshold = getRatingThreshold(alert);
+      try {
+        const decision = await adjustRatingThreshold(alert);
+        ratingThreshold = decision.value;
+        step(
+          "rating_threshold",
+          decision.changed ? "adjusted" : "unchanged",
+          { value: decision.value, reason: decision.reason }
+        );
+      } catch (thresholdError) {
+        console.error(
+          `[CRON][ALERT] Rating threshold check failed for alert ${alert_id}:`,
+          thresholdError.message
+        );
+        step("rating_threshold", "error", {
+          value: ratingThreshold,
+          error: thresholdError.message,
+        });
+      }
 
-      const fetcher = new PerplexityNewsFetcher();
-      const newsPayload = await fetcher.fetchNews(intent);
-      const rawArticles = newsPayload.articles || [];
+      // Step 4-5: Fetch news from the alert's news provider and format it
+      const { newsPayload, rawArticles, formattedArticles, formatterStats } =
+        await this._fetchAndFormatArticles(alert, alertIntent, {
+          ratingThreshold,
+        });
 
-      console.log(
-        `\n[CRON][ALERT] 📰 Perplexity returned ${rawArticles.length} raw articles`
-      );
+      step("fetch", rawArticles.length > 0 ? "ok" : "empty", {
+        source: newsPayload.source,
+        query: newsPayload.query || null,
+        articles_found: rawArticles.length,
+      });
 
       if (rawArticles.length === 0) {
         console.log(`[CRON][ALERT] ⚠️ No articles found for alert ${alert_id}`);
@@ -96,57 +405,21 @@ class CronService {
           user_id,
           status: "skipped",
           reason: "no_articles_found",
+          news_source: newsPayload.source,
+          articles_found: 0,
+          steps,
         };
       }
 
-      // Step 4: Format articles
-      console.log(
-        `\n[CRON][ALERT] 🎨 Starting article formatting with gatekeeping...`
-      );
-      console.log(`[CRON][ALERT] AlertIntent data for gatekeeping:`);
-      console.log(`  - Intent Summary: ${alertIntent.intent_summary || "N/A"}`);
-      console.log(`  - Category: ${alertIntent.category || "N/A"}`);
-      console.log(
-        `  - Subcategory: ${JSON.stringify(alertIntent.subcategory || [])}`
-      );
-      console.log(
-        `  - Custom Question: ${alertIntent.custom_question || "N/A"}`
-      );
-      console.log(
-        `  - Follow-up Questions: ${
-          Array.isArray(alertIntent.followup_questions)
-            ? alertIntent.followup_questions.length
-            : 0
-        }`
-      );
-
-      const formatter = new ArticleFormatter(3);
-      const userIntentForFormatting = {
-        topic: alertIntent.topic,
-        category: alertIntent.category,
-        intent_summary: alertIntent.intent_summary,
-        subcategory: alertIntent.subcategory || [],
-        followup_questions: alertIntent.followup_questions || [],
-        custom_question: alertIntent.custom_question || "",
-        timeframe: alertIntent.timeframe,
-        // Pass full alertIntent for gatekeeping rating
-        alertIntent: {
-          intent_summary: alertIntent.intent_summary,
-          category: alertIntent.category,
-          subcategory: alertIntent.subcategory || [],
-          followup_questions: alertIntent.followup_questions || [],
-          custom_question: alertIntent.custom_question || "",
-        },
-      };
-
-      const formattedArticles = await formatter.formatArticles(
-        rawArticles,
-        userIntentForFormatting
-      );
-
-      console.log(
-        `\n[CRON][ALERT] ✅ Formatting complete: ${formattedArticles.length} articles passed all checks`
-      );
+      const ratings = formatterStats?.ratings || [];
+      step("format", formattedArticles.length > 0 ? "ok" : "empty", {
+        rated: ratings.length,
+        accepted: ratings.filter((rating) => rating.accepted).length,
+        rating_threshold: formatterStats?.rating_threshold ?? null,
+        formatted: formatterStats?.formatted || 0,
+        passed_gatekeeper: formatterStats?.passed_gatekeeper || 0,
+        excluded_by_topic: formatterStats?.excluded_by_topic || 0,
+      });
 
       if (formattedArticles.length === 0) {
         console.log(
@@ -157,32 +430,70 @@ class CronService {
           user_id,
           status: "skipped",
           reason: "no_formatted_articles",
+          news_source: newsPayload.source,
+          articles_found: rawArticles.length,
+          formatter_stats: formatterStats,
+          steps,
         };
       }
 
-      // Step 5: Send WATI notification (first article only)
-      const primaryArticle = formattedArticles[0];
+      const deliveryMode = alert.delivery_mode || "single";
+      const baseResult = {
+        alert_id,
+        user_id,
+        status: "success",
+        news_source: newsPayload.source,
+        articles_found: rawArticles.length,
+        formatted_articles: formattedArticles.length,
+        formatter_stats: formatterStats,
+        delivery_mode: deliveryMode,
+        steps,
+      };
+
+      // The caller sends one digest for all of the user's alerts in this run
+      if (deliveryMode === "user_digest" && options.deferUserDigest) {
+        step("deliver", "deferred", { reason: "queued_for_user_digest" });
+        return {
+          ...baseResult,
+          reason: "queued_for_user_digest",
+          alert_channels: alert.channels || null,
+          digest_articles: formattedArticles.map((article) =>
+            this._toMessageArticle(article)
+          ),
+          wati_notification: null,
+        };
+      }
+
+      // Step 6: Deliver on the alert's channels ("single" sends the top
+      // fresh article, the rest are served by MORE)
       let wati_result = null;
+      let remainingArticles = [];
 
       try {
-        wati_result = await sendWatiNotification(user_id, {
-          alert_id,
-          article: {
-            title: primaryArticle.title,
-            description: primaryArticle.description,
-            image_url: primaryArticle.image_url,
-            article_hash: primaryArticle.article_hash,
-          },
-          phone: null,
-        });
+        wati_result = await sendNotification(
+          user_id,
+          formattedArticles.map((article) => ({
+            alert_id,
+            article: this._toMessageArticle(article),
+          })),
+          {
+            channels: alert.channels,
+            digest: deliveryMode !== "single",
+            bypassDedup: !!options.bypassDedup,
+          }
+        );
+        remainingArticles = (wati_result.overflow || []).map(
+          (item) => item.article
+        );
 
-        console.log(`[CRON][ALERT] WATI result for alert ${alert_id}:`, {
+        console.log(`[CRON][ALERT] Delivery result for alert ${alert_id}:`, {
+          delivery_mode: deliveryMode,
           status: wati_result?.status,
           reason: wati_result?.reason,
         });
       } catch (watiError) {
         console.error(
-          `[CRON][ALERT] WATI error for alert ${alert_id}:`,
+          `[CRON][ALERT] Delivery error for alert ${alert_id}:`,
           watiError.message
         );
         wati_result = {
@@ -190,13 +501,16 @@ class CronService {
           reason: watiError.message,
         };
       }
+      step("deliver", wati_result?.status || "unknown", {
+        reason: wati_result?.reason || null,
+        delivery_mode: deliveryMode,
+        bypass_dedup: !!options.bypassDedup,
+        remaining: remainingArticles.length,
+      });
 
       return {
-        alert_id,
-        user_id,
-        status: "success",
-        articles_found: rawArticles.length,
-        formatted_articles: formattedArticles.length,
+        ...baseResult,
+        remaining_articles: remainingArticles,
         wati_notification: wati_result,
       };
     } catch (error) {
@@ -204,85 +518,757 @@ class CronService {
         `[CRON][ALERT] Error processing alert ${alert.alert_id}:`,
         error.message
       );
+      step("error", "error", { error: error.message });
       return {
         alert_id: alert.alert_id,
         user_id: alert.user_id,
         status: "error",
         error: error.message,
+        steps,
+      };
+    }
+  }
+
+  /**
+   * Record that an alert ran and persist its next due time
+   */
+  async markAlertProcessed(alert, ranAt = new Date()) {
+    try {
+      const nextRunAt = computeNextRunAt(alert.schedule, ranAt);
+
+      await Alert.updateOne(
+        { alert_id: alert.alert_id },
+        { last_run_at: ranAt, next_run_at: nextRunAt }
+      );
+
+      console.log(
+        `[CRON][SCHEDULE] Alert ${alert.alert_id} (${
+          alert.schedule?.frequency || "realtime"
+        }) next due at ${nextRunAt.toISOString()}`
+      );
+
+      return nextRunAt;
+    } catch (error) {
+      console.error(
+        `[CRON][SCHEDULE] Failed to update next run for alert ${alert.alert_id}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Move alerts created before per-alert schedules to an explicit daily
+   * schedule. They carry the old "realtime" default but ran once a day on
+   * the previous daily cron; they are the only alerts without next_run_at.
+   * @returns {Promise<number>} alerts migrated
+   */
+  async migrateLegacySchedules() {
+    const legacyQuery = {
+      "schedule.frequency": { $in: ["realtime", null] },
+      next_run_at: null,
+    };
+
+    let migrated = 0;
+    try {
+      const legacyAlerts = await Alert.find(legacyQuery)
+        .select("alert_id schedule")
+        .lean();
+
+      for (const alert of legacyAlerts) {
+        const schedule = {
+          ...(alert.schedule || {}),
+          frequency: "daily",
+          time: alert.schedule?.time || "09:00",
+        };
+        const { modifiedCount } = await Alert.updateOne(
+          { alert_id: alert.alert_id, ...legacyQuery },
+          {
+            "schedule.frequency": schedule.frequency,
+            "schedule.time": schedule.time,
+            next_run_at: computeNextRunAt(schedule),
+          }
+        );
+        migrated += modifiedCount;
+      }
+
+      if (migrated > 0) {
+        console.log(
+          `[CRON][SCHEDULE] Moved ${migrated} legacy alerts to a daily schedule`
+        );
+      }
+    } catch (error) {
+      console.error(
+        "[CRON][SCHEDULE] Failed to migrate legacy schedules:",
+        error.message
+      );
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Create a CronRun record for a new run
+   * @param {string} trigger - "schedule" | "manual" | "first-alert" | "on-demand"
+   * @param {Object} extra - additional run fields (e.g. on_demand)
+   */
+  async _startRun(trigger, startTime, extra = {}) {
+    try {
+      const run = await CronRun.create({
+        run_id: uuidv4(),
+        trigger,
+        status: "running",
+        started_at: startTime,
+        ...extra,
+      });
+      this.lastRunId = run.run_id;
+      return run.run_id;
+    } catch (error) {
+      console.error("[CRON][RUN] Failed to create run record:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Append one alert's outcome to the run record
+   */
+  async _recordAlertResult(runId, result, startedAt) {
+    if (!runId) return;
+
+    const totalsField =
+      result.status === "success"
+        ? "totals.processed"
+        : result.status === "skipped"
+        ? "totals.skipped"
+        : "totals.errors";
+
+    const stats = result.formatter_stats || {};
+    const entry = {
+      run_id: runId,
+      alert_id: result.alert_id,
+      user_id: result.user_id,
+      status: result.status,
+      reason: result.reason || null,
+      error: result.error || null,
+      job_id: result.job_id || null,
+      attempt: result.attempt || null,
+      news_source: result.news_source || null,
+      articles_found: result.articles_found || 0,
+      ratings: stats.ratings || [],
+      formatter: {
+        formatted: stats.formatted || 0,
+        passed_gatekeeper: stats.passed_gatekeeper || 0,
+        excluded_by_topic: stats.excluded_by_topic || 0,
+        rating_threshold: stats.rating_threshold ?? null,
+      },
+      remaining_articles: result.remaining_articles || [],
+      wati: {
+        status: result.wati_notification?.status || null,
+        reason: result.wati_notification?.reason || null,
+        log_id: result.wati_notification?.log_id || null,
+      },
+      channels: result.wati_notification?.channels,
+      steps: result.steps || [],
+      started_at: startedAt,
+      finished_at: new Date(),
+    };
+
+    try {
+      await CronRunAlert.create(entry);
+      await CronRun.updateOne(
+        { run_id: runId },
+        { $inc: { [totalsField]: 1 } }
+      );
+    } catch (error) {
+      console.error(
+        `[CRON][RUN] Failed to record alert ${result.alert_id} in run ${runId}:`,
+        error.message
+      );
+    }
+
+    await this._storeCandidates(runId, result);
+  }
+
+  /**
+   * Persist every article the formatter evaluated for an alert, so the
+   * run can be audited later (GET /news/alert/:alert_id/candidates)
+   * @param {string|null} runId - null outside a cron run
+   */
+  async _storeCandidates(runId, result) {
+    const candidates = result.formatter_stats?.candidates || [];
+    if (candidates.length === 0) return;
+
+    try {
+      await ArticleCandidate.insertMany(
+        candidates.map((candidate) => ({
+          ...candidate,
+          run_id: runId,
+          alert_id: result.alert_id,
+          user_id: result.user_id,
+        }))
+      );
+    } catch (error) {
+      console.error(
+        `[CRON][RUN] Failed to store candidates for alert ${result.alert_id}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Send one digest for all of a user's "user_digest" alerts in this run
+   * and attach the outcome to each alert's result and run entry
+   * @param {Array} results - processAlert results with digest_articles
+   * @param {Object} options - { bypassDedup }
+   */
+  async _sendUserDigest(runId, user_id, results, options = {}) {
+    const items = results.flatMap((result) =>
+      result.digest_articles.map((article) => ({
+        alert_id: result.alert_id,
+        article,
+      }))
+    );
+
+    // Alert-level channels are merged; alerts without them use the user's
+    const channels = [
+      ...new Set(results.flatMap((result) => result.alert_channels || [])),
+    ];
+
+    const wati_result = await sendNotification(user_id, items, {
+      channels,
+      digest: true,
+      bypassDedup: !!options.bypassDedup,
+    });
+
+    console.log(`[CRON][DIGEST] User digest for ${user_id}:`, {
+      alerts: results.length,
+      articles: items.length,
+      status: wati_result?.status,
+      reason: wati_result?.reason,
+    });
+
+    const wati = {
+      status: wati_result?.status || null,
+      reason: wati_result?.reason || null,
+      log_id: wati_result?.log_id || null,
+    };
+    const channelResults = wati_result?.channels;
+
+    for (const result of results) {
+      result.wati_notification = wati_result;
+      result.remaining_articles = (wati_result.overflow || [])
+        .filter((item) => item.alert_id === result.alert_id)
+        .map((item) => item.article);
+      const deliverStep = {
+        step: "deliver",
+        status: wati.status || "unknown",
+        detail: {
+          reason: wati.reason,
+          delivery_mode: "user_digest",
+          bypass_dedup: !!options.bypassDedup,
+          digest_alerts: results.length,
+          remaining: result.remaining_articles.length,
+        },
+        at: new Date(),
+      };
+      result.steps = [...(result.steps || []), deliverStep];
+      delete result.digest_articles;
+      delete result.alert_channels;
+
+      if (!runId) continue;
+      try {
+        await CronRunAlert.updateOne(
+          { run_id: runId, alert_id: result.alert_id },
+          {
+            $set: {
+              wati,
+              channels: channelResults,
+              remaining_articles: result.remaining_articles,
+            },
+            $push: { steps: deliverStep },
+          }
+        );
+      } catch (error) {
+        console.error(
+          `[CRON][RUN] Failed to record digest for alert ${result.alert_id}:`,
+          error.message
+        );
+      }
+    }
+
+    return wati_result;
+  }
+
+  /**
+   * Close the run record
+   */
+  async _finishRun(runId, startTime, update = {}) {
+    if (!runId) return;
+
+    const finishedAt = new Date();
+    try {
+      await CronRun.updateOne(
+        { run_id: runId },
+        {
+          status: "completed",
+          ...update,
+          finished_at: finishedAt,
+          duration_ms: finishedAt - startTime,
+        }
+      );
+    } catch (error) {
+      console.error(`[CRON][RUN] Failed to close run ${runId}:`, error.message);
+    }
+  }
+
+  /**
+   * Claim an alert so no other instance processes it at the same time
+   * With a filter (e.g. still due), the alert must also still match it:
+   * another instance may have processed it since it was selected.
+   * @param {Object} alert
+   * @param {Object|null} filter - Mongo filter the alert must match
+   * @returns {Promise<{ lease: Object|null, reason: string|null }>}
+   */
+  async _claimAlert(alert, filter = null) {
+    const lease = await LeaseService.acquire(`alert:${alert.alert_id}`);
+    if (!lease) {
+      return { lease: null, reason: "claimed_by_another_instance" };
+    }
+
+    if (filter) {
+      const stillPending = await Alert.exists({
+        alert_id: alert.alert_id,
+        ...filter,
+      });
+      if (!stillPending) {
+        await LeaseService.release(lease);
+        return { lease: null, reason: "already_processed" };
+      }
+    }
+
+    return { lease, reason: null };
+  }
+
+  /**
+   * Process one alert as its own recorded run (e.g. a user's first alert)
+   * @param {Object} alert - Alert document
+   * @param {string} trigger - "first-alert" | "manual"
+   */
+  async processSingleAlert(alert, trigger = "manual") {
+    const startTime = new Date();
+
+    // A first alert is scheduled for later, so it isn't due yet; it only
+    // has to be unprocessed, so a repeated trigger doesn't send it twice
+    const { lease, reason } = await this._claimAlert(
+      alert,
+      trigger === "first-alert" ? { is_active: true, last_run_at: null } : null
+    );
+    if (!lease) {
+      console.log(
+        `[CRON][ALERT] Skipping alert ${alert.alert_id}: ${reason}`
+      );
+      return {
+        alert_id: alert.alert_id,
+        user_id: alert.user_id,
+        status: "skipped",
+        reason,
+        run_id: null,
       };
     }
+
+    const runId = await this._startRun(trigger, startTime);
+
+    if (runId) {
+      await CronRun.updateOne({ run_id: runId }, { "totals.due": 1 }).catch(
+        () => {}
+      );
+    }
+
+    try {
+      const result = await this.processAlert(alert);
+      await this.markAlertProcessed(alert);
+      await this._recordAlertResult(runId, result, startTime);
+      await this._finishRun(runId, startTime);
+
+      return { ...result, run_id: runId };
+    } finally {
+      await LeaseService.release(lease);
+    }
   }
 
   /**
-   * Process all active alerts
+   * Re-run specific alerts now, regardless of their schedule (support/QA)
+   * Bypasses the job queue and the run lease; each alert is still claimed so
+   * it is not processed twice at once. "user_digest" alerts of a user are
+   * combined into one digest as in a scheduled run. The alerts' schedules
+   * (next_run_at, last_run_at) are left alone; only the run is recorded.
+   * @param {Array} alerts - active Alert documents
+   * @param {Object} options
+   * @param {Object} options.target - { alert_id, user_id } recorded on the run
+   * @param {boolean} options.forceReparse - re-parse each alert's intent
+   * @param {boolean} options.bypassDedup - resend already delivered articles
+   * @returns {Promise<Object>} { run_id, done } - done resolves with the
+   *   results once every alert has been processed
    */
-  async processAllAlerts() {
+  async startOnDemandRun(alerts, options = {}) {
+    const { target = {}, forceReparse = false, bypassDedup = false } = options;
+    const startTime = new Date();
+
+    const runId = await this._startRun("on-demand", startTime, {
+      on_demand: {
+        alert_id: target.alert_id || null,
+        user_id: target.user_id || null,
+        force_reparse: forceReparse,
+        bypass_dedup: bypassDedup,
+      },
+      totals: { due: alerts.length },
+    });
+
+    const done = this._processOnDemand(runId, startTime, alerts, {
+      forceReparse,
+      bypassDedup,
+    });
+
+    return { run_id: runId, done };
+  }
+
+  async _processOnDemand(runId, startTime, alerts, options) {
+    const results = {
+      success: true,
+      run_id: runId,
+      processed: 0,
+      skipped: 0,
+      errors: 0,
+      details: [],
+    };
+
+    try {
+      const alertsByUser = {};
+      alerts.forEach((alert) => {
+        if (!alertsByUser[alert.user_id]) {
+          alertsByUser[alert.user_id] = [];
+        }
+        alertsByUser[alert.user_id].push(alert);
+      });
+
+      for (const [user_id, userAlerts] of Object.entries(alertsByUser)) {
+        const digestResults = [];
+
+        for (const alert of userAlerts) {
+          // On-demand runs take no run lease and several can be in
+          // progress, so each one checks its own record
+          if (await this._cancelRequestedFor(runId)) {
+            results.cancelled = true;
+            break;
+          }
+
+          const startedAt = new Date();
+          const { lease, reason } = await this._claimAlert(alert);
+
+          let result;
+          if (!lease) {
+            console.log(
+              `[CRON][ON-DEMAND] Skipping alert ${alert.alert_id}: ${reason}`
+            );
+            result = {
+              alert_id: alert.alert_id,
+              user_id,
+              status: "skipped",
+              reason,
+              steps: [],
+            };
+          } else {
+            try {
+              result = await this.processAlert(alert, {
+                deferUserDigest: true,
+                forceReparse: options.forceReparse,
+                bypassDedup: options.bypassDedup,
+              });
+            } finally {
+              await LeaseService.release(lease);
+            }
+          }
+
+          await this._recordAlertResult(runId, result, startedAt);
+
+          if (result.digest_articles) {
+            digestResults.push(result);
+          }
+
+          if (result.status === "success") {
+            results.processed++;
+          } else if (result.status === "skipped") {
+            results.skipped++;
+          } else {
+            results.errors++;
+          }
+
+          results.details.push(result);
+        }
+
+        if (digestResults.length > 0) {
+          await this._sendUserDigest(runId, user_id, digestResults, {
+            bypassDedup: options.bypassDedup,
+          });
+        }
+
+        if (results.cancelled) {
+          console.warn(
+            `[CRON][ON-DEMAND] Run ${runId} cancelled, stopped before the next alert`
+          );
+          break;
+        }
+      }
+
+      await this._finishRun(
+        runId,
+        startTime,
+        results.cancelled ? { status: "cancelled" } : {}
+      );
+      return results;
+    } catch (error) {
+      console.error("[CRON][ON-DEMAND] Fatal error in run:", error);
+      await this._finishRun(runId, startTime, {
+        status: "failed",
+        error: error.message,
+      });
+      return { ...results, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * One attempt of a queued alert job: claim the alert, process it and
+   * record the result in the run
+   * @returns {Promise<Object>} { job, alert, result, started } - started is
+   *   false when the alert was not processed (and the job already closed
+   *   or left queued)
+   */
+  async _runJob(runId, job, dueAt) {
+    const startedAt = new Date();
+    const skip = (reason) => ({
+      alert_id: job.alert_id,
+      user_id: job.user_id,
+      status: "skipped",
+      reason,
+    });
+
+    const alert = await Alert.findOne({
+      alert_id: job.alert_id,
+      is_active: true,
+    }).lean();
+
+    if (!alert) {
+      const result = skip("alert_inactive");
+      await JobQueue.settle(job, result);
+      await this._recordAlertResult(runId, result, startedAt);
+      return { job, alert: null, result, started: false };
+    }
+
+    // A retried dead letter runs although the alert is no longer due
+    const { lease, reason } = await this._claimAlert(
+      alert,
+      job.source === "dead_letter" ? null : buildDueAlertsQuery(dueAt)
+    );
+
+    if (!lease) {
+      console.log(`[CRON][ALERT] Skipping alert ${alert.alert_id}: ${reason}`);
+      const result = skip(reason);
+      // Claimed elsewhere: the job stays queued for the next run
+      if (reason === "already_processed") {
+        await JobQueue.settle(job, result);
+      }
+      await this._recordAlertResult(runId, result, startedAt);
+      return { job, alert, result, started: false };
+    }
+
+    let result;
+    try {
+      await JobQueue.start(job, runId);
+      result = await this.processAlert(alert, { deferUserDigest: true });
+    } finally {
+      await LeaseService.release(lease);
+    }
+
+    await this._recordAlertResult(
+      runId,
+      { ...result, job_id: job.job_id, attempt: job.attempts },
+      startedAt
+    );
+
+    return { job, alert, result, started: true };
+  }
+
+  /**
+   * Close a processed job: retry it later, dead-letter it, or mark it done
+   * and move the alert's schedule on
+   */
+  async _settleJob({ job, alert, result, started }) {
+    if (!started) return;
+
+    const outcome = await JobQueue.settle(job, result);
+    result.job = { job_id: job.job_id, attempt: job.attempts, ...outcome };
+
+    // A job waiting for a retry keeps its alert due
+    if (outcome.state !== "retry") {
+      await this.markAlertProcessed(alert);
+    }
+  }
+
+  /**
+   * Process all active alerts that are due per their schedule
+   * @param {string} trigger - "schedule" | "manual"
+   */
+  async processAllAlerts(trigger = "schedule") {
     if (this.isRunning) {
       console.log("[CRON] Previous job still running, skipping this run");
       return;
     }
 
     this.isRunning = true;
+
+    // Every instance runs the scheduler; only the lease holder processes
+    let runLease = null;
+    try {
+      runLease = await LeaseService.acquire(RUN_LEASE);
+    } catch (error) {
+      console.error("[CRON] Failed to acquire run lease:", error.message);
+      this.isRunning = false;
+      return { success: false, error: error.message };
+    }
+
+    if (!runLease) {
+      console.log("[CRON] Another instance holds the run lease, skipping");
+      this.isRunning = false;
+      return { success: true, skipped: true, reason: "run_in_progress" };
+    }
+
     const startTime = new Date();
-    console.log(`[CRON] Starting job at ${startTime.toISOString()}`);
+    console.log(
+      `[CRON] Starting ${trigger} job at ${startTime.toISOString()}`
+    );
+
+    this.cancelRequested = false;
+    this.cancelCheckedAt = 0;
+    const runId = await this._startRun(trigger, startTime);
+    this.currentRunId = runId;
 
     try {
-      // Fetch all active alerts
-      const activeAlerts = await Alert.find({ is_active: true }).lean();
+      // Jobs left running by an instance that stopped mid-run
+      const recovered = await JobQueue.recoverInterrupted();
+      if (recovered > 0) {
+        console.log(`[CRON] Recovered ${recovered} interrupted jobs`);
+      }
+
+      // Queue a job for each active alert that is due per its own schedule
+      const dueAlerts = await Alert.find(
+        buildDueAlertsQuery(startTime)
+      ).lean();
+      const enqueued = await JobQueue.enqueueDueAlerts(dueAlerts, startTime);
 
-      if (activeAlerts.length === 0) {
-        console.log("[CRON] No active alerts found");
+      // New jobs plus retries whose backoff has passed
+      const jobs = await JobQueue.getReadyJobs(startTime);
+
+      if (jobs.length === 0) {
+        console.log("[CRON] No due alerts found");
+        await this._finishRun(runId, startTime);
         this.isRunning = false;
         this.lastRun = new Date();
         return {
           success: true,
+          run_id: runId,
           processed: 0,
           skipped: 0,
           errors: 0,
         };
       }
 
-      console.log(`[CRON] Found ${activeAlerts.length} active alerts`);
+      console.log(
+        `[CRON] Found ${dueAlerts.length} due alerts, ${jobs.length} jobs ready (${enqueued} new)`
+      );
 
-      // Group alerts by user_id to process efficiently
-      const alertsByUser = {};
-      activeAlerts.forEach((alert) => {
-        if (!alertsByUser[alert.user_id]) {
-          alertsByUser[alert.user_id] = [];
+      if (runId) {
+        await CronRun.updateOne(
+          { run_id: runId },
+          { "totals.due": jobs.length }
+        ).catch(() => {});
+      }
+
+      // Group jobs by user_id so each user's alerts run in order
+      const jobsByUser = {};
+      jobs.forEach((job) => {
+        if (!jobsByUser[job.user_id]) {
+          jobsByUser[job.user_id] = [];
         }
-        alertsByUser[alert.user_id].push(alert);
+        jobsByUser[job.user_id].push(job);
       });
 
       const results = {
         success: true,
+        run_id: runId,
         processed: 0,
         skipped: 0,
         errors: 0,
         details: [],
       };
 
-      // Process alerts sequentially (to avoid overwhelming APIs)
-      for (const [user_id, userAlerts] of Object.entries(alertsByUser)) {
-        console.log(
-          `[CRON] Processing ${userAlerts.length} alerts for user ${user_id}`
-        );
+      // Users run in parallel, each user's alerts in order followed by their
+      // digest; provider rate limits pace the API calls
+      await runPool(
+        Object.entries(jobsByUser),
+        this.concurrency,
+        async ([user_id, userJobs]) => {
+          console.log(
+            `[CRON] Processing ${userJobs.length} alerts for user ${user_id}`
+          );
 
-        for (const alert of userAlerts) {
-          const result = await this.processAlert(alert);
+          const digestAttempts = [];
 
-          if (result.status === "success") {
-            results.processed++;
-          } else if (result.status === "skipped") {
-            results.skipped++;
-          } else {
-            results.errors++;
+          for (const job of userJobs) {
+            if (runLease.lost || (await this._isCancelled(runId))) break;
+
+            const attempt = await this._runJob(runId, job, startTime);
+            const { result } = attempt;
+
+            // Digest alerts are settled once the digest has been sent
+            if (result.digest_articles) {
+              digestAttempts.push(attempt);
+            } else {
+              await this._settleJob(attempt);
+            }
+
+            if (result.status === "success") {
+              results.processed++;
+            } else if (result.status === "skipped") {
+              results.skipped++;
+            } else {
+              results.errors++;
+            }
+
+            results.details.push(result);
           }
 
-          results.details.push(result);
+          if (digestAttempts.length > 0) {
+            await this._sendUserDigest(
+              runId,
+              user_id,
+              digestAttempts.map((attempt) => attempt.result)
+            );
+            for (const attempt of digestAttempts) {
+              await this._settleJob(attempt);
+            }
+          }
+        },
+        // Another instance took over the run, or the run was cancelled;
+        // unprocessed jobs stay queued for the next run
+        { shouldStop: () => runLease.lost || this.cancelRequested }
+      );
 
-          // Small delay between alerts to avoid rate limiting
-          await new Promise((resolve) => setTimeout(resolve, 2000)); // 2 seconds
-        }
+      if (runLease.lost) {
+        console.warn("[CRON] Run lease lost, stopped this run early");
+      }
+      if (this.cancelRequested) {
+        console.warn("[CRON] Run cancelled, stopped before the next alert");
+        results.cancelled = true;
       }
 
       const endTime = new Date();
@@ -294,21 +1280,133 @@ class CronService {
         errors: results.errors,
       });
 
+      await this._finishRun(
+        runId,
+        startTime,
+        results.cancelled ? { status: "cancelled" } : {}
+      );
+
       this.lastRun = endTime;
       this.isRunning = false;
+      this.cancelRequested = false;
 
       return results;
     } catch (error) {
       console.error("[CRON] Fatal error in job:", error);
+      await this._finishRun(runId, startTime, {
+        status: "failed",
+        error: error.message,
+      });
       this.isRunning = false;
       this.lastRun = new Date();
       return {
         success: false,
+        run_id: runId,
         error: error.message,
       };
+    } finally {
+      this.currentRunId = null;
+      await LeaseService.release(runLease);
     }
   }
 
+  /**
+   * Whether the current run was asked to stop
+   * Cancellation may come from another instance, so the run record is
+   * re-read at most every CANCEL_CHECK_INTERVAL_MS.
+   */
+  async _isCancelled(runId) {
+    if (this.cancelRequested) return true;
+    if (
+      !runId ||
+      Date.now() - this.cancelCheckedAt < CANCEL_CHECK_INTERVAL_MS
+    ) {
+      return false;
+    }
+
+    this.cancelCheckedAt = Date.now();
+    this.cancelRequested = await this._cancelRequestedFor(runId);
+    return this.cancelRequested;
+  }
+
+  /**
+   * Whether a run's record carries a cancel request (from any instance)
+   */
+  async _cancelRequestedFor(runId) {
+    if (!runId) return false;
+
+    try {
+      const cancelled = await CronRun.exists({
+        run_id: runId,
+        cancel_requested_at: { $ne: null },
+      });
+      return !!cancelled;
+    } catch (error) {
+      console.error("[CRON] Failed to check for cancellation:", error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Query for the run in progress on any instance: the scheduled/manual
+   * run while one holds the run lease (a record left "running" by a
+   * stopped instance doesn't count), otherwise an on-demand run
+   */
+  async _activeRunQuery() {
+    if (this.isRunning) return { run_id: this.currentRunId };
+
+    const leaseHeld = !!(await LeaseService.getHolder(RUN_LEASE));
+    return {
+      status: "running",
+      trigger: { $in: leaseHeld ? ["schedule", "manual"] : ["on-demand"] },
+    };
+  }
+
+  /**
+   * Ask a run in progress (on this or another instance) to stop before
+   * its next alert. Alerts already being processed finish normally.
+   * @param {string} [runId] - run to stop; defaults to the run in progress
+   *   (see _activeRunQuery)
+   * @returns {Promise<Object|null>} { run_id, started_at, cancel_requested_at }
+   *   or null when no such run is in progress
+   */
+  async requestCancel(runId = null) {
+    const local = this.isRunning && (!runId || runId === this.currentRunId);
+    if (local) {
+      this.cancelRequested = true;
+    }
+
+    // Recorded on the run so another instance's run sees it too
+    const run = await CronRun.findOneAndUpdate(
+      runId && !local
+        ? {
+            run_id: runId,
+            status: "running",
+            trigger: { $in: CANCELLABLE_TRIGGERS },
+          }
+        : await this._activeRunQuery(),
+      { $set: { cancel_requested_at: new Date() } },
+      { new: true, sort: { started_at: -1 } }
+    )
+      .select("run_id trigger started_at cancel_requested_at")
+      .lean();
+
+    return run || (local ? { run_id: this.currentRunId } : null);
+  }
+
+  /**
+   * The run in progress on any instance, or null
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveRun() {
+    const query = await this._activeRunQuery();
+
+    return CronRun.findOne(query)
+      .sort({ started_at: -1 })
+      .select("run_id trigger started_at cancel_requested_at totals")
+      .lean();
+  }
+
   /**
    * Start the cron job
    * Runs immediately on start, then schedules based on interval
@@ -323,13 +1421,15 @@ class CronService {
 
     // Run immediately on server start
     console.log("[CRON] Running initial job on server start...");
-    this.processAllAlerts().catch((error) => {
-      console.error("[CRON] Error in initial job:", error);
-    });
+    this.migrateLegacySchedules()
+      .then(() => this.processAllAlerts("schedule"))
+      .catch((error) => {
+        console.error("[CRON] Error in initial job:", error);
+      });
 
     // Schedule recurring job
     this.cronJob = cron.schedule(this.cronInterval, async () => {
-      await this.processAllAlerts();
+      await this.processAllAlerts("schedule");
     });
 
     console.log(
@@ -348,15 +1448,31 @@ class CronService {
     }
   }
 
+  /**
+   * Instance currently holding the run lease (possibly another server)
+   * @returns {Promise<Object|null>}
+   */
+  async getRunLeaseHolder() {
+    return LeaseService.getHolder(RUN_LEASE);
+  }
+
   /**
    * Get cron job status
    */
   getStatus() {
     return {
       isRunning: this.isRunning,
+      cancelRequested: this.cancelRequested,
+      instanceId: LeaseService.instanceId,
       lastRun: this.lastRun,
+      lastRunId: this.lastRunId,
       cronInterval: this.cronInterval,
+      concurrency: this.concurrency,
       isScheduled: !!this.cronJob,
+      // LLM calls and tokens per task since the server started
+      llmUsage: getTokenUsage(),
+      // Provider request limits and how often calls had to wait
+      rateLimits: getRateLimitStats(),
     };
   }
 }
@@ -0,0 +1,55 @@
+const SystemSetting = require("../models/SystemSetting");
+
+const DELIVERY_PAUSED = "delivery_paused";
+
+class DeliveryControl {
+  /**
+   * Whether the delivery kill-switch is on (checked before every WATI
+   * news/digest send, on every instance)
+   * @returns {Promise<boolean>}
+   */
+  async isPaused() {
+    const setting = await SystemSetting.findOne({ key: DELIVERY_PAUSED })
+      .select("value")
+      .lean();
+    return setting?.value === true;
+  }
+
+  /**
+   * @returns {Promise<Object>} { paused, reason, changed_at }
+   */
+  async getState() {
+    const setting = await SystemSetting.findOne({
+      key: DELIVERY_PAUSED,
+    }).lean();
+
+    return {
+      paused: setting?.value === true,
+      reason: setting?.reason || null,
+      changed_at: setting?.updatedAt || null,
+    };
+  }
+
+  /**
+   * Turn the kill-switch on or off
+   * @param {boolean} paused
+   * @param {string|null} reason
+   */
+  async setPaused(paused, reason = null) {
+    await SystemSetting.updateOne(
+      { key: DELIVERY_PAUSED },
+      { value: paused, reason },
+      { upsert: true }
+    );
+
+    console.warn(
+      `[DELIVERY] WATI delivery ${paused ? "paused" : "resumed"}${
+        reason ? `: ${reason}` : ""
+      }`
+    );
+
+    return this.getState();
+  }
+}
+
+module.exports = new DeliveryControl();
@@ -0,0 +1,224 @@
+const User = require("../models/User");
+const WatiNotificationService = require("./watiNotificationService");
+const EmailNotificationService = require("./emailNotificationService");
+const WebPushNotificationService = require("./webPushNotificationService");
+
+/**
+ * Delivery channels share one interface:
+ *   send(user, message) -> { status, reason, message_sent, log_id }
+ * where message is { kind: "single" | "digest", title, description,
+ * image_url, items: [{ alert_id, article }] }.
+ */
+const CHANNELS = {
+  whatsapp: {
+    send: (user, message) => {
+      const phone = {
+        country_code: user.country_code,
+        phone_number: user.phone_number,
+      };
+      // Duplicate checks already ran once for all channels
+      return message.kind === "digest"
+        ? WatiNotificationService.sendDigestNotification(
+            user.user_id,
+            message.items,
+            phone,
+            { skipDuplicateCheck: true }
+          )
+        : WatiNotificationService.sendNewsNotification(
+            user.user_id,
+            message.items[0].alert_id,
+            message.items[0].article,
+            phone,
+            { skipDuplicateCheck: true }
+          );
+    },
+  },
+  email: EmailNotificationService,
+  push: WebPushNotificationService,
+};
+
+class DeliveryService {
+  /**
+   * Channels for a delivery: explicit list (e.g. alert.channels), else the
+   * user's notification_channels, else WhatsApp
+   */
+  resolveChannels(user, channels) {
+    const requested =
+      Array.isArray(channels) && channels.length > 0
+        ? channels
+        : Array.isArray(user.notification_channels) &&
+          user.notification_channels.length > 0
+        ? user.notification_channels
+        : ["whatsapp"];
+
+    return [...new Set(requested)].filter((name) => CHANNELS[name]);
+  }
+
+  /**
+   * Combine per-channel results into one result in the shape callers already
+   * expect from sendWatiNotification ({ status, reason, message_sent, log_id })
+   */
+  _summarize(channelResults) {
+    const entries = Object.entries(channelResults);
+    const sent = entries.filter(([, result]) => result?.message_sent);
+    const primary =
+      sent.find(([name]) => name === "whatsapp") || sent[0] || entries[0];
+    const result = primary?.[1] || {};
+
+    return {
+      status: sent.length > 0 ? "success" : result.status || "skipped",
+      reason: sent.length > 0 ? "success" : result.reason || "no_channels",
+      message_sent: sent.length > 0,
+      log_id: result.log_id || null,
+      channels: Object.fromEntries(
+        entries.map(([name, r]) => [
+          name,
+          {
+            status: r?.status || null,
+            reason: r?.reason || null,
+            message_sent: !!r?.message_sent,
+            log_id: r?.log_id || null,
+          },
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Build the channel-neutral message for a set of articles
+   * @param {Array} items - [{ alert_id, article }] in ranked order
+   * @param {boolean} digest - Combine into one digest instead of the top article
+   * @returns {{ message: object, included: Array, overflow: Array }}
+   */
+  composeMessage(items, digest = false) {
+    if (digest) {
+      const content = WatiNotificationService.buildDigestContent(
+        items.map((item) => item.article)
+      );
+      const included = items.slice(0, content.includedCount);
+      return {
+        message: {
+          kind: "digest",
+          title: content.title,
+          description: content.description,
+          image_url: content.imageUrl,
+          items: included,
+        },
+        included,
+        overflow: items.slice(content.includedCount),
+      };
+    }
+
+    const article = items[0].article;
+    const included = items.slice(0, 1);
+    return {
+      message: {
+        kind: "single",
+        title: article.title || "",
+        description: article.description || "",
+        image_url: article.image_url || "",
+        items: included,
+      },
+      included,
+      overflow: items.slice(1),
+    };
+  }
+
+  /**
+   * Deliver articles to a user on every selected channel
+   * Duplicate checks (levels 1-3) run once against all channels' history;
+   * one article is sent as a news message, several as a numbered digest.
+   *
+   * @param {string} userId
+   * @param {Array} items [{ alert_id, article: { title, description, image_url, article_hash } }]
+   * @param {object} options
+   * @param {string[]} options.channels - Override the user's channel preferences
+   * @param {boolean} options.digest - Send as a digest even for one article
+   * @param {boolean} options.bypassDedup - Skip the duplicate checks, e.g.
+   *   for support re-running an alert (POST /cron/trigger/...)
+   * @returns {Promise<object>} { status, reason, message_sent, log_id, channels, included, duplicates, overflow }
+   */
+  async deliver(
+    userId,
+    items,
+    { channels = null, digest = false, bypassDedup = false } = {}
+  ) {
+    const user = await User.findOne({ user_id: userId });
+    if (!user) {
+      return {
+        status: "skipped",
+        reason: "user_not_found",
+        message_sent: false,
+      };
+    }
+
+    const channelNames = this.resolveChannels(user, channels);
+
+    // A single message needs only the first fresh article; the rest stay
+    // unchecked and are returned as overflow (MORE checks them on send)
+    const { fresh, duplicates, unchecked } = bypassDedup
+      ? {
+          fresh: digest ? items : items.slice(0, 1),
+          duplicates: [],
+          unchecked: digest ? [] : items.slice(1),
+        }
+      : await WatiNotificationService.filterDuplicateArticles(userId, items, {
+          channel: null,
+          limit: digest ? Infinity : 1,
+        });
+
+    if (fresh.length === 0) {
+      return {
+        status: "skipped",
+        reason: duplicates[0]?.reason || "no_articles",
+        message_sent: false,
+        included: [],
+        duplicates,
+        overflow: [],
+      };
+    }
+
+    const composed = this.composeMessage(fresh, digest);
+    const { message, included } = composed;
+    // Single: articles after the first were never dedup-checked
+    const overflow = digest ? composed.overflow : unchecked;
+
+    const channelResults = {};
+    for (const name of channelNames) {
+      try {
+        channelResults[name] = await CHANNELS[name].send(user, message);
+      } catch (error) {
+        console.error(`[DELIVERY] ${name} channel error:`, error.message);
+        channelResults[name] = {
+          status: "error",
+          reason: error.message,
+          message_sent: false,
+        };
+      }
+    }
+
+    const summary = this._summarize(channelResults);
+
+    console.log("[DELIVERY] Delivered:", {
+      userId,
+      kind: message.kind,
+      articles: included.length,
+      duplicates: duplicates.length,
+      channels: Object.fromEntries(
+        Object.entries(summary.channels).map(([name, r]) => [name, r.reason])
+      ),
+    });
+
+    return {
+      ...summary,
+      included: included.map((item) => ({
+        alert_id: item.alert_id,
+        article_hash: item.article?.article_hash || null,
+      })),
+      duplicates,
+      overflow,
+    };
+  }
+}
+
+module.exports = new DeliveryService();
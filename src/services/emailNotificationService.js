@@ -0,0 +1,140 @@
+const nodemailer = require("nodemailer");
+const EmailConfig = require("../config/emailConfig");
+const { logChannelDispatch } = require("./channelDispatchLog");
+
+class EmailNotificationService {
+  constructor() {
+    this.name = "email";
+    this.transporter = EmailConfig.SMTP_HOST
+      ? nodemailer.createTransport({
+          host: EmailConfig.SMTP_HOST,
+          port: EmailConfig.SMTP_PORT,
+          secure: EmailConfig.SMTP_SECURE,
+          auth: EmailConfig.SMTP_USER
+            ? { user: EmailConfig.SMTP_USER, pass: EmailConfig.SMTP_PASS }
+            : undefined,
+        })
+      : null;
+  }
+
+  _escapeHtml(text) {
+    return String(text || "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Build subject, HTML and plain-text bodies for a message
+   * Digests list every article (headline + description), single messages
+   * show the image, title and description.
+   */
+  buildEmail(message) {
+    const esc = (text) => this._escapeHtml(text);
+
+    if (message.kind === "digest") {
+      const items = message.items.map((item) => item.article);
+      return {
+        subject: message.title,
+        html: `<h2>${esc(message.title)}</h2><ol>${items
+          .map(
+            (article) =>
+              `<li><strong>${esc(article.title)}</strong><p>${esc(
+                article.description
+              )}</p></li>`
+          )
+          .join("")}</ol>`,
+        text: items
+          .map(
+            (article, idx) =>
+              `${idx + 1}. ${article.title}\n${article.description || ""}`
+          )
+          .join("\n\n"),
+      };
+    }
+
+    return {
+      subject: message.title,
+      html: `${
+        message.image_url
+          ? `<img src="${esc(message.image_url)}" alt="" style="max-width:100%"/>`
+          : ""
+      }<h2>${esc(message.title)}</h2><p>${esc(message.description)}</p>`,
+      text: `${message.title}\n\n${message.description || ""}`,
+    };
+  }
+
+  /**
+   * Send a news or digest message by email
+   * @param {object} user User document (uses email)
+   * @param {object} message { kind, title, description, image_url, items }
+   * @returns {Promise<object>} { status, reason, message_sent, log_id }
+   */
+  async send(user, message) {
+    if (!this.transporter) {
+      return { status: "skipped", reason: "missing_config", message_sent: false };
+    }
+
+    if (!user.email) {
+      return { status: "skipped", reason: "email_missing", message_sent: false };
+    }
+
+    const email = this.buildEmail(message);
+    const payload = { to: user.email, subject: email.subject };
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: EmailConfig.EMAIL_FROM,
+        to: user.email,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+      });
+
+      console.log("[EMAIL] Sent:", {
+        user_id: user.user_id,
+        kind: message.kind,
+        messageId: info.messageId,
+      });
+
+      const log = await logChannelDispatch({
+        channel: this.name,
+        userId: user.user_id,
+        message,
+        payload,
+        response: { message_id: info.messageId, accepted: info.accepted },
+        sent: true,
+        reason: "success",
+      });
+
+      return {
+        status: "success",
+        reason: "success",
+        message_sent: true,
+        log_id: log?._id || null,
+      };
+    } catch (error) {
+      console.error("[EMAIL] Send error:", error.message);
+
+      const log = await logChannelDispatch({
+        channel: this.name,
+        userId: user.user_id,
+        message,
+        payload,
+        response: { message: error.message },
+        sent: false,
+        reason: "error",
+      });
+
+      return {
+        status: "error",
+        reason: error.message,
+        message_sent: false,
+        log_id: log?._id || null,
+      };
+    }
+  }
+}
+
+module.exports = new EmailNotificationService();
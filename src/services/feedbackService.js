@@ -0,0 +1,122 @@
+const ArticleFeedback = require("../models/ArticleFeedback");
+const WatiDispatch = require("../models/WatiDispatch");
+
+// Quick-reply buttons ("👍 Useful" / "👎 Not useful") and typed equivalents
+const NEGATIVE_REPLY = /^(👎|not useful|not relevant|thumbs down)(?![a-z])/i;
+const POSITIVE_REPLY = /^(👍|useful|relevant|thumbs up)(?![a-z])/i;
+
+// A bare quick-reply without reply context rates the latest message this recent
+const REPLY_WINDOW_MS =
+  parseInt(process.env.FEEDBACK_REPLY_WINDOW_HOURS || "72") * 60 * 60 * 1000;
+
+// Liked/disliked examples per side in the rating prompt
+const MAX_EXAMPLES = parseInt(process.env.FEEDBACK_MAX_EXAMPLES || "3");
+
+class FeedbackService {
+  /**
+   * Map an inbound WhatsApp text or quick-reply to "up" | "down" | null
+   */
+  parseFeedbackText(text) {
+    const trimmed = (text || "").trim();
+    if (NEGATIVE_REPLY.test(trimmed)) return "down";
+    if (POSITIVE_REPLY.test(trimmed)) return "up";
+    return null;
+  }
+
+  /**
+   * Find the delivered message a WhatsApp reply refers to
+   * Uses the quoted message id when WATI sends one, else the user's latest
+   * WhatsApp message within the reply window.
+   * @param {string} userId
+   * @param {string|null} replyContextId - whatsappMessageId being replied to
+   */
+  async findDispatchForReply(userId, replyContextId = null) {
+    if (replyContextId) {
+      const quoted = await WatiDispatch.findOne({
+        user_id: userId,
+        $or: [
+          { whatsapp_message_id: replyContextId },
+          { wati_message_id: replyContextId },
+        ],
+      });
+      if (quoted) return quoted;
+    }
+
+    return WatiDispatch.findOne({
+      user_id: userId,
+      channel: "whatsapp",
+      message_sent: true,
+      sent_at: { $gte: new Date(Date.now() - REPLY_WINDOW_MS) },
+    }).sort({ sent_at: -1 });
+  }
+
+  /**
+   * Record (or change) the user's vote on a dispatch
+   * @param {Object} dispatch - WatiDispatch document
+   * @param {Object} feedback - { value: "up"|"down", source, comment }
+   * @returns {Promise<Object>} ArticleFeedback document
+   */
+  async recordFeedback(dispatch, { value, source, comment = null }) {
+    return ArticleFeedback.findOneAndUpdate(
+      { dispatch_id: dispatch._id },
+      {
+        user_id: dispatch.user_id,
+        alert_id: dispatch.alert_id || null,
+        value,
+        source,
+        comment,
+        kind: dispatch.kind || "single",
+        article_hash: dispatch.article_hash || null,
+        title: dispatch.title,
+        description: dispatch.description,
+        source_domain: dispatch.source_domain || null,
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Vote counts for an alert, optionally only votes cast since a date
+   * @returns {Promise<{ up: number, down: number }>}
+   */
+  async getFeedbackCounts(userId, alertId, since = null) {
+    const match = { user_id: userId, alert_id: alertId };
+    if (since) match.updatedAt = { $gte: since };
+
+    const groups = await ArticleFeedback.aggregate([
+      { $match: match },
+      { $group: { _id: "$value", count: { $sum: 1 } } },
+    ]);
+
+    return groups.reduce(
+      (acc, group) => ({ ...acc, [group._id]: group.count }),
+      { up: 0, down: 0 }
+    );
+  }
+
+  /**
+   * Most recent liked/disliked single articles of an alert, used as
+   * few-shot examples when rating new articles for it
+   * @returns {Promise<{ liked: Array, disliked: Array }>}
+   */
+  async getRatingExamples(userId, alertId, limit = MAX_EXAMPLES) {
+    if (!userId || !alertId) return { liked: [], disliked: [] };
+
+    const pick = (value) =>
+      ArticleFeedback.find({
+        user_id: userId,
+        alert_id: alertId,
+        kind: "single",
+        value,
+      })
+        .sort({ updatedAt: -1 })
+        .limit(limit)
+        .select("title description source_domain comment")
+        .lean();
+
+    const [liked, disliked] = await Promise.all([pick("up"), pick("down")]);
+    return { liked, disliked };
+  }
+}
+
+module.exports = new FeedbackService();
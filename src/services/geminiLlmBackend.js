@@ -0,0 +1,86 @@
+const {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIFetchError,
+  GoogleGenerativeAIAbortError,
+} = require("@google/generative-ai");
+const GeminiConfig = require("../config/geminiConfig");
+
+// News content regularly trips the default filters (crime, politics, war)
+const SAFETY_SETTINGS = [
+  { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
+];
+
+/**
+ * Google Gemini backend for LlmClient
+ */
+class GeminiLlmBackend {
+  constructor({ apiKey = null } = {}) {
+    this.name = "gemini";
+    this.genAI = new GoogleGenerativeAI(apiKey || GeminiConfig.getApiKey());
+  }
+
+  /**
+   * Text of the first candidate; falls back to the raw parts when text()
+   * throws (e.g. finishReason MAX_TOKENS with partial output)
+   */
+  _extractText(response) {
+    try {
+      return response.text();
+    } catch (textError) {
+      const parts = response.candidates?.[0]?.content?.parts || [];
+      return parts.find((part) => part.text)?.text || "";
+    }
+  }
+
+  /**
+   * @returns {Promise<object>} { text, blocked, finish_reason, usage }
+   */
+  async generate({ prompt, model, temperature, maxOutputTokens, json }) {
+    const generativeModel = this.genAI.getGenerativeModel({
+      model,
+      generationConfig: {
+        temperature,
+        ...(maxOutputTokens ? { maxOutputTokens } : {}),
+        ...(json ? { responseMimeType: "application/json" } : {}),
+      },
+      safetySettings: SAFETY_SETTINGS,
+    });
+
+    let result;
+    try {
+      result = await generativeModel.generateContent(prompt);
+    } catch (error) {
+      // HTTP errors carry a status; the SDK re-throws failed or aborted
+      // fetches (no response) as plain errors, mark those for LlmClient
+      if (
+        error instanceof GoogleGenerativeAIAbortError ||
+        (!(error instanceof GoogleGenerativeAIFetchError) &&
+          /Error fetching from/.test(error.message))
+      ) {
+        error.network = true;
+      }
+      throw error;
+    }
+    const response = await result.response;
+
+    const blockReason = response.promptFeedback?.blockReason;
+    const blocked = !!blockReason && blockReason !== "BLOCK_REASON_UNSPECIFIED";
+    const usage = response.usageMetadata || {};
+
+    return {
+      text: blocked ? "" : this._extractText(response),
+      blocked,
+      finish_reason: response.candidates?.[0]?.finishReason || null,
+      usage: {
+        prompt_tokens: usage.promptTokenCount || 0,
+        completion_tokens: usage.candidatesTokenCount || 0,
+        total_tokens: usage.totalTokenCount || 0,
+      },
+    };
+  }
+}
+
+module.exports = GeminiLlmBackend;
@@ -0,0 +1,67 @@
+const IdempotencyKey = require("../models/IdempotencyKey");
+
+// How long a key (and its stored response) is remembered
+const KEY_TTL_MS =
+  parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || "24") * 60 * 60 * 1000;
+
+class IdempotencyService {
+  /**
+   * Claim a key before doing the work
+   * @param {Object} params - { scope, key, userId, target }
+   * @returns {Promise<object>} { state, record }
+   *   state: "new" (caller does the work, then complete/release),
+   *   "replay" (record holds the stored response), "in_progress",
+   *   or "conflict" (key already used for another target)
+   */
+  async begin({ scope, key, userId, target = null }) {
+    try {
+      const record = await IdempotencyKey.create({
+        key,
+        scope,
+        user_id: userId,
+        target,
+        expires_at: new Date(Date.now() + KEY_TTL_MS),
+      });
+      return { state: "new", record };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne({
+      key,
+      scope,
+      user_id: userId,
+    });
+
+    // Expired and purged between the insert and the read
+    if (!existing) return this.begin({ scope, key, userId, target });
+
+    if (existing.target !== target) {
+      return { state: "conflict", record: existing };
+    }
+
+    return {
+      state: existing.status === "completed" ? "replay" : "in_progress",
+      record: existing,
+    };
+  }
+
+  /**
+   * Store the response so retries with the same key replay it
+   */
+  async complete(record, statusCode, response) {
+    await IdempotencyKey.updateOne(
+      { _id: record._id },
+      { status: "completed", status_code: statusCode, response }
+    );
+  }
+
+  /**
+   * Drop a claimed key after an unexpected failure so the client can retry
+   */
+  async release(record) {
+    await IdempotencyKey.deleteOne({ _id: record._id, status: "in_progress" });
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -1,12 +1,11 @@
 const axios = require("axios");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const GeminiConfig = require("../config/geminiConfig");
+const { createLlmClient } = require("./llmClient");
+const { acquireSlot } = require("./rateLimiter");
 
 class ImageSearchService {
   constructor() {
     this.googleApiKey = process.env.GOOGLE_SEARCH_API_KEY;
     this.googleCx = process.env.GOOGLE_SEARCH_CX;
-    this.geminiApiKey = GeminiConfig.getApiKey();
     this.searchEndpoint = "https://www.googleapis.com/customsearch/v1";
 
     if (!this.googleApiKey || !this.googleCx) {
@@ -15,34 +14,8 @@ class ImageSearchService {
       );
     }
 
-    // Initialize Gemini for query generation
-    this.genAI = new GoogleGenerativeAI(this.geminiApiKey);
-    // Use gemini-1.5-flash for simpler queries (doesn't use thinking tokens)
-    this.geminiModel = this.genAI.getGenerativeModel({
-      model: "gemini-2.5-flash",
-      generationConfig: {
-        temperature: 0.3,
-        // Removed maxOutputTokens - let Gemini use default
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_NONE",
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_NONE",
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_NONE",
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_NONE",
-        },
-      ],
-    });
+    // LLM for query generation
+    this.llm = createLlmClient("image_query", { temperature: 0.3 });
   }
 
   /**
@@ -59,70 +32,19 @@ Output only the query words, nothing else. Examples: "Virat Kohli cricket", "Ind
 
 Query:`;
 
-      const result = await this.geminiModel.generateContent(prompt);
-      const response = await result.response;
-
-      // Check for blocking
-      if (response.promptFeedback) {
-        const blockReason = response.promptFeedback.blockReason;
-        if (blockReason && blockReason !== "BLOCK_REASON_UNSPECIFIED") {
-          console.warn(
-            `Gemini blocked response: ${blockReason}. Using fallback.`
-          );
-          return this._getFallbackQuery(title);
-        }
-      }
-
-      // Get text from response - try multiple methods
-      let rawText = null;
-
-      // Method 1: Standard text() method
-      try {
-        rawText = response.text();
-      } catch (textError) {
-        // Method 2: Extract from candidates structure
-        if (response.candidates && response.candidates[0]) {
-          const candidate = response.candidates[0];
-          if (candidate.content && candidate.content.parts) {
-            for (const part of candidate.content.parts) {
-              if (part.text) {
-                rawText = part.text;
-                break;
-              }
-            }
-          }
-        }
-      }
+      const { text: rawText, blocked, finish_reason } = await this.llm.generate(
+        prompt
+      );
 
-      // Check finish reason
-      if (response.candidates && response.candidates[0]) {
-        const finishReason = response.candidates[0].finishReason;
-        if (finishReason === "MAX_TOKENS") {
-          console.warn(
-            "Gemini hit MAX_TOKENS limit. Trying to extract partial response."
-          );
-          // Even with MAX_TOKENS, there might be partial text
-          if (!rawText && response.candidates[0].content) {
-            const parts = response.candidates[0].content.parts || [];
-            for (const part of parts) {
-              if (part.text) {
-                rawText = part.text;
-                break;
-              }
-            }
-          }
-        }
+      if (blocked) {
+        console.warn("LLM blocked response. Using fallback.");
+        return this._getFallbackQuery(title);
       }
 
       if (!rawText || rawText.trim().length === 0) {
-        console.warn("Gemini returned empty response. Using fallback.");
-        if (response.candidates && response.candidates[0]) {
-          console.warn("Finish reason:", response.candidates[0].finishReason);
-          console.warn(
-            "Response structure:",
-            JSON.stringify(response.candidates[0]).substring(0, 500)
-          );
-        }
+        console.warn("LLM returned empty response. Using fallback.", {
+          finish_reason,
+        });
         return this._getFallbackQuery(title);
       }
 
@@ -227,6 +149,7 @@ Query:`;
         };
 
         try {
+          await acquireSlot("google_cse");
           const response = await axios.get(this.searchEndpoint, { params });
 
           if (
@@ -270,6 +193,7 @@ Query:`;
         imgType: "photo",
       };
 
+      await acquireSlot("google_cse");
       const response = await axios.get(this.searchEndpoint, { params });
 
       if (
@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const { normalizeExcludeTopics } = require("./topicExclusion");
+
+/**
+ * Normalise the alert fields the intent parser reads, so that
+ * reordering sub-categories or whitespace changes don't count as edits.
+ */
+function _intentSource(alert) {
+  const subCategories = (alert.sub_categories || [])
+    .filter((s) => s && s !== "No Preference")
+    .map((s) => String(s).trim())
+    .sort();
+
+  const followups = (alert.followup_questions || [])
+    .filter(Boolean)
+    .map((fq) =>
+      typeof fq === "string"
+        ? { question: "", selected_answer: fq.trim() }
+        : {
+            question: (fq.question || "").trim(),
+            selected_answer: (fq.selected_answer || "").trim(),
+          }
+    );
+
+  const source = {
+    main_category: alert.main_category || null,
+    sub_categories: subCategories,
+    followup_questions: followups,
+    custom_question: (alert.custom_question || "").trim(),
+  };
+
+  // Only when set, so alerts without exclusions keep their fingerprint
+  const excludeTopics = normalizeExcludeTopics(alert.exclude_topics)
+    .map((topic) => topic.toLowerCase())
+    .sort();
+  if (excludeTopics.length > 0) source.exclude_topics = excludeTopics;
+
+  return source;
+}
+
+/**
+ * Content fingerprint of the alert fields an AlertIntent is parsed from
+ * @param {Object} alert - Alert document or plain object
+ * @returns {string} sha256 hex digest
+ */
+function computeIntentFingerprint(alert) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(_intentSource(alert)))
+    .digest("hex");
+}
+
+/**
+ * Whether a stored intent no longer matches its alert.
+ * Intents parsed before fingerprints existed are only stale once flagged.
+ * @param {Object} alert - Alert document
+ * @param {Object} intent - AlertIntent document
+ */
+function isIntentStale(alert, intent) {
+  if (!intent) return true;
+  if (intent.is_stale) return true;
+  return (
+    !!intent.source_fingerprint &&
+    intent.source_fingerprint !== computeIntentFingerprint(alert)
+  );
+}
+
+module.exports = {
+  computeIntentFingerprint,
+  isIntentStale,
+};
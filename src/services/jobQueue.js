@@ -0,0 +1,239 @@
+const { v4: uuidv4 } = require("uuid");
+const AlertJob = require("../models/AlertJob");
+const DeadLetterJob = require("../models/DeadLetterJob");
+const LeaseService = require("./leaseService");
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || "4");
+// Delay before the 2nd attempt; doubles for each further attempt
+const RETRY_BASE_MS =
+  parseInt(process.env.JOB_RETRY_BASE_SECONDS || "120") * 1000;
+const RETRY_MAX_MS =
+  parseInt(process.env.JOB_RETRY_MAX_SECONDS || "3600") * 1000;
+
+// Timeouts, dropped connections, rate limits and provider outages
+const TRANSIENT_ERROR =
+  /timeout|timed out|ECONNRESET|ECONNREFUSED|ECONNABORTED|ENOTFOUND|EAI_AGAIN|socket hang up|network|rate limit|too many requests|overloaded|unavailable|status code (408|429|5\d\d)|\[(429|5\d\d) /i;
+
+const OPEN_STATUSES = ["queued", "running"];
+
+/**
+ * Whether an error is worth retrying
+ * @param {string} message
+ * @param {number|null} status - HTTP status, when known
+ * @returns {"transient"|"permanent"}
+ */
+function classifyError(message, status = null) {
+  if (status) {
+    return status === 408 || status === 429 || status >= 500
+      ? "transient"
+      : "permanent";
+  }
+  return TRANSIENT_ERROR.test(message || "") ? "transient" : "permanent";
+}
+
+class JobQueue {
+  /**
+   * Queue a job for each due alert that doesn't already have one open
+   * (an alert stays due while its job waits for a retry)
+   * @param {Array} alerts - due Alert documents
+   * @returns {Promise<number>} jobs created
+   */
+  async enqueueDueAlerts(alerts, now = new Date()) {
+    if (alerts.length === 0) return 0;
+
+    const open = new Set(
+      await AlertJob.distinct("alert_id", {
+        alert_id: { $in: alerts.map((alert) => alert.alert_id) },
+        status: { $in: OPEN_STATUSES },
+      })
+    );
+    const fresh = alerts.filter((alert) => !open.has(alert.alert_id));
+
+    if (fresh.length > 0) {
+      await AlertJob.insertMany(
+        fresh.map((alert) => ({
+          job_id: uuidv4(),
+          alert_id: alert.alert_id,
+          user_id: alert.user_id,
+          max_attempts: MAX_ATTEMPTS,
+          next_attempt_at: now,
+        }))
+      );
+    }
+
+    return fresh.length;
+  }
+
+  /**
+   * Queued jobs whose retry delay has passed, oldest first
+   */
+  async getReadyJobs(now = new Date()) {
+    return AlertJob.find({
+      status: "queued",
+      next_attempt_at: { $lte: now },
+    }).sort({ createdAt: 1 });
+  }
+
+  /**
+   * Requeue (or dead-letter) jobs left running by an instance that stopped
+   * mid-run. Call while holding the run lease.
+   * @returns {Promise<number>} jobs recovered
+   */
+  async recoverInterrupted() {
+    const running = await AlertJob.find({ status: "running" });
+    let recovered = 0;
+
+    for (const job of running) {
+      // Its alert claim is still renewed, so someone is still working on it
+      if (await LeaseService.getHolder(`alert:${job.alert_id}`)) continue;
+
+      await this._fail(job, {
+        message: "Interrupted: the instance stopped during the attempt",
+        type: "transient",
+      });
+      recovered++;
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Mark an attempt as started
+   */
+  async start(job, runId) {
+    job.status = "running";
+    job.attempts += 1;
+    job.run_id = runId;
+    await job.save();
+  }
+
+  /**
+   * Close an attempt from its processAlert result
+   * Errors and failed deliveries are retried with exponential backoff when
+   * transient; permanent errors and exhausted retries go to the dead letters.
+   * @returns {Promise<Object>} { state: "succeeded"|"retry"|"dead",
+   *   error_type?, retry_at? }
+   */
+  async settle(job, result) {
+    const failure = this._failureOf(result);
+    if (failure) return this._fail(job, failure);
+
+    job.status = "succeeded";
+    job.result = { status: result.status, reason: result.reason || null };
+    job.finished_at = new Date();
+    await job.save();
+
+    return { state: "succeeded" };
+  }
+
+  _failureOf(result) {
+    if (result.status === "error") {
+      return { message: result.error, type: classifyError(result.error) };
+    }
+
+    const delivery = result.wati_notification;
+    if (delivery?.status === "error") {
+      return {
+        message: delivery.reason,
+        type: classifyError(delivery.reason, delivery.code),
+      };
+    }
+
+    return null;
+  }
+
+  async _fail(job, { message, type }) {
+    job.attempt_errors.push({
+      attempt: job.attempts,
+      message: message || null,
+      type,
+      at: new Date(),
+    });
+
+    if (type === "transient" && job.attempts < job.max_attempts) {
+      const delay = Math.min(
+        RETRY_MAX_MS,
+        RETRY_BASE_MS * 2 ** Math.max(0, job.attempts - 1)
+      );
+      job.status = "queued";
+      job.next_attempt_at = new Date(Date.now() + delay);
+      await job.save();
+
+      console.warn(
+        `[JOBS] Job ${job.job_id} (alert ${job.alert_id}) attempt ${job.attempts} failed, retrying at ${job.next_attempt_at.toISOString()}: ${message}`
+      );
+      return {
+        state: "retry",
+        error_type: type,
+        retry_at: job.next_attempt_at,
+      };
+    }
+
+    await DeadLetterJob.create({
+      job_id: job.job_id,
+      alert_id: job.alert_id,
+      user_id: job.user_id,
+      source: job.source,
+      reason: type === "permanent" ? "permanent_error" : "max_attempts",
+      attempts: job.attempts,
+      run_id: job.run_id,
+      attempt_errors: job.attempt_errors,
+      queued_at: job.createdAt,
+    });
+    await AlertJob.deleteOne({ _id: job._id });
+
+    console.error(
+      `[JOBS] Job ${job.job_id} (alert ${job.alert_id}) moved to dead letters after ${job.attempts} attempt(s): ${message}`
+    );
+    return { state: "dead", error_type: type };
+  }
+
+  /**
+   * Queue a dead-lettered job again; it runs on the next cron run
+   * @returns {Promise<Object>} { state: "queued"|"not_found"|"conflict", job }
+   */
+  async retryDeadLetter(jobId) {
+    const pending = await DeadLetterJob.findOne({ job_id: jobId })
+      .select("alert_id")
+      .lean();
+    if (!pending) return { state: "not_found" };
+
+    const open = await AlertJob.exists({
+      alert_id: pending.alert_id,
+      status: { $in: OPEN_STATUSES },
+    });
+    if (open) return { state: "conflict" };
+
+    // Claimed by removing it, so concurrent retries queue it only once
+    const dead = await DeadLetterJob.findOneAndDelete({ job_id: jobId });
+    if (!dead) return { state: "not_found" };
+
+    try {
+      const job = await AlertJob.create({
+        job_id: dead.job_id,
+        alert_id: dead.alert_id,
+        user_id: dead.user_id,
+        source: "dead_letter",
+        max_attempts: MAX_ATTEMPTS,
+        next_attempt_at: new Date(),
+      });
+
+      return { state: "queued", job };
+    } catch (error) {
+      // Put the dead letter back so the job isn't lost
+      await DeadLetterJob.create(dead.toObject()).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a dead-lettered job for good
+   * @returns {Promise<boolean>} false when no such job
+   */
+  async discardDeadLetter(jobId) {
+    const { deletedCount } = await DeadLetterJob.deleteOne({ job_id: jobId });
+    return deletedCount > 0;
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,124 @@
+const os = require("os");
+const { v4: uuidv4 } = require("uuid");
+const Lease = require("../models/Lease");
+
+// A lease not renewed for this long is taken over by another instance
+const LEASE_TTL_MS = parseInt(process.env.LEASE_TTL_SECONDS || "120") * 1000;
+
+// Identifies this process in lease documents
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+class LeaseService {
+  constructor() {
+    this.instanceId = INSTANCE_ID;
+  }
+
+  /**
+   * Take a named lease if nobody holds it (or the holder stopped renewing)
+   * A heartbeat renews it every third of the TTL until release().
+   * @param {string} name - e.g. "cron:run", "alert:<alert_id>"
+   * @returns {Promise<Object|null>} lease handle, or null when held elsewhere
+   *   (handle.lost turns true if the lease could not be renewed)
+   */
+  async acquire(name, ttlMs = LEASE_TTL_MS) {
+    const now = new Date();
+    const token = uuidv4();
+
+    try {
+      // Matches only an expired lease; otherwise the upsert hits the unique
+      // name index and fails with a duplicate key error
+      await Lease.findOneAndUpdate(
+        { name, expires_at: { $lte: now } },
+        {
+          $set: {
+            owner: this.instanceId,
+            token,
+            acquired_at: now,
+            heartbeat_at: now,
+            expires_at: new Date(now.getTime() + ttlMs),
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    const handle = { name, token, owner: this.instanceId, lost: false };
+    handle.timer = setInterval(
+      () => this._renew(handle, ttlMs),
+      Math.max(1000, Math.floor(ttlMs / 3))
+    );
+    // Never keep the process alive just to renew a lease
+    handle.timer.unref();
+
+    return handle;
+  }
+
+  /**
+   * Heartbeat: extend the lease, or mark it lost if it was taken over
+   */
+  async _renew(handle, ttlMs) {
+    const now = new Date();
+    try {
+      const { matchedCount } = await Lease.updateOne(
+        { name: handle.name, token: handle.token },
+        {
+          $set: {
+            heartbeat_at: now,
+            expires_at: new Date(now.getTime() + ttlMs),
+          },
+        }
+      );
+
+      if (matchedCount === 0) {
+        handle.lost = true;
+        clearInterval(handle.timer);
+        console.warn(
+          `[LEASE] Lost lease ${handle.name}; another instance took it over`
+        );
+      }
+    } catch (error) {
+      // Retried on the next beat; the lease only lapses after the full TTL
+      console.error(
+        `[LEASE] Failed to renew lease ${handle.name}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Stop the heartbeat and free the lease (no-op if it was lost)
+   */
+  async release(handle) {
+    if (!handle) return;
+    clearInterval(handle.timer);
+
+    try {
+      await Lease.deleteOne({ name: handle.name, token: handle.token });
+    } catch (error) {
+      // It expires on its own after the TTL
+      console.error(
+        `[LEASE] Failed to release lease ${handle.name}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Current holder of a lease, or null if free
+   * @returns {Promise<Object|null>} { owner, acquired_at, heartbeat_at, expires_at }
+   */
+  async getHolder(name) {
+    const lease = await Lease.findOne({
+      name,
+      expires_at: { $gt: new Date() },
+    })
+      .select("owner acquired_at heartbeat_at expires_at -_id")
+      .lean();
+    return lease || null;
+  }
+}
+
+module.exports = new LeaseService();
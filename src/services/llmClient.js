@@ -0,0 +1,184 @@
+const LlmConfig = require("../config/llmConfig");
+const GeminiLlmBackend = require("./geminiLlmBackend");
+const OpenAiLlmBackend = require("./openAiLlmBackend");
+const StubLlmBackend = require("./stubLlmBackend");
+const { acquireSlot } = require("./rateLimiter");
+
+/**
+ * LLM backends share one interface:
+ *   generate({ prompt, task, model, temperature, maxOutputTokens, json })
+ *     -> { text, blocked, finish_reason, usage: { prompt_tokens, completion_tokens, total_tokens } }
+ */
+const LLM_BACKENDS = {
+  gemini: (options) => new GeminiLlmBackend(options),
+  openai: (options) => new OpenAiLlmBackend(options),
+  stub: () => new StubLlmBackend(),
+};
+
+// Token usage since process start, per task
+const tokenUsage = {};
+
+const recordUsage = (task, provider, usage, { error = false, retries = 0 } = {}) => {
+  const key = `${task}:${provider}`;
+  const entry =
+    tokenUsage[key] ||
+    (tokenUsage[key] = {
+      task,
+      provider,
+      calls: 0,
+      errors: 0,
+      retries: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+    });
+
+  entry.calls++;
+  entry.retries += retries;
+  if (error) entry.errors++;
+  if (usage) {
+    entry.prompt_tokens += usage.prompt_tokens || 0;
+    entry.completion_tokens += usage.completion_tokens || 0;
+    entry.total_tokens += usage.total_tokens || 0;
+  }
+};
+
+/**
+ * Token usage per task/provider since the process started
+ */
+const getTokenUsage = () => Object.values(tokenUsage).map((e) => ({ ...e }));
+
+/**
+ * Parse JSON out of an LLM response: strips ```json fences and, if the model
+ * wrapped the JSON in prose, falls back to the outermost {...} or [...]
+ * @throws {SyntaxError} when no JSON can be found
+ */
+const parseJsonResponse = (text) => {
+  const cleaned = (text || "")
+    .replace(/```json\n?/gi, "")
+    .replace(/```\n?/g, "")
+    .trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const objectStart = cleaned.indexOf("{");
+    const arrayStart = cleaned.indexOf("[");
+    const start =
+      arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart)
+        ? arrayStart
+        : objectStart;
+    const end = Math.max(cleaned.lastIndexOf("}"), cleaned.lastIndexOf("]"));
+
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(cleaned.substring(start, end + 1));
+  }
+};
+
+const NETWORK_ERROR_CODE =
+  /^(ECONN|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|EPIPE|UND_ERR)/;
+
+// Rate limits, server errors and network failures are worth retrying;
+// anything else (bad requests, bugs, unparseable responses) fails the same
+// way again and would only cost more paid calls
+const isRetryable = (error) => {
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return (
+    !!error.network ||
+    NETWORK_ERROR_CODE.test(error.code || error.cause?.code || "")
+  );
+};
+
+class LlmClient {
+  /**
+   * @param {string} task - e.g. "format", "rating", "intent"
+   * @param {object} options - { provider, model, apiKey, temperature, maxOutputTokens, json }
+   */
+  constructor(task, options = {}) {
+    this.task = task;
+    this.provider = options.provider || LlmConfig.getProvider(task);
+    this.model = options.model || LlmConfig.getModel(task, this.provider);
+    this.temperature = options.temperature ?? 0.3;
+    this.maxOutputTokens = options.maxOutputTokens || null;
+    this.json = !!options.json;
+
+    const factory = LLM_BACKENDS[this.provider];
+    if (!factory) {
+      throw new Error(`Unknown LLM provider: ${this.provider}`);
+    }
+    this.backend = factory({ apiKey: options.apiKey });
+  }
+
+  /**
+   * Generate text with retries and token accounting
+   * @returns {Promise<object>} { text, blocked, finish_reason, usage }
+   */
+  async generate(prompt) {
+    const maxRetries = LlmConfig.MAX_RETRIES;
+    let attempt = 0;
+
+    while (true) {
+      try {
+        await acquireSlot(this.provider);
+        const result = await this.backend.generate({
+          prompt,
+          task: this.task,
+          model: this.model,
+          temperature: this.temperature,
+          maxOutputTokens: this.maxOutputTokens,
+          json: this.json,
+        });
+
+        recordUsage(this.task, this.provider, result.usage, {
+          retries: attempt,
+        });
+        return result;
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryable(error)) {
+          recordUsage(this.task, this.provider, null, {
+            error: true,
+            retries: attempt,
+          });
+          throw error;
+        }
+
+        const delay = LlmConfig.RETRY_DELAY_MS * 2 ** attempt;
+        console.warn(
+          `[LLM][${this.task}] ${this.provider} call failed (${
+            error.status || error.message
+          }), retrying in ${delay}ms`
+        );
+        attempt++;
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Generate and parse a JSON response
+   * @returns {Promise<object>} { data, text, blocked, usage } – data is null
+   *   when the response was empty or blocked
+   * @throws {SyntaxError} when the response is not valid JSON
+   */
+  async generateJson(prompt) {
+    const result = await this.generate(prompt);
+    const data =
+      result.blocked || !result.text.trim()
+        ? null
+        : parseJsonResponse(result.text);
+
+    return { ...result, data };
+  }
+}
+
+/**
+ * Create an LLM client for a task
+ */
+const createLlmClient = (task, options = {}) => new LlmClient(task, options);
+
+module.exports = {
+  LLM_PROVIDER_NAMES: Object.keys(LLM_BACKENDS),
+  createLlmClient,
+  parseJsonResponse,
+  getTokenUsage,
+};
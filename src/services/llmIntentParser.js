@@ -1,30 +1,14 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const GeminiConfig = require("../config/geminiConfig");
+const { createLlmClient } = require("./llmClient");
+const { normalizeExcludeTopics } = require("./topicExclusion");
 
 class LLMIntentParser {
   constructor(apiKey = null, model = null) {
-    this.apiKey = apiKey || GeminiConfig.getApiKey();
-    this.modelName = model || GeminiConfig.getModel();
-    this.genAI = new GoogleGenerativeAI(this.apiKey);
-    this.model = this.genAI.getGenerativeModel({
-      model: this.modelName,
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 2048,
-        responseMimeType: "application/json",
-      },
-      safetySettings: [
-        { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-        { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_NONE",
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_NONE",
-        },
-      ],
+    this.llm = createLlmClient("intent", {
+      apiKey,
+      model,
+      temperature: 0.3,
+      maxOutputTokens: 2048,
+      json: true,
     });
   }
 
@@ -40,6 +24,7 @@ class LLMIntentParser {
       subcategories = [],
       followup_questions = [],
       custom_question = "",
+      exclude_topics = [],
     } = alertData;
 
     const combinedTopic = topic || category || "General";
@@ -65,6 +50,7 @@ class LLMIntentParser {
             .join("; ")
         : "None";
     const subs = subcategories.join(", ");
+    const excludes = normalizeExcludeTopics(exclude_topics).join(", ");
 
     return `
 You are "Naarad AI" — an advanced intent understanding engine.
@@ -75,6 +61,7 @@ Your job is to understand the COMPLETE user alert intent with maximum detail by
 - subcategories
 - follow-up questions
 - custom question
+- excluded topics (things the user does NOT want)
 
 You must generate a human-like intent summary that explains exactly:
 - what the user wants,
@@ -93,6 +80,7 @@ USER ALERT:
 - Subcategories: ${subs || "None"}
 - Follow-up Questions: ${followups || "None"}
 - Custom Question: ${custom_question || "None"}
+- Exclude Topics: ${excludes || "None"}
 
 Return valid JSON ONLY:
 
@@ -102,6 +90,7 @@ Return valid JSON ONLY:
   "subcategory": ["..."],
   "custom_question": "exact custom text",
   "followup_questions": ["..."],
+  "exclude_topics": ["exact excluded topics"],
   "intent_summary": "Deep, detailed interpretation. MUST include and merge ALL parts: category, subcategories, follow-ups (respecting the user's SELECTED answers as strong preferences), custom question, domain, and topic.
 
 Example style:
@@ -132,9 +121,13 @@ RULES:
    - "1week" for general updates
    - "1month" for long trend requests
 
-4. The JSON must always be complete, detailed and meaningful.
+4. Exclude topics are hard negatives:
+   - intent_summary must state what the user does NOT want
+   - perplexity_query must NOT mention or search for them
 
-5. NEVER output markdown, explanation or extra text — ONLY JSON.
+5. The JSON must always be complete, detailed and meaningful.
+
+6. NEVER output markdown, explanation or extra text — ONLY JSON.
 `;
   }
 
@@ -309,8 +302,11 @@ Finish only after delivering the paragraphs. No extra commentary.
       subcategories = [],
       followup_questions = [],
       custom_question = "",
+      exclude_topics = [],
     } = alertData;
 
+    const excludeTopics = normalizeExcludeTopics(exclude_topics);
+
     const requiresLiveData = this._detectUrgency(
       custom_question || followup_questions.join(" ")
     );
@@ -319,7 +315,9 @@ Finish only after delivering the paragraphs. No extra commentary.
 
     const intentSummary = `User wants updates on ${topic || category}${
       subcategories.length > 0 ? ` focusing on ${subcategories.join(", ")}` : ""
-    }${custom_question ? ` and specifically ${custom_question}` : ""}`;
+    }${custom_question ? ` and specifically ${custom_question}` : ""}${
+      excludeTopics.length > 0 ? `, excluding ${excludeTopics.join(", ")}` : ""
+    }`;
 
     return {
       topic: topic || category,
@@ -327,11 +325,13 @@ Finish only after delivering the paragraphs. No extra commentary.
       subcategory: subcategories,
       custom_question,
       followup_questions,
+      exclude_topics: excludeTopics,
       intent_summary: intentSummary,
       timeframe,
       perplexity_query: this._buildPerplexityQuery(alertData),
       // perplexity_prompt is now built in PerplexityNewsFetcher
       requires_live_data: requiresLiveData,
+      fallback: true,
     };
   }
 
@@ -355,6 +355,9 @@ Finish only after delivering the paragraphs. No extra commentary.
 
     if (intent.requires_live_data) intent.timeframe = "24hours";
 
+    // The alert's own list is authoritative; the LLM may drop or reword it
+    intent.exclude_topics = normalizeExcludeTopics(alertData?.exclude_topics);
+
     // Ensure perplexity_query exists and is concise
     if (
       !intent.perplexity_query ||
@@ -381,20 +384,11 @@ Finish only after delivering the paragraphs. No extra commentary.
    */
   async parseIntent(alertData) {
     try {
-      const result = await this.model.generateContent(
+      const { data: parsed } = await this.llm.generateJson(
         this._buildPrompt(alertData)
       );
-      const response = await result.response;
-
-      if (!response.text().trim()) return this._fallbackParse(alertData);
-
-      const cleaned = response
-        .text()
-        .replace(/```json/g, "")
-        .replace(/```/g, "")
-        .trim();
 
-      let parsed = JSON.parse(cleaned);
+      if (!parsed) return this._fallbackParse(alertData);
 
       // Normalize intent and add perplexity_prompt (always built directly, not from Gemini)
       return this._normalizeIntent(parsed, alertData);
@@ -0,0 +1,117 @@
+const PerplexityNewsFetcher = require("./perplexityNewsFetcher");
+const RssNewsFetcher = require("./rssNewsFetcher");
+const newsSources = require("../data/news_sources.json");
+const { normalizeDomain } = require("./articleSource");
+
+/**
+ * News providers share one interface:
+ *   fetchNews(intent) -> { query, prompt, intent_summary, articles, source, raw }
+ * where articles is [{ article, article_hash, source_url, source_domain, published_at }].
+ * source_url is canonical (see articleSource.js); source fields may be null.
+ * Providers drop articles outside domainFilter { include, exclude }.
+ */
+const NEWS_PROVIDERS = {
+  perplexity: ({ domainFilter }) =>
+    new PerplexityNewsFetcher(undefined, domainFilter),
+  rss: ({ feeds, domainFilter }) =>
+    new RssNewsFetcher(feeds, undefined, domainFilter),
+};
+
+const _normalizeDomains = (domains) => [
+  ...new Set((domains || []).map(normalizeDomain).filter(Boolean)),
+];
+
+/**
+ * Resolve which provider (and feeds) an alert should use.
+ * Priority: alert.news_source.provider → category config → default provider.
+ * Alert feeds override category feeds when present; "rss" without any feeds
+ * falls back to Perplexity.
+ * The alert's exclude_domains are combined with the user's blocked_domains.
+ *
+ * @param {Object} alert - Alert document (may be null)
+ * @param {string} category - Alert/intent category (e.g. "Sports")
+ * @param {Object} options - { blockedDomains }: user-level block-list
+ * @returns {{ provider: string, feeds: string[], domainFilter: { include: string[], exclude: string[] } }}
+ */
+const resolveNewsSource = (alert, category, { blockedDomains = [] } = {}) => {
+  const categoryConfig =
+    newsSources.categories?.[category || alert?.main_category] || {};
+  const alertSource = alert?.news_source || {};
+
+  const alertProvider =
+    alertSource.provider && alertSource.provider !== "auto"
+      ? alertSource.provider
+      : null;
+
+  let provider =
+    alertProvider ||
+    categoryConfig.provider ||
+    newsSources.default_provider ||
+    "perplexity";
+
+  const feeds =
+    Array.isArray(alertSource.feeds) && alertSource.feeds.length > 0
+      ? alertSource.feeds
+      : categoryConfig.feeds || [];
+
+  // RSS without any feed (e.g. YouTube, Custom_Input) can't fetch anything
+  if (provider === "rss" && feeds.length === 0) {
+    console.warn(
+      `[NEWS_PROVIDER] No RSS feeds for alert ${
+        alert?.alert_id || "N/A"
+      }, falling back to perplexity`
+    );
+    provider = "perplexity";
+  }
+
+  const domainFilter = {
+    include: _normalizeDomains(alertSource.include_domains),
+    exclude: _normalizeDomains([
+      ...(alertSource.exclude_domains || []),
+      ...(blockedDomains || []),
+    ]),
+  };
+
+  return { provider, feeds, domainFilter };
+};
+
+/**
+ * Create the news provider instance for an alert
+ * @param {Object} alert - Alert document (may be null)
+ * @param {string} category - Alert/intent category
+ * @param {Object} options - { blockedDomains }: user-level block-list
+ */
+const createNewsProvider = (alert, category, options = {}) => {
+  const source = resolveNewsSource(alert, category, options);
+  const { provider, feeds, domainFilter } = source;
+  const factory = NEWS_PROVIDERS[provider];
+
+  if (!factory) {
+    throw new Error(`Unknown news provider: ${provider}`);
+  }
+
+  console.log(
+    `[NEWS_PROVIDER] Using "${provider}" for alert ${alert?.alert_id || "N/A"}${
+      provider === "rss" ? ` (${feeds.length} feeds)` : ""
+    }${
+      domainFilter.include.length || domainFilter.exclude.length
+        ? ` [domains +${domainFilter.include.length}/-${domainFilter.exclude.length}]`
+        : ""
+    }`
+  );
+
+  return factory(source);
+};
+
+/**
+ * Feeds a category ships with (empty when it has none)
+ */
+const getCategoryFeeds = (category) =>
+  newsSources.categories?.[category]?.feeds || [];
+
+module.exports = {
+  NEWS_PROVIDER_NAMES: Object.keys(NEWS_PROVIDERS),
+  getCategoryFeeds,
+  resolveNewsSource,
+  createNewsProvider,
+};
@@ -0,0 +1,61 @@
+const axios = require("axios");
+const LlmConfig = require("../config/llmConfig");
+
+/**
+ * Backend for any OpenAI-compatible chat completions API
+ * (OpenAI, Azure-style gateways, vLLM, Ollama, LM Studio, ...)
+ */
+class OpenAiLlmBackend {
+  constructor({ apiKey = null, baseUrl = null } = {}) {
+    this.name = "openai";
+    this.client = axios.create({
+      baseURL: baseUrl || LlmConfig.OPENAI_BASE_URL,
+      timeout: 60000,
+      headers: {
+        Authorization: `Bearer ${apiKey || LlmConfig.getOpenAiApiKey()}`,
+        "Content-Type": "application/json",
+      },
+    });
+  }
+
+  /**
+   * @returns {Promise<object>} { text, blocked, finish_reason, usage }
+   */
+  async generate({ prompt, model, temperature, maxOutputTokens, json }) {
+    try {
+      const response = await this.client.post("/chat/completions", {
+        model,
+        messages: [{ role: "user", content: prompt }],
+        temperature,
+        ...(maxOutputTokens ? { max_tokens: maxOutputTokens } : {}),
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+      });
+
+      const choice = response.data?.choices?.[0];
+      const usage = response.data?.usage || {};
+
+      return {
+        text: choice?.message?.content || "",
+        blocked: choice?.finish_reason === "content_filter",
+        finish_reason: choice?.finish_reason || null,
+        usage: {
+          prompt_tokens: usage.prompt_tokens || 0,
+          completion_tokens: usage.completion_tokens || 0,
+          total_tokens: usage.total_tokens || 0,
+        },
+      };
+    } catch (error) {
+      // Surface the HTTP status so LlmClient can decide whether to retry
+      const wrapped = new Error(
+        error.response?.data?.error?.message || error.message
+      );
+      wrapped.status = error.response?.status;
+      wrapped.code = error.code;
+      // The request went out but no response came back
+      wrapped.network = !!error.isAxiosError && !error.response;
+      throw wrapped;
+    }
+  }
+}
+
+module.exports = OpenAiLlmBackend;
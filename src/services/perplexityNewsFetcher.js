@@ -1,9 +1,26 @@
 const axios = require("axios");
 const crypto = require("crypto");
+const {
+  canonicalizeUrl,
+  getDomain,
+  extractSourceUrl,
+  parsePublishedAt,
+  filterByTimeframe,
+  filterByDomains,
+} = require("./articleSource");
+const { acquireSlot } = require("./rateLimiter");
+
+// Perplexity accepts at most this many entries in search_domain_filter
+const MAX_DOMAIN_FILTER = 20;
 
 class PerplexityNewsFetcher {
-  constructor(model = "sonar-pro") {
+  constructor(model = "sonar-pro", domainFilter = {}) {
+    this.name = "perplexity";
     this.model = model;
+    this.domainFilter = {
+      include: domainFilter.include || [],
+      exclude: domainFilter.exclude || [],
+    };
     this.apiKey = process.env.PERPLEXITY_API_KEY;
 
     if (!this.apiKey) {
@@ -205,6 +222,45 @@ class PerplexityNewsFetcher {
     return articles.slice(0, 4);
   }
 
+  /**
+   * Attach source_url, source_domain and published_at to parsed articles.
+   * The URL comes from the "Source:" line the prompt asks for, or the first
+   * [n] citation marker; the date from the matching search_results entry.
+   */
+  _attachSourceMetadata(articles, raw) {
+    const citations = Array.isArray(raw?.citations) ? raw.citations : [];
+    const searchResults = Array.isArray(raw?.search_results)
+      ? raw.search_results
+      : [];
+
+    const resultsByUrl = new Map();
+    for (const result of searchResults) {
+      const url = canonicalizeUrl(result?.url);
+      if (url && !resultsByUrl.has(url)) resultsByUrl.set(url, result);
+    }
+
+    return articles.map((item) => {
+      let sourceUrl = extractSourceUrl(item.article);
+
+      if (!sourceUrl) {
+        const marker = item.article.match(/\[(\d+)\]/);
+        const index = marker ? parseInt(marker[1]) - 1 : -1;
+        sourceUrl = canonicalizeUrl(
+          citations[index] || searchResults[index]?.url
+        );
+      }
+
+      const result = sourceUrl ? resultsByUrl.get(sourceUrl) : null;
+
+      return {
+        ...item,
+        source_url: sourceUrl,
+        source_domain: sourceUrl ? getDomain(sourceUrl) : null,
+        published_at: parsePublishedAt(result?.date || result?.last_updated),
+      };
+    });
+  }
+
   // ------------------------------------------------------------
   // BUILD SEARCH QUERY FOR PERPLEXITY SERP
   // ------------------------------------------------------------
@@ -300,6 +356,13 @@ class PerplexityNewsFetcher {
           .join("\n\n")
       : "None";
 
+    const excludeTopics = Array.isArray(intent.exclude_topics)
+      ? intent.exclude_topics.filter(Boolean).join(", ")
+      : "";
+    const excludeRule = excludeTopics
+      ? `9. Do NOT return any article that is mainly about an excluded topic (${excludeTopics}), even if it otherwise matches the category.\n`
+      : "";
+
     const searchQuery = this._buildSearchQuery(intent);
 
     return `You are fetching news articles for “Naarad,” an AI-powered personal update assistant. 
@@ -319,6 +382,7 @@ USER PREFERENCES (FULL STRUCTURE EXAMPLE):
 - Follow-up details (question → options → selected):
 ${followupsRaw || "None"}
 - Custom question: ${customQ || "None"}
+- Excluded topics (the user does NOT want these): ${excludeTopics || "None"}
  Intent summary: ${intent.intent_summary || "None"}
 
 (IMPORTANT: In the actual request, all questions, all options, and all user selections for the selected subcategory will be inserted here exactly in this structure.)
@@ -332,7 +396,7 @@ Your task and be very strict about it:
 6. Avoid press releases, low-value blogs, SEO spam, AI-generated junk, filler content.
 7. Return ONLY the full original article text in JSON format.
 8.Do NOT return any article older than 3 days — absolutely no article published before this time window should be included.
-CRITICAL: FULL ARTICLE TEXT REQUIRED - NO ELLIPSES ALLOWED
+${excludeRule}CRITICAL: FULL ARTICLE TEXT REQUIRED - NO ELLIPSES ALLOWED
 - You MUST fetch and return the COMPLETE, ENTIRE article text from start to finish
 - STRICTLY FORBIDDEN: Do NOT use ellipses (...) or any truncation markers like "...", "…", or ".." anywhere in the article text
 - Do NOT use ellipses even if the source article has them - replace them with the actual content or skip them entirely
@@ -415,17 +479,66 @@ Now fetch the best possible articles as per the above instructions.`;
         max_tokens: 8000, // Allow longer responses to get complete articles
       };
 
+      // Allow-list mode when the alert has include_domains, else deny-list
+      const searchDomainFilter = this.domainFilter.include.length
+        ? this.domainFilter.include
+        : this.domainFilter.exclude.map((domain) => `-${domain}`);
+      if (searchDomainFilter.length > 0) {
+        payload.search_domain_filter = searchDomainFilter.slice(
+          0,
+          MAX_DOMAIN_FILTER
+        );
+      }
+
+      await acquireSlot("perplexity");
       const response = await this.client.post("/chat/completions", payload);
 
       const content = this._extractContent(response);
 
-      const articles = this._parseArticles(content);
+      const parsedArticles = this._attachSourceMetadata(
+        this._parseArticles(content),
+        response.data
+      );
+
+      // search_domain_filter is best-effort (and capped), so enforce it here
+      const { kept: allowedArticles, dropped: blocked } = filterByDomains(
+        parsedArticles,
+        this.domainFilter
+      );
+
+      if (blocked.length > 0) {
+        console.log(
+          `[PERPLEXITY] Dropped ${blocked.length} articles from filtered domains:`,
+          blocked.map((a) => a.source_domain)
+        );
+      }
+
+      // The prompt asks for recent articles only; enforce it where dates are known
+      const { kept: articles, dropped } = filterByTimeframe(
+        allowedArticles,
+        intent.timeframe
+      );
+
+      if (dropped.length > 0) {
+        console.log(
+          `[PERPLEXITY] Dropped ${dropped.length} articles older than ${
+            intent.timeframe || "3days"
+          }:`,
+          dropped.map((a) => ({
+            url: a.source_url,
+            published_at: a.published_at,
+          }))
+        );
+      }
 
       return {
         query: searchQuery,
         prompt,
         intent_summary: intent.intent_summary || null,
         articles,
+        dropped_stale: dropped.length,
+        dropped_domains: blocked.length,
+        source: this.name,
         raw: response.data,
       };
     } catch (err) {
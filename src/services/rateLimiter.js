@@ -0,0 +1,104 @@
+/**
+ * Per-provider request rate limits, shared by everything in this process
+ * RATE_LIMIT_<PROVIDER>_PER_MINUTE sets a provider's limit ("0" = unlimited),
+ * e.g. RATE_LIMIT_PERPLEXITY_PER_MINUTE=50. Providers without a default or
+ * an env value (such as the stub LLM) are not limited.
+ */
+const DEFAULT_LIMITS_PER_MINUTE = {
+  perplexity: 50,
+  gemini: 60,
+  google_cse: 100,
+  wati: 60,
+};
+
+/**
+ * Token bucket: refills continuously at perMinute / 60s and holds up to
+ * a tenth of a minute's requests, so short bursts go through immediately
+ * but the per-minute rate is kept. Waiters are served in arrival order.
+ */
+class TokenBucket {
+  constructor(perMinute) {
+    this.perMinute = perMinute;
+    this.capacity = Math.max(1, Math.ceil(perMinute / 10));
+    this.tokens = this.capacity;
+    this.refilledAt = Date.now();
+    this.queue = Promise.resolve();
+    this.stats = { requests: 0, waited: 0, wait_ms: 0 };
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + ((now - this.refilledAt) * this.perMinute) / 60000
+    );
+    this.refilledAt = now;
+  }
+
+  async _takeNext() {
+    this._refill();
+    if (this.tokens < 1) {
+      const waitMs = Math.ceil(((1 - this.tokens) * 60000) / this.perMinute);
+      this.stats.waited++;
+      this.stats.wait_ms += waitMs;
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+      this._refill();
+    }
+    this.tokens -= 1;
+    this.stats.requests++;
+  }
+
+  /**
+   * Resolves once a request may be made
+   */
+  take() {
+    const turn = this.queue.then(() => this._takeNext());
+    this.queue = turn;
+    return turn;
+  }
+}
+
+const buckets = {};
+
+const getLimitPerMinute = (provider) => {
+  const envValue = parseFloat(
+    process.env[`RATE_LIMIT_${provider.toUpperCase()}_PER_MINUTE`]
+  );
+  if (!isNaN(envValue)) return envValue;
+  return DEFAULT_LIMITS_PER_MINUTE[provider] || 0;
+};
+
+/**
+ * Wait for a request slot with a provider
+ * @param {string} provider - "perplexity" | "gemini" | "google_cse" | "wati" | ...
+ * @returns {Promise<void>}
+ */
+const acquireSlot = async (provider) => {
+  if (!provider) return;
+
+  if (!(provider in buckets)) {
+    const perMinute = getLimitPerMinute(provider);
+    buckets[provider] = perMinute > 0 ? new TokenBucket(perMinute) : null;
+  }
+
+  if (buckets[provider]) {
+    await buckets[provider].take();
+  }
+};
+
+/**
+ * Limits and usage of the providers used since the process started
+ */
+const getRateLimitStats = () =>
+  Object.entries(buckets)
+    .filter(([, bucket]) => bucket)
+    .map(([provider, bucket]) => ({
+      provider,
+      per_minute: bucket.perMinute,
+      ...bucket.stats,
+    }));
+
+module.exports = {
+  acquireSlot,
+  getRateLimitStats,
+};
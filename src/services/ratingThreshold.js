@@ -0,0 +1,219 @@
+const Alert = require("../models/Alert");
+const CronRunAlert = require("../models/CronRunAlert");
+const FeedbackService = require("./feedbackService");
+
+const DEFAULT_THRESHOLD = parseFloat(
+  process.env.RATING_THRESHOLD_DEFAULT || "7"
+);
+const MIN_THRESHOLD = parseFloat(process.env.RATING_THRESHOLD_MIN || "5");
+const MAX_THRESHOLD = parseFloat(process.env.RATING_THRESHOLD_MAX || "9");
+const WINDOW_DAYS = parseInt(process.env.RATING_THRESHOLD_WINDOW_DAYS || "7");
+// Above this many delivered runs per day an alert counts as too noisy
+const MAX_DELIVERIES_PER_DAY = parseFloat(
+  process.env.RATING_THRESHOLD_MAX_DELIVERIES_PER_DAY || "3"
+);
+
+const STEP = 0.5;
+// Runs needed in the window before the threshold moves
+const MIN_RUNS = 3;
+// Minimum time between two adjustments, so one change can take effect first
+const ADJUST_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const MAX_HISTORY = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function _clamp(value) {
+  return Math.min(MAX_THRESHOLD, Math.max(MIN_THRESHOLD, value));
+}
+
+function _round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Threshold currently applied to an alert's article ratings
+ * @param {Object} alert - Alert document or plain object
+ * @returns {number}
+ */
+function getRatingThreshold(alert) {
+  const value = alert?.rating_threshold?.value;
+  return typeof value === "number" ? _clamp(value) : DEFAULT_THRESHOLD;
+}
+
+/**
+ * Stats are collected since the last adjustment, at most WINDOW_DAYS back
+ */
+function getWindowStart(alert, now = new Date()) {
+  const windowStart = new Date(now.getTime() - WINDOW_DAYS * DAY_MS);
+  const adjustedAt = alert?.rating_threshold?.adjusted_at;
+  return adjustedAt && new Date(adjustedAt) > windowStart
+    ? new Date(adjustedAt)
+    : windowStart;
+}
+
+// Sends held back by a pause or the duplicate checks say nothing about
+// the threshold
+const SKIPPED_DELIVERY = /^(delivery_paused$|duplicate_)/;
+
+/**
+ * Runs, deliveries, rating distribution and feedback for an alert
+ * @returns {Promise<Object>} { since, days, runs, deliveries,
+ *   deliveries_per_day, skipped_deliveries, runs_below_threshold,
+ *   ratings: { total, accepted, average, distribution },
+ *   feedback: { up, down } }
+ */
+async function collectThresholdStats(alert, since, now = new Date()) {
+  const [entries, feedback] = await Promise.all([
+    CronRunAlert.find({
+      alert_id: alert.alert_id,
+      started_at: { $gte: since },
+    })
+      .select("wati.status wati.reason ratings")
+      .lean(),
+    FeedbackService.getFeedbackCounts(alert.user_id, alert.alert_id, since),
+  ]);
+
+  const ratings = entries.flatMap((entry) => entry.ratings || []);
+  const delivered = (entry) => entry.wati?.status === "success";
+  const skipped = (entry) => SKIPPED_DELIVERY.test(entry.wati?.reason || "");
+  // Runs that rated articles but had none pass the threshold
+  const belowThreshold = (entry) =>
+    !skipped(entry) &&
+    entry.ratings?.length > 0 &&
+    !entry.ratings.some((r) => r.accepted);
+  const distribution = {};
+  for (let bucket = 0; bucket <= 10; bucket++) distribution[bucket] = 0;
+  ratings.forEach(({ rating }) => {
+    const bucket = Math.min(10, Math.max(0, Math.round(rating || 0)));
+    distribution[bucket]++;
+  });
+
+  const days = Math.max(1, (now - since) / DAY_MS);
+  const deliveries = entries.filter(delivered).length;
+  const ratingSum = ratings.reduce((sum, r) => sum + (r.rating || 0), 0);
+
+  return {
+    since,
+    days: _round(days),
+    runs: entries.length,
+    deliveries,
+    deliveries_per_day: _round(deliveries / days, 2),
+    skipped_deliveries: entries.filter(skipped).length,
+    runs_below_threshold: entries.filter(belowThreshold).length,
+    ratings: {
+      total: ratings.length,
+      accepted: ratings.filter((r) => r.accepted).length,
+      average: ratings.length > 0 ? _round(ratingSum / ratings.length) : null,
+      distribution,
+    },
+    feedback,
+  };
+}
+
+/**
+ * Decide the next threshold from collected stats
+ * Raise for noisy or disliked alerts, lower for alerts whose runs keep
+ * rating every article below the threshold (or are liked but quiet).
+ * @param {number} current
+ * @param {Object} stats - collectThresholdStats() result
+ * @returns {{ value: number, changed: boolean, reason: string }}
+ */
+function evaluateRatingThreshold(current, stats) {
+  const move = (delta, reason) => {
+    const value = _clamp(current + delta);
+    return value === current
+      ? { value, changed: false, reason: `${reason}_at_bound` }
+      : { value, changed: true, reason };
+  };
+
+  if (stats.runs < MIN_RUNS) {
+    return { value: current, changed: false, reason: "not_enough_runs" };
+  }
+
+  const { up, down } = stats.feedback;
+
+  if (stats.deliveries_per_day > MAX_DELIVERIES_PER_DAY) {
+    return move(STEP, "too_many_deliveries");
+  }
+  if (down >= 2 && down > up) {
+    return move(STEP, "negative_feedback");
+  }
+  if (stats.deliveries === 0 && stats.runs_below_threshold >= MIN_RUNS) {
+    return move(-STEP, "no_deliveries");
+  }
+  if (up >= 2 && up > down && stats.deliveries_per_day < 1) {
+    return move(-STEP, "positive_feedback_low_volume");
+  }
+
+  return { value: current, changed: false, reason: "within_target" };
+}
+
+/**
+ * Re-evaluate an alert's threshold before a run and persist any change
+ * @param {Object} alert - Alert document or plain object
+ * @returns {Promise<{ value: number, changed: boolean, reason: string }>}
+ */
+async function adjustRatingThreshold(alert, now = new Date()) {
+  const current = getRatingThreshold(alert);
+  const adjustedAt = alert.rating_threshold?.adjusted_at;
+
+  if (adjustedAt && now - new Date(adjustedAt) < ADJUST_INTERVAL_MS) {
+    return { value: current, changed: false, reason: "recently_adjusted" };
+  }
+
+  const stats = await collectThresholdStats(
+    alert,
+    getWindowStart(alert, now),
+    now
+  );
+  const decision = evaluateRatingThreshold(current, stats);
+
+  if (decision.changed) {
+    await Alert.updateOne(
+      { alert_id: alert.alert_id },
+      {
+        $set: {
+          "rating_threshold.value": decision.value,
+          "rating_threshold.adjusted_at": now,
+        },
+        $push: {
+          "rating_threshold.history": {
+            $each: [
+              {
+                from: current,
+                to: decision.value,
+                reason: decision.reason,
+                at: now,
+              },
+            ],
+            $slice: -MAX_HISTORY,
+          },
+        },
+      }
+    );
+
+    console.log(
+      `[RATING_THRESHOLD] Alert ${alert.alert_id}: ${current} → ${decision.value} (${decision.reason})`,
+      {
+        runs: stats.runs,
+        deliveries_per_day: stats.deliveries_per_day,
+        feedback: stats.feedback,
+      }
+    );
+  }
+
+  return decision;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  MIN_THRESHOLD,
+  MAX_THRESHOLD,
+  STEP,
+  getRatingThreshold,
+  getWindowStart,
+  collectThresholdStats,
+  evaluateRatingThreshold,
+  adjustRatingThreshold,
+};
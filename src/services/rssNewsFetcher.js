@@ -0,0 +1,293 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const { XMLParser } = require("fast-xml-parser");
+
+const {
+  canonicalizeUrl,
+  getDomain,
+  getTimeframeCutoff,
+  filterByDomains,
+} = require("./articleSource");
+const { assertPublicUrl, safeRequestOptions } = require("./urlGuard");
+
+// Words that carry no signal when matching feed items against an intent
+const STOP_WORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "with",
+  "about",
+  "news",
+  "latest",
+  "updates",
+  "update",
+  "no",
+  "preference",
+  "only",
+  "all",
+]);
+
+/**
+ * News provider backed by curated RSS 2.0 / Atom feeds.
+ * Returns the same { query, articles } shape as PerplexityNewsFetcher,
+ * without any LLM search calls.
+ */
+class RssNewsFetcher {
+  constructor(feeds = [], maxArticles = 4, domainFilter = {}) {
+    this.name = "rss";
+    this.feeds = Array.isArray(feeds) ? feeds.filter(Boolean) : [];
+    this.maxArticles = maxArticles;
+    this.domainFilter = {
+      include: domainFilter.include || [],
+      exclude: domainFilter.exclude || [],
+    };
+
+    if (this.feeds.length === 0) {
+      throw new Error("RssNewsFetcher requires at least one feed URL");
+    }
+
+    // Feed URLs come from users: public hosts only, bounded redirects/size
+    this.client = axios.create({
+      ...safeRequestOptions(),
+      timeout: 15000,
+      headers: {
+        "User-Agent": "NaaradBot/1.0 (+https://www.naaradai.com)",
+        Accept:
+          "application/rss+xml, application/atom+xml, application/xml, text/xml",
+      },
+    });
+
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: "@_",
+      textNodeName: "#text",
+    });
+  }
+
+  // ------------------------------------------------------------
+  // UTILITIES
+  // ------------------------------------------------------------
+
+  _toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  _text(value) {
+    if (value === undefined || value === null) return "";
+    if (typeof value === "string" || typeof value === "number") {
+      return String(value);
+    }
+    if (typeof value === "object" && value["#text"] !== undefined) {
+      return String(value["#text"]);
+    }
+    return "";
+  }
+
+  _stripHtml(html) {
+    return (html || "")
+      .replace(/<!\[CDATA\[|\]\]>/g, "")
+      .replace(/<script[\s\S]*?<\/script>/gi, "")
+      .replace(/<style[\s\S]*?<\/style>/gi, "")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&amp;/g, "&")
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  _atomLink(link) {
+    const links = this._toArray(link);
+    const alternate =
+      links.find((l) => l && l["@_rel"] === "alternate") ||
+      links.find((l) => l && !l["@_rel"]) ||
+      links[0];
+    if (!alternate) return "";
+    return typeof alternate === "string" ? alternate : alternate["@_href"] || "";
+  }
+
+  /**
+   * Normalise RSS <item> and Atom <entry> nodes to
+   * { title, link, content, published_at, feed }
+   */
+  _parseFeed(xml, feedUrl) {
+    const doc = this.parser.parse(xml);
+
+    if (doc?.rss?.channel) {
+      return this._toArray(doc.rss.channel.item).map((item) => ({
+        title: this._stripHtml(this._text(item.title)),
+        link: this._text(item.link) || this._text(item.guid),
+        content: this._stripHtml(
+          this._text(item["content:encoded"]) || this._text(item.description)
+        ),
+        published_at: this._parseDate(
+          this._text(item.pubDate) || this._text(item["dc:date"])
+        ),
+        feed: feedUrl,
+      }));
+    }
+
+    if (doc?.feed) {
+      return this._toArray(doc.feed.entry).map((entry) => ({
+        title: this._stripHtml(this._text(entry.title)),
+        link: this._atomLink(entry.link),
+        content: this._stripHtml(
+          this._text(entry.content) || this._text(entry.summary)
+        ),
+        published_at: this._parseDate(
+          this._text(entry.published) || this._text(entry.updated)
+        ),
+        feed: feedUrl,
+      }));
+    }
+
+    console.warn(`[RSS] Unrecognised feed format: ${feedUrl}`);
+    return [];
+  }
+
+  _parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Keywords used to match feed items against the user's intent
+   */
+  _buildKeywords(intent) {
+    const followupAnswers = Array.isArray(intent.followup_questions)
+      ? intent.followup_questions.map((fq) =>
+          fq && typeof fq === "object" ? fq.selected_answer : fq
+        )
+      : [];
+
+    const phrases = [
+      ...(Array.isArray(intent.subcategory) ? intent.subcategory : []),
+      ...followupAnswers,
+      intent.custom_question,
+    ].filter((p) => typeof p === "string" && p.trim());
+
+    const words = phrases
+      .join(" ")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length > 2 && !STOP_WORDS.has(w));
+
+    return [...new Set(words)];
+  }
+
+  _scoreItem(item, keywords) {
+    if (keywords.length === 0) return 0;
+    const haystack = `${item.title} ${item.content}`.toLowerCase();
+    return keywords.filter((k) => haystack.includes(k)).length;
+  }
+
+  // ------------------------------------------------------------
+  // MAIN FUNCTION — FETCH NEWS FROM FEEDS
+  // ------------------------------------------------------------
+
+  async fetchNews(intent) {
+    if (!intent) throw new Error("Intent is required");
+
+    const cutoff = getTimeframeCutoff(intent.timeframe);
+    const keywords = this._buildKeywords(intent);
+
+    const feedResults = await Promise.all(
+      this.feeds.map(async (feedUrl) => {
+        try {
+          await assertPublicUrl(feedUrl);
+          const response = await this.client.get(feedUrl, {
+            responseType: "text",
+          });
+          return { feed: feedUrl, items: this._parseFeed(response.data, feedUrl) };
+        } catch (error) {
+          console.error(`[RSS] Failed to fetch feed ${feedUrl}:`, error.message);
+          return { feed: feedUrl, items: [], error: error.message };
+        }
+      })
+    );
+
+    const failedFeeds = feedResults.filter((r) => r.error);
+    if (failedFeeds.length === this.feeds.length) {
+      throw new Error(
+        `Failed to fetch news from RSS feeds: ${failedFeeds
+          .map((r) => `${r.feed} (${r.error})`)
+          .join(", ")}`
+      );
+    }
+
+    const seenLinks = new Set();
+    const candidates = feedResults
+      .flatMap((r) => r.items)
+      .filter((item) => item.title && item.content)
+      // Undated items can't be checked against the timeframe; they are kept
+      // and sort after dated items with the same score
+      .filter((item) => !item.published_at || item.published_at >= cutoff)
+      .filter((item) => {
+        const key = item.link || item.title;
+        if (seenLinks.has(key)) return false;
+        seenLinks.add(key);
+        return true;
+      })
+      .map((item) => {
+        const sourceUrl = canonicalizeUrl(item.link);
+        return {
+          ...item,
+          source_url: sourceUrl,
+          source_domain: sourceUrl ? getDomain(sourceUrl) : null,
+          score: this._scoreItem(item, keywords),
+        };
+      })
+      .filter((item) => keywords.length === 0 || item.score > 0)
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          (b.published_at?.getTime() || 0) - (a.published_at?.getTime() || 0)
+      );
+
+    // Aggregator feeds link out to many outlets; apply the alert's domain lists
+    const { kept: allowed, dropped: blocked } = filterByDomains(
+      candidates,
+      this.domainFilter
+    );
+
+    const articles = allowed.slice(0, this.maxArticles).map((item) => {
+      const text = `${item.title}. ${item.content}${
+        item.link ? `\n\nSource: ${item.link}` : ""
+      }`;
+      return {
+        article: text,
+        article_hash: crypto.createHash("sha256").update(text).digest("hex"),
+        source_url: item.source_url,
+        source_domain: item.source_domain,
+        published_at: item.published_at,
+      };
+    });
+
+    console.log(
+      `[RSS] ${articles.length} articles selected from ${candidates.length} matching items across ${this.feeds.length} feeds (${blocked.length} from filtered domains)`
+    );
+
+    return {
+      query: keywords.join(" "),
+      prompt: null,
+      intent_summary: intent.intent_summary || null,
+      articles,
+      dropped_domains: blocked.length,
+      source: this.name,
+      raw: {
+        feeds: feedResults.map((r) => ({
+          feed: r.feed,
+          items: r.items.length,
+          error: r.error,
+        })),
+      },
+    };
+  }
+}
+
+module.exports = RssNewsFetcher;
@@ -0,0 +1,46 @@
+/**
+ * Deterministic offline backend for tests and local development
+ * Returns canned JSON for tasks whose callers need a decision and an empty
+ * text otherwise, which sends every caller down its existing non-LLM
+ * fallback (rule-based intent, sentence-based formatting, keyword image query).
+ */
+const STUB_RESPONSES = {
+  rating: { rating: 10, reason: "Stub LLM: rating skipped" },
+  similarity: {
+    is_similar: false,
+    similar_to_index: null,
+    confidence: 0,
+    reason: "Stub LLM: similarity check skipped",
+  },
+};
+
+class StubLlmBackend {
+  constructor() {
+    this.name = "stub";
+  }
+
+  /**
+   * @returns {Promise<object>} { text, blocked, finish_reason, usage }
+   */
+  async generate({ prompt, task }) {
+    const response = STUB_RESPONSES[task];
+    const text = response ? JSON.stringify(response) : "";
+
+    // Rough estimate (~4 characters per token) so accounting stays meaningful
+    const promptTokens = Math.ceil((prompt || "").length / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+
+    return {
+      text,
+      blocked: false,
+      finish_reason: "STOP",
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+    };
+  }
+}
+
+module.exports = StubLlmBackend;
@@ -0,0 +1,80 @@
+/**
+ * Trim and de-duplicate (case-insensitively) an alert's exclude_topics,
+ * keeping the casing the user typed first
+ * @param {string[]} topics
+ * @returns {string[]}
+ */
+function normalizeExcludeTopics(topics) {
+  if (!Array.isArray(topics)) return [];
+
+  const seen = new Set();
+  return topics
+    .filter((topic) => typeof topic === "string")
+    .map((topic) => topic.trim().replace(/\s+/g, " "))
+    .filter((topic) => {
+      const key = topic.toLowerCase();
+      if (!topic || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+function _escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * First excluded topic mentioned in a text, matched as a whole word or
+ * phrase (case-insensitive), so "IPL" does not match "triple".
+ * @param {string} text
+ * @param {string[]} topics - Normalized exclude_topics
+ * @returns {string|null}
+ */
+function findExcludedTopic(text, topics = []) {
+  if (!text || topics.length === 0) return null;
+
+  const haystack = text.toLowerCase();
+  return (
+    topics.find((topic) => {
+      const phrase = topic
+        .toLowerCase()
+        .split(" ")
+        .map(_escapeRegExp)
+        .join("\\s+");
+      return new RegExp(`(^|[^a-z0-9])${phrase}($|[^a-z0-9])`).test(haystack);
+    }) || null
+  );
+}
+
+/**
+ * Deterministic guard after the LLM stages: drop articles whose title or
+ * description mention an excluded topic.
+ * @param {Array} articles - [{ title, description, ... }]
+ * @param {string[]} topics - exclude_topics
+ * @returns {{ kept: Array, dropped: Array<{ article, topic }> }}
+ */
+function filterByExcludedTopics(articles, topics) {
+  const normalized = normalizeExcludeTopics(topics);
+  const kept = [];
+  const dropped = [];
+
+  for (const article of articles) {
+    const topic = findExcludedTopic(
+      `${article.title || ""}\n${article.description || ""}`,
+      normalized
+    );
+    if (topic) {
+      dropped.push({ article, topic });
+    } else {
+      kept.push(article);
+    }
+  }
+
+  return { kept, dropped };
+}
+
+module.exports = {
+  normalizeExcludeTopics,
+  findExcludedTopic,
+  filterByExcludedTopics,
+};
@@ -0,0 +1,161 @@
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+/**
+ * Guards for fetching user-supplied URLs (e.g. alert RSS feeds): only
+ * public http(s) hosts may be reached, so a feed URL can't be used to
+ * probe internal services or cloud metadata endpoints (SSRF).
+ */
+
+// Loopback, private, link-local (incl. 169.254.169.254 metadata),
+// CGNAT, multicast and reserved ranges
+const BLOCKED_IPV4 = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+];
+
+const _ipv4ToInt = (address) =>
+  address
+    .split(".")
+    .reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+
+const _inIpv4Range = (address, [base, bits]) => {
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (_ipv4ToInt(address) & mask) === (_ipv4ToInt(base) & mask);
+};
+
+/**
+ * Whether an IP address is not publicly routable
+ * @param {string} address - IPv4 or IPv6 literal
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    return BLOCKED_IPV4.some((range) => _inIpv4Range(address, range));
+  }
+
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped (::ffff:10.0.0.1)
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    // Same, as normalised by the URL parser (::ffff:a00:1)
+    const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+    if (mappedHex) {
+      const [high, low] = [mappedHex[1], mappedHex[2]].map((h) =>
+        parseInt(h, 16)
+      );
+      return isPrivateAddress(
+        [high >> 8, high & 255, low >> 8, low & 255].join(".")
+      );
+    }
+
+    return (
+      lower === "::" ||
+      lower === "::1" ||
+      /^f[cd]/.test(lower) || // fc00::/7 unique local
+      /^fe[89ab]/.test(lower) || // fe80::/10 link-local
+      /^ff/.test(lower) // multicast
+    );
+  }
+
+  // Not an IP at all: treat as unsafe
+  return true;
+}
+
+/**
+ * dns.lookup replacement that refuses private addresses; used by the
+ * agents below so the check also holds at connect time (DNS rebinding)
+ * and for every redirect hop
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(
+        new Error(`Blocked request to private address ${blocked.address}`)
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Reject URLs that aren't http(s) or whose host is (or resolves to) a
+ * private address. IP literals never go through a lookup, so they are
+ * checked here as well.
+ * @param {string} url
+ * @throws {Error} when the URL must not be fetched
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error(`Blocked non-http(s) URL: ${url}`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true });
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw new Error(`Blocked request to private address ${blocked.address}`);
+  }
+}
+
+/**
+ * axios options for fetching untrusted URLs: connections go through
+ * safeLookup, redirects to IP literals are re-checked, and redirects and
+ * response size are capped
+ * @param {Object} limits - { maxRedirects, maxContentLength }
+ */
+function safeRequestOptions({
+  maxRedirects = 3,
+  maxContentLength = 2 * 1024 * 1024,
+} = {}) {
+  return {
+    httpAgent: new http.Agent({ lookup: safeLookup }),
+    httpsAgent: new https.Agent({ lookup: safeLookup }),
+    maxRedirects,
+    maxContentLength,
+    beforeRedirect: (options) => {
+      const hostname = (options.hostname || "").replace(/^\[|\]$/g, "");
+      if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw new Error(`Blocked redirect to private address ${hostname}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  isPrivateAddress,
+  safeLookup,
+  assertPublicUrl,
+  safeRequestOptions,
+};
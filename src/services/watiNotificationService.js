@@ -1,8 +1,10 @@
 const axios = require("axios");
 const crypto = require("crypto");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const WatiConfig = require("../config/watiConfig");
-const GeminiConfig = require("../config/geminiConfig");
+const { createLlmClient, parseJsonResponse } = require("./llmClient");
+const { pickSourceFields } = require("./articleSource");
+const { acquireSlot } = require("./rateLimiter");
+const DeliveryControl = require("./deliveryControl");
 const WatiDispatch = require("../models/WatiDispatch");
 const User = require("../models/User");
 const { getIo } = require("../socket");
@@ -12,25 +14,21 @@ class WatiNotificationService {
     this.accessToken = WatiConfig.ACCESS_TOKEN;
     this.baseUrl = WatiConfig.BASE_URL;
 
-    // Initialize Gemini for similarity checking
+    // Initialize LLM for similarity checking
     try {
-      const apiKey = GeminiConfig.getApiKey();
-      const modelName = GeminiConfig.getModel();
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      this.geminiModel = this.genAI.getGenerativeModel({
-        model: modelName,
-        generationConfig: {
-          temperature: 0.1,
-          responseMimeType: "application/json",
-        },
+      this.similarityLlm = createLlmClient("similarity", {
+        temperature: 0.1,
+        json: true,
       });
-      console.log("[WATI] Gemini initialized for similarity checking");
+      console.log(
+        `[WATI] LLM (${this.similarityLlm.provider}) initialized for similarity checking`
+      );
     } catch (error) {
       console.warn(
-        "[WATI] Gemini not available for similarity checking:",
+        "[WATI] LLM not available for similarity checking:",
         error.message
       );
-      this.geminiModel = null;
+      this.similarityLlm = null;
     }
   }
 
@@ -132,27 +130,32 @@ class WatiNotificationService {
 
   /**
    * Check for duplicate dispatch based on formatted message content
+   * (the hash already includes the template, so this holds across channels)
    */
-  async isDuplicate({ userId, templateName, contentHash }) {
+  async isDuplicate({ userId, contentHash }) {
     const existing = await WatiDispatch.findOne({
       user_id: userId,
-      template_name: templateName,
-      content_hash: contentHash,
+      $or: [
+        { content_hash: contentHash },
+        { "digest_articles.content_hash": contentHash },
+      ],
     });
     return !!existing;
   }
 
   /**
    * Check for duplicate based on original article hash (same news, even if
-   * title/description have changed).
+   * title/description have changed), on any channel.
    */
-  async isDuplicateByArticle({ userId, templateName, articleHash }) {
+  async isDuplicateByArticle({ userId, articleHash }) {
     if (!articleHash) return false;
 
     const existing = await WatiDispatch.findOne({
       user_id: userId,
-      template_name: templateName,
-      article_hash: articleHash,
+      $or: [
+        { article_hash: articleHash },
+        { "digest_articles.article_hash": articleHash },
+      ],
     });
 
     return !!existing;
@@ -160,17 +163,17 @@ class WatiNotificationService {
 
   /**
    * Level 3: Check for similar messages using Gemini AI
-   * Compares current message with recent messages to detect semantic similarity
+   * Compares current message with recent messages (any channel) to detect
+   * semantic similarity
    */
   async isSimilarByGemini({
     userId,
-    templateName,
     title,
     description,
     lookbackHours = 24,
     maxRecentMessages = 10,
   }) {
-    if (!this.geminiModel) {
+    if (!this.similarityLlm) {
       console.log(
         "[WATI][SIMILARITY] Gemini not available, skipping similarity check"
       );
@@ -184,7 +187,6 @@ class WatiNotificationService {
 
       const recentMessages = await WatiDispatch.find({
         user_id: userId,
-        template_name: templateName,
         message_sent: true,
         reason: "success",
         sent_at: { $gte: lookbackDate },
@@ -240,18 +242,12 @@ Return ONLY valid JSON:
   "reason": "brief explanation"
 }`;
 
-      const result = await this.geminiModel.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
+      const { text } = await this.similarityLlm.generate(prompt);
 
       // Parse JSON response
       let parsed;
       try {
-        const cleanedText = text
-          .replace(/```json\n?/gi, "")
-          .replace(/```\n?/g, "")
-          .trim();
-        parsed = JSON.parse(cleanedText);
+        parsed = parseJsonResponse(text);
       } catch (parseError) {
         console.error(
           "[WATI][SIMILARITY] Failed to parse Gemini response:",
@@ -292,9 +288,11 @@ Return ONLY valid JSON:
    * @param {string} alertId
    * @param {object} article { image_url, title, description }
    * @param {object} phone { country_code, phone_number }
+   * @param {object} options { skipDuplicateCheck } - set when the caller
+   *   already ran the duplicate checks (see deliveryService)
    * @returns {Promise<object>}
    */
-  async sendNewsNotification(userId, alertId, article, phone) {
+  async sendNewsNotification(userId, alertId, article, phone, options = {}) {
     try {
       console.log("[WATI][NEWS][DEBUG] Starting sendNewsNotification:", {
         userId,
@@ -315,6 +313,17 @@ Return ONLY valid JSON:
         };
       }
 
+      // Kill-switch (POST /cron/delivery/pause): nothing is sent or logged,
+      // so the article can still go out once delivery resumes
+      if (await DeliveryControl.isPaused()) {
+        console.warn("[WATI][NEWS] Delivery paused, not sending");
+        return {
+          status: "skipped",
+          reason: "delivery_paused",
+          message_sent: false,
+        };
+      }
+
       // Resolve user & phone if not provided
       let countryCode = phone?.country_code;
       let phoneNumber = phone?.phone_number;
@@ -415,11 +424,12 @@ Return ONLY valid JSON:
       });
 
       // Duplicate check – level 1: exact same formatted content
-      const duplicate = await this.isDuplicate({
-        userId,
-        templateName,
-        contentHash,
-      });
+      const duplicate =
+        !options.skipDuplicateCheck &&
+        (await this.isDuplicate({
+          userId,
+          contentHash,
+        }));
 
       if (duplicate) {
         // Log skipped message in DB for tracking
@@ -434,6 +444,7 @@ Return ONLY valid JSON:
             title,
             description,
             image_url: imageUrl,
+            ...pickSourceFields(article),
             payload: {},
             response: {},
             message_sent: false,
@@ -453,11 +464,12 @@ Return ONLY valid JSON:
       }
 
       // Duplicate check – level 2: same underlying article content
-      const duplicateArticle = await this.isDuplicateByArticle({
-        userId,
-        templateName,
-        articleHash,
-      });
+      const duplicateArticle =
+        !options.skipDuplicateCheck &&
+        (await this.isDuplicateByArticle({
+          userId,
+          articleHash,
+        }));
 
       if (duplicateArticle) {
         console.log(
@@ -480,6 +492,7 @@ Return ONLY valid JSON:
             title,
             description,
             image_url: imageUrl,
+            ...pickSourceFields(article),
             payload: {},
             response: {},
             message_sent: false,
@@ -499,14 +512,15 @@ Return ONLY valid JSON:
       }
 
       // Duplicate check – level 3: Gemini-based semantic similarity
-      const isSimilar = await this.isSimilarByGemini({
-        userId,
-        templateName,
-        title,
-        description,
-        lookbackHours: 24, // Check last 24 hours
-        maxRecentMessages: 10, // Compare with last 10 messages
-      });
+      const isSimilar =
+        !options.skipDuplicateCheck &&
+        (await this.isSimilarByGemini({
+          userId,
+          title,
+          description,
+          lookbackHours: 24, // Check last 24 hours
+          maxRecentMessages: 10, // Compare with last 10 messages
+        }));
 
       if (isSimilar) {
         console.log(
@@ -529,6 +543,7 @@ Return ONLY valid JSON:
             title,
             description,
             image_url: imageUrl,
+            ...pickSourceFields(article),
             payload: {},
             response: {},
             message_sent: false,
@@ -587,6 +602,7 @@ Return ONLY valid JSON:
         title: title.substring(0, 50),
       });
 
+      await acquireSlot("wati");
       const response = await axios.post(url, payload, {
         headers: {
           Authorization: `Bearer ${this.accessToken}`,
@@ -605,10 +621,14 @@ Return ONLY valid JSON:
         title,
         description,
         image_url: imageUrl,
+        ...pickSourceFields(article),
         payload,
         response: response.data,
         message_sent: true,
         reason: "success",
+        wati_message_id: response.data?.receivers?.[0]?.localMessageId,
+        delivery_status: "sent",
+        status_timeline: [{ status: "sent", at: new Date() }],
       });
 
       // Emit socket event
@@ -659,6 +679,7 @@ Return ONLY valid JSON:
           title: article?.title || "",
           description: article?.description || "",
           image_url: article?.image_url || "",
+          ...pickSourceFields(article),
           payload: {},
           response: error.response?.data || { message: error.message },
           message_sent: false,
@@ -678,6 +699,418 @@ Return ONLY valid JSON:
     }
   }
 
+  /**
+   * Build digest template params from articles, numbered in order
+   * WhatsApp rejects newlines and over-long values in template params, so
+   * headlines are joined on one line and articles that don't fit are left out.
+   * @param {Array} articles [{ title, image_url }]
+   * @returns {object} { title, description, imageUrl, includedCount }
+   */
+  buildDigestContent(articles, maxLength = WatiConfig.TEMPLATE_PARAM_MAX_LENGTH) {
+    const maxHeadlineLength = 150;
+    const headlines = [];
+    let description = "";
+
+    for (const article of articles) {
+      let headline = (article.title || "").replace(/\s+/g, " ").trim();
+      if (headline.length > maxHeadlineLength) {
+        headline = `${headline.substring(0, maxHeadlineLength - 1).trim()}…`;
+      }
+
+      const line = `${headlines.length + 1}. ${headline}`;
+      const next = description ? `${description} | ${line}` : line;
+      if (next.length > maxLength) break;
+
+      headlines.push(line);
+      description = next;
+    }
+
+    const count = headlines.length;
+    return {
+      title: `Your news digest: ${count} update${count === 1 ? "" : "s"}`,
+      description,
+      imageUrl:
+        articles.slice(0, count).find((a) => a.image_url)?.image_url || "",
+      includedCount: count,
+    };
+  }
+
+  /**
+   * Content hash of an article as a single news message; used as the
+   * channel-independent level 1 duplicate key
+   */
+  computeArticleHash(article) {
+    return this.computeContentHash({
+      imageUrl: article?.image_url || article?.imageUrl || "",
+      title: article?.title || "",
+      description: article?.description || "",
+      templateName: WatiConfig.TEMPLATE_NAME,
+      broadcastName: WatiConfig.BROADCAST_NAME,
+    });
+  }
+
+  /**
+   * Run the duplicate checks (levels 1-3) for each article against what the
+   * user already received on any channel. Duplicates are logged as skipped.
+   * @param {string} userId
+   * @param {Array} items [{ alert_id, article }]
+   * @param {object} options { channel, limit } - channel recorded on skipped
+   *   logs; stop once `limit` fresh articles are found
+   * @returns {Promise<object>} { fresh, duplicates, unchecked }
+   */
+  async filterDuplicateArticles(
+    userId,
+    items,
+    { channel = "whatsapp", limit = Infinity } = {}
+  ) {
+    const fresh = [];
+    const duplicates = [];
+    let checked = 0;
+
+    for (const item of items) {
+      if (fresh.length >= limit) break;
+      checked++;
+
+      const title = item.article?.title || "";
+      const description = item.article?.description || "";
+      const articleHash = item.article?.article_hash || null;
+      const contentHash = this.computeArticleHash(item.article);
+
+      let reason = null;
+      if (
+        articleHash &&
+        fresh.some((f) => f.article?.article_hash === articleHash)
+      ) {
+        // Same article from two alerts in one batch
+        reason = "duplicate_article";
+      } else if (await this.isDuplicate({ userId, contentHash })) {
+        reason = "duplicate_message";
+      } else if (await this.isDuplicateByArticle({ userId, articleHash })) {
+        reason = "duplicate_article";
+      } else if (
+        await this.isSimilarByGemini({
+          userId,
+          title,
+          description,
+          lookbackHours: 24,
+          maxRecentMessages: 10,
+        })
+      ) {
+        reason = "duplicate_similar";
+      }
+
+      if (!reason) {
+        fresh.push(item);
+        continue;
+      }
+
+      duplicates.push({
+        alert_id: item.alert_id,
+        article_hash: articleHash,
+        reason,
+      });
+
+      try {
+        await WatiDispatch.create({
+          user_id: userId,
+          alert_id: item.alert_id,
+          channel,
+          content_hash: contentHash,
+          article_hash: articleHash || undefined,
+          template_name: WatiConfig.TEMPLATE_NAME,
+          broadcast_name: WatiConfig.BROADCAST_NAME,
+          title,
+          description,
+          image_url: item.article?.image_url || "",
+          ...pickSourceFields(item.article),
+          payload: {},
+          response: {},
+          message_sent: false,
+          reason,
+        });
+      } catch (logError) {
+        console.error(`[WATI][DEDUP] Failed to log ${reason}:`, logError.message);
+      }
+    }
+
+    return { fresh, duplicates, unchecked: items.slice(checked) };
+  }
+
+  /**
+   * Send several articles as one numbered-headline digest message
+   * Each article goes through the same duplicate checks as single sends;
+   * duplicates are dropped before the digest is built.
+   * @param {string} userId
+   * @param {Array} items [{ alert_id, article: { title, description, image_url, article_hash } }]
+   * @param {object} phone { country_code, phone_number } (optional)
+   * @param {object} options { skipDuplicateCheck }
+   * @returns {Promise<object>} send result plus included / duplicates / overflow items
+   */
+  async sendDigestNotification(userId, items, phone, options = {}) {
+    try {
+      if (!this.accessToken || !this.baseUrl) {
+        return {
+          status: "skipped",
+          reason: "missing_config",
+          message_sent: false,
+        };
+      }
+
+      if (await DeliveryControl.isPaused()) {
+        console.warn("[WATI][DIGEST] Delivery paused, not sending");
+        return {
+          status: "skipped",
+          reason: "delivery_paused",
+          message_sent: false,
+        };
+      }
+
+      let countryCode = phone?.country_code;
+      let phoneNumber = phone?.phone_number;
+      if (!countryCode || !phoneNumber) {
+        const user = await User.findOne({ user_id: userId });
+        countryCode = user?.country_code;
+        phoneNumber = user?.phone_number;
+      }
+
+      const whatsappNumber = this.normalizePhone(countryCode, phoneNumber);
+      if (!whatsappNumber) {
+        return {
+          status: "skipped",
+          reason: "phone_missing",
+          message_sent: false,
+        };
+      }
+
+      const { fresh, duplicates } = options.skipDuplicateCheck
+        ? { fresh: items, duplicates: [] }
+        : await this.filterDuplicateArticles(userId, items);
+
+      if (fresh.length === 0) {
+        return {
+          status: "skipped",
+          reason: "all_duplicates",
+          message_sent: false,
+          included: [],
+          duplicates,
+          overflow: [],
+        };
+      }
+
+      const digest = this.buildDigestContent(fresh.map((item) => item.article));
+      const included = fresh.slice(0, digest.includedCount);
+      const overflow = fresh.slice(digest.includedCount);
+
+      const digestTemplate = WatiConfig.DIGEST_TEMPLATE;
+      const digestBroadcast = WatiConfig.DIGEST_BROADCAST;
+      const payload = this.buildTemplatePayload({
+        whatsappNumber,
+        imageUrl: digest.imageUrl,
+        title: digest.title,
+        description: digest.description,
+        templateName: digestTemplate,
+        broadcastName: digestBroadcast,
+        channelNumber: WatiConfig.CHANNEL_NUMBER || undefined,
+      });
+
+      console.log("[WATI][DIGEST] Sending digest:", {
+        userId,
+        whatsappNumber,
+        articles: included.length,
+        duplicates: duplicates.length,
+        overflow: overflow.length,
+      });
+
+      await acquireSlot("wati");
+      const response = await axios.post(
+        `${this.baseUrl}/api/v1/sendTemplateMessages`,
+        payload,
+        {
+          headers: {
+            Authorization: `Bearer ${this.accessToken}`,
+            "Content-Type": "application/json",
+          },
+        }
+      );
+
+      const alertIds = [...new Set(included.map((item) => item.alert_id))];
+      const log = await WatiDispatch.create({
+        user_id: userId,
+        alert_id: alertIds.length === 1 ? alertIds[0] : undefined,
+        content_hash: this.computeContentHash({
+          imageUrl: digest.imageUrl,
+          title: digest.title,
+          description: digest.description,
+          templateName: digestTemplate,
+          broadcastName: digestBroadcast,
+        }),
+        template_name: digestTemplate,
+        broadcast_name: digestBroadcast,
+        title: digest.title,
+        description: digest.description,
+        image_url: digest.imageUrl,
+        payload,
+        response: response.data,
+        message_sent: true,
+        reason: "success",
+        kind: "digest",
+        digest_articles: included.map((item) => ({
+          alert_id: item.alert_id,
+          article_hash: item.article?.article_hash || null,
+          content_hash: this.computeArticleHash(item.article),
+          title: item.article?.title || "",
+          source_url: item.article?.source_url || null,
+          published_at: pickSourceFields(item.article).published_at,
+        })),
+        wati_message_id: response.data?.receivers?.[0]?.localMessageId,
+        delivery_status: "sent",
+        status_timeline: [{ status: "sent", at: new Date() }],
+      });
+
+      try {
+        getIo().emit("new-notification", {
+          userId,
+          alertIds,
+          article: {
+            title: digest.title,
+            description: digest.description,
+            imageUrl: digest.imageUrl,
+          },
+        });
+      } catch (socketError) {
+        console.error(
+          "[SOCKET] Error emitting 'new-notification':",
+          socketError.message
+        );
+      }
+
+      return {
+        status: "success",
+        code: 200,
+        response: response.data,
+        message_sent: true,
+        reason: "success",
+        template_payload: payload,
+        log_id: log._id,
+        included: included.map((item) => ({
+          alert_id: item.alert_id,
+          article_hash: item.article?.article_hash || null,
+        })),
+        duplicates,
+        overflow,
+      };
+    } catch (error) {
+      console.error(
+        "WATI digest notification error:",
+        error.response?.data || error.message
+      );
+      return {
+        status: "error",
+        code: error.response?.status || 500,
+        response: error.response?.data || { message: error.message },
+        message_sent: false,
+        reason: error.message,
+      };
+    }
+  }
+
+  /**
+   * Map a WATI status webhook event to sent | delivered | read | failed
+   */
+  parseDeliveryStatus(event) {
+    const eventType = (event?.eventType || "").toLowerCase();
+    const statusString = (event?.statusString || "").toLowerCase();
+
+    if (eventType.includes("failed") || statusString === "failed") {
+      return "failed";
+    }
+    if (eventType.includes("read") || statusString === "read") {
+      return "read";
+    }
+    if (eventType.includes("delivered") || statusString === "delivered") {
+      return "delivered";
+    }
+    if (eventType.includes("sent") || statusString === "sent") {
+      return "sent";
+    }
+    return null;
+  }
+
+  /**
+   * Apply a WATI status callback to the matching WatiDispatch
+   * Callbacks may arrive out of order, so delivery_status only moves forward
+   * while every distinct status is kept in status_timeline.
+   * @param {object} event WATI webhook body
+   * @returns {Promise<object>} { matched, status, dispatch_id }
+   */
+  async recordDeliveryStatus(event) {
+    const status = this.parseDeliveryStatus(event);
+    if (!status) {
+      return { matched: false, reason: "unknown_status" };
+    }
+
+    const localMessageId = event.localMessageId || null;
+    const whatsappMessageId = event.whatsappMessageId || null;
+
+    const matchers = [];
+    if (localMessageId) matchers.push({ wati_message_id: localMessageId });
+    if (whatsappMessageId) {
+      matchers.push({ whatsapp_message_id: whatsappMessageId });
+    }
+    if (matchers.length === 0) {
+      return { matched: false, reason: "missing_message_id" };
+    }
+
+    const dispatch = await WatiDispatch.findOne({ $or: matchers });
+    if (!dispatch) {
+      return { matched: false, reason: "dispatch_not_found", status };
+    }
+
+    const timestamp = event.timestamp
+      ? new Date(
+          /^\d+$/.test(String(event.timestamp))
+            ? Number(event.timestamp) * 1000
+            : event.timestamp
+        )
+      : new Date();
+    const at = isNaN(timestamp.getTime()) ? new Date() : timestamp;
+
+    if (!dispatch.status_timeline.some((entry) => entry.status === status)) {
+      dispatch.status_timeline.push({
+        status,
+        at,
+        error_code:
+          status === "failed" && event.failedCode != null
+            ? String(event.failedCode)
+            : null,
+        error_detail:
+          status === "failed" ? event.failedDetail || null : null,
+      });
+    }
+
+    const rank = { sent: 1, delivered: 2, read: 3 };
+    if (
+      dispatch.delivery_status !== "failed" &&
+      (status === "failed" ||
+        (rank[status] || 0) > (rank[dispatch.delivery_status] || 0))
+    ) {
+      dispatch.delivery_status = status;
+    }
+
+    if (whatsappMessageId && !dispatch.whatsapp_message_id) {
+      dispatch.whatsapp_message_id = whatsappMessageId;
+    }
+
+    await dispatch.save();
+
+    return {
+      matched: true,
+      status,
+      delivery_status: dispatch.delivery_status,
+      dispatch_id: dispatch._id,
+    };
+  }
+
   /**
    * Send welcome message for new user
    */
@@ -745,6 +1178,7 @@ Return ONLY valid JSON:
         payload,
       });
 
+      await acquireSlot("wati");
       const response = await axios.post(url, payload, {
         headers: {
           Authorization: `Bearer ${this.accessToken}`,
@@ -776,6 +1210,146 @@ Return ONLY valid JSON:
       };
     }
   }
+
+  /**
+   * Send a free-form session message (only within WhatsApp's 24h window,
+   * e.g. as a reply to an inbound message)
+   * @param {string} whatsappNumber E.164 without + (e.g. "919876543210")
+   * @param {string} messageText
+   */
+  async sendSessionMessage(whatsappNumber, messageText) {
+    try {
+      if (!this.accessToken || !this.baseUrl) {
+        return {
+          status: "skipped",
+          reason: "missing_config",
+          message_sent: false,
+        };
+      }
+
+      const url = `${this.baseUrl}/api/v1/sendSessionMessage/${whatsappNumber}`;
+
+      console.log("[WATI][SESSION] Sending session message:", {
+        whatsappNumber,
+        preview: messageText.substring(0, 50),
+      });
+
+      await acquireSlot("wati");
+      const response = await axios.post(url, null, {
+        params: { messageText },
+        headers: {
+          Authorization: `Bearer ${this.accessToken}`,
+        },
+      });
+
+      return {
+        status: "success",
+        code: 200,
+        response: response.data,
+        message_sent: true,
+        reason: "session_message_sent",
+      };
+    } catch (error) {
+      console.error(
+        "WATI session message error:",
+        error.response?.data || error.message
+      );
+      return {
+        status: "error",
+        code: error.response?.status || 500,
+        response: error.response?.data || { message: error.message },
+        message_sent: false,
+        reason: error.message,
+      };
+    }
+  }
+
+  /**
+   * Send login OTP code
+   * @param {string} countryCode e.g. "+91"
+   * @param {string} phoneNumber e.g. "9876543210"
+   * @param {string} code OTP code
+   */
+  async sendOtpMessage(countryCode, phoneNumber, code) {
+    try {
+      if (!this.accessToken || !this.baseUrl) {
+        console.warn("[WATI][OTP] Missing config", {
+          hasAccessToken: !!this.accessToken,
+          hasBaseUrl: !!this.baseUrl,
+        });
+        return {
+          status: "skipped",
+          reason: "missing_config",
+          message_sent: false,
+        };
+      }
+
+      const whatsappNumber = this.normalizePhone(countryCode, phoneNumber);
+
+      if (!whatsappNumber) {
+        return {
+          status: "skipped",
+          reason: "phone_missing",
+          message_sent: false,
+        };
+      }
+
+      const templateName = WatiConfig.OTP_TEMPLATE;
+      const broadcastName = WatiConfig.OTP_BROADCAST;
+      const channelNumber = WatiConfig.CHANNEL_NUMBER || undefined;
+
+      const payload = {
+        receivers: [
+          {
+            whatsappNumber,
+            customParams: [{ name: "1", value: code }],
+          },
+        ],
+        template_name: templateName,
+        broadcast_name: broadcastName,
+      };
+
+      if (channelNumber) {
+        payload.channel_number = channelNumber;
+      }
+
+      const url = `${this.baseUrl}/api/v1/sendTemplateMessages`;
+
+      // Never log the payload here - it contains the code
+      console.log("[WATI][OTP] Sending OTP:", {
+        whatsappNumber,
+        templateName,
+      });
+
+      await acquireSlot("wati");
+      const response = await axios.post(url, payload, {
+        headers: {
+          Authorization: `Bearer ${this.accessToken}`,
+          "Content-Type": "application/json",
+        },
+      });
+
+      return {
+        status: "success",
+        code: 200,
+        response: response.data,
+        message_sent: true,
+        reason: "otp_sent",
+      };
+    } catch (error) {
+      console.error(
+        "WATI OTP notification error:",
+        error.response?.data || error.message
+      );
+      return {
+        status: "error",
+        code: error.response?.status || 500,
+        response: error.response?.data || { message: error.message },
+        message_sent: false,
+        reason: error.message,
+      };
+    }
+  }
 }
 
 module.exports = new WatiNotificationService();
@@ -0,0 +1,117 @@
+const { webpush, isConfigured } = require("../utils/webPush");
+const PushSubscription = require("../models/PushSubscription");
+const { logChannelDispatch } = require("./channelDispatchLog");
+
+class WebPushNotificationService {
+  constructor() {
+    this.name = "push";
+  }
+
+  /**
+   * Notification payload read by the service worker
+   */
+  buildPayload(message) {
+    const alertIds = [...new Set(message.items.map((item) => item.alert_id))];
+    return {
+      title: message.title,
+      body: message.description,
+      image: message.image_url || undefined,
+      data: {
+        kind: message.kind,
+        alert_ids: alertIds,
+      },
+    };
+  }
+
+  /**
+   * Send a news or digest message to every browser the user subscribed
+   * @param {object} user User document
+   * @param {object} message { kind, title, description, image_url, items }
+   * @returns {Promise<object>} { status, reason, message_sent, log_id, devices }
+   */
+  async send(user, message) {
+    if (!isConfigured) {
+      return { status: "skipped", reason: "missing_config", message_sent: false };
+    }
+
+    const subscriptions = await PushSubscription.find({
+      user_id: user.user_id,
+    }).lean();
+
+    if (subscriptions.length === 0) {
+      return {
+        status: "skipped",
+        reason: "no_push_subscriptions",
+        message_sent: false,
+      };
+    }
+
+    const payload = this.buildPayload(message);
+    const body = JSON.stringify(payload);
+
+    const results = await Promise.all(
+      subscriptions.map(async (subscription) => {
+        try {
+          const response = await webpush.sendNotification(
+            { endpoint: subscription.endpoint, keys: subscription.keys },
+            body
+          );
+          return { endpoint: subscription.endpoint, statusCode: response.statusCode };
+        } catch (error) {
+          console.error("[PUSH] Send error:", {
+            user_id: user.user_id,
+            statusCode: error.statusCode,
+            message: error.message,
+          });
+          return {
+            endpoint: subscription.endpoint,
+            statusCode: error.statusCode || null,
+            error: error.message,
+          };
+        }
+      })
+    );
+
+    // The browser unsubscribed or the subscription expired: stop sending to it
+    const expired = results
+      .filter((r) => r.statusCode === 404 || r.statusCode === 410)
+      .map((r) => r.endpoint);
+    if (expired.length > 0) {
+      await PushSubscription.deleteMany({ endpoint: { $in: expired } });
+      console.log("[PUSH] Pruned expired subscriptions:", {
+        user_id: user.user_id,
+        count: expired.length,
+      });
+    }
+
+    const delivered = results.filter((r) => !r.error).length;
+    const sent = delivered > 0;
+
+    console.log("[PUSH] Sent:", {
+      user_id: user.user_id,
+      kind: message.kind,
+      devices: results.length,
+      delivered,
+    });
+
+    const log = await logChannelDispatch({
+      channel: this.name,
+      userId: user.user_id,
+      message,
+      payload,
+      response: { results },
+      sent,
+      reason: sent ? "success" : "error",
+    });
+
+    return {
+      status: sent ? "success" : "error",
+      reason: sent ? "success" : "all_devices_failed",
+      message_sent: sent,
+      log_id: log?._id || null,
+      devices: { total: results.length, delivered, pruned: expired.length },
+    };
+  }
+}
+
+module.exports = new WebPushNotificationService();
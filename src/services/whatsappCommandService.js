@@ -0,0 +1,410 @@
+const Alert = require("../models/Alert");
+const User = require("../models/User");
+const CronRunAlert = require("../models/CronRunAlert");
+const WatiNotificationService = require("./watiNotificationService");
+const FeedbackService = require("./feedbackService");
+const DeliveryService = require("./deliveryService");
+const { computeNextRunAt } = require("./alertScheduler");
+const { pickSourceFields } = require("./articleSource");
+
+// MORE only serves articles from runs this recent
+const MORE_WINDOW_MS =
+  parseInt(process.env.MORE_WINDOW_HOURS || "24") * 60 * 60 * 1000;
+
+// First word of the message → command
+const COMMAND_ALIASES = {
+  STOP: "STOP",
+  UNSUBSCRIBE: "STOP",
+  PAUSE: "PAUSE",
+  RESUME: "RESUME",
+  START: "RESUME",
+  LIST: "LIST",
+  ALERTS: "LIST",
+  MORE: "MORE",
+  NEXT: "MORE",
+  HELP: "HELP",
+};
+
+const HELP_TEXT = [
+  "You can reply with:",
+  "• LIST – see your alerts",
+  "• PAUSE <number or name> – pause one alert",
+  "• RESUME [number or name] – resume one or all alerts",
+  "• MORE – get the next update from your latest alert run",
+  "• 👍 / 👎 – tell us if an update was useful",
+  "• STOP – stop all alerts",
+].join("\n");
+
+class WhatsappCommandService {
+  /**
+   * Parse inbound text into { command, argument }
+   * Feedback quick-replies map to FEEDBACK with argument "up" | "down".
+   * Unknown text maps to command null.
+   */
+  parseCommand(text) {
+    const trimmed = (text || "").trim();
+    if (!trimmed) return { command: null, argument: "" };
+
+    const feedback = FeedbackService.parseFeedbackText(trimmed);
+    if (feedback) return { command: "FEEDBACK", argument: feedback };
+
+    const [first, ...rest] = trimmed.split(/\s+/);
+    const command = COMMAND_ALIASES[first.toUpperCase()] || null;
+
+    return { command, argument: rest.join(" ").trim() };
+  }
+
+  /**
+   * Resolve the sender from a WATI waId (country code + number, digits only)
+   * Tries every country-code split since waId carries no separator.
+   */
+  async findUserByWaId(waId) {
+    const digits = (waId || "").replace(/\D/g, "");
+    if (!digits) return null;
+
+    for (let ccLength = 1; ccLength <= 3; ccLength++) {
+      const cc = digits.substring(0, ccLength);
+      const number = digits.substring(ccLength);
+      if (!number) break;
+
+      const user =
+        (await User.findByPhone(`+${cc}`, number)) ||
+        (await User.findByPhone(cc, number));
+      if (user) return user;
+    }
+
+    return null;
+  }
+
+  /**
+   * Short human label for an alert
+   */
+  _describeAlert(alert) {
+    const subs = (alert.sub_categories || []).filter(
+      (s) => s && s !== "No Preference"
+    );
+    if (alert.main_category === "Custom_Input" && alert.custom_question) {
+      return alert.custom_question.substring(0, 60);
+    }
+    return subs.length > 0
+      ? `${alert.main_category} – ${subs.join(", ")}`
+      : alert.main_category;
+  }
+
+  /**
+   * Find an alert by LIST number (1-based) or by name
+   */
+  _findAlert(alerts, argument) {
+    if (!argument) return null;
+
+    const index = parseInt(argument);
+    if (!isNaN(index) && String(index) === argument) {
+      return alerts[index - 1] || null;
+    }
+
+    const needle = argument.toLowerCase();
+    return (
+      alerts.find((alert) =>
+        this._describeAlert(alert).toLowerCase().includes(needle)
+      ) || null
+    );
+  }
+
+  async _listAlerts(user) {
+    return Alert.find({ user_id: user.user_id }).sort({ createdAt: 1 });
+  }
+
+  async _handleList(user) {
+    const alerts = await this._listAlerts(user);
+    if (alerts.length === 0) {
+      return { reply: "You don't have any alerts yet.", result: { count: 0 } };
+    }
+
+    const lines = alerts.map(
+      (alert, idx) =>
+        `${idx + 1}. ${this._describeAlert(alert)} – ${
+          alert.is_active ? "active" : "paused"
+        }`
+    );
+
+    return {
+      reply: `Your alerts:\n${lines.join("\n")}\n\nReply PAUSE <number> or RESUME <number>.`,
+      result: { count: alerts.length },
+    };
+  }
+
+  async _handleStop(user) {
+    const update = await Alert.updateMany(
+      { user_id: user.user_id, is_active: true },
+      { is_active: false }
+    );
+
+    return {
+      reply:
+        "All your alerts are stopped. Reply RESUME anytime to start them again.",
+      result: { deactivated: update.modifiedCount },
+    };
+  }
+
+  async _handlePause(user, argument) {
+    if (!argument) {
+      return {
+        reply: "Which alert? Reply LIST to see them, then PAUSE <number>.",
+        result: { error: "missing_argument" },
+      };
+    }
+
+    const alert = this._findAlert(await this._listAlerts(user), argument);
+    if (!alert) {
+      return {
+        reply: `Couldn't find an alert matching "${argument}". Reply LIST to see your alerts.`,
+        result: { error: "alert_not_found" },
+      };
+    }
+
+    await Alert.updateOne({ alert_id: alert.alert_id }, { is_active: false });
+
+    return {
+      reply: `Paused: ${this._describeAlert(alert)}. Reply RESUME ${argument} to turn it back on.`,
+      result: { alert_id: alert.alert_id },
+    };
+  }
+
+  async _handleResume(user, argument) {
+    const alerts = await this._listAlerts(user);
+
+    // No argument: resume everything
+    const targets = argument
+      ? [this._findAlert(alerts, argument)].filter(Boolean)
+      : alerts.filter((alert) => !alert.is_active);
+
+    if (argument && targets.length === 0) {
+      return {
+        reply: `Couldn't find an alert matching "${argument}". Reply LIST to see your alerts.`,
+        result: { error: "alert_not_found" },
+      };
+    }
+
+    for (const alert of targets) {
+      await Alert.updateOne(
+        { alert_id: alert.alert_id },
+        { is_active: true, next_run_at: computeNextRunAt(alert.schedule) }
+      );
+    }
+
+    const reply = argument
+      ? `Resumed: ${this._describeAlert(targets[0])}.`
+      : targets.length > 0
+      ? `Resumed ${targets.length} alert${targets.length > 1 ? "s" : ""}.`
+      : "All your alerts are already active.";
+
+    return {
+      reply,
+      result: { resumed: targets.map((alert) => alert.alert_id) },
+    };
+  }
+
+  /**
+   * Send the next-ranked unsent article from the user's latest run
+   * (each alert's newest run within MORE_WINDOW_HOURS) on that alert's
+   * channels
+   */
+  async _handleMore(user) {
+    // Each alert's latest run only: older runs' leftovers are stale
+    const [entry] = await CronRunAlert.aggregate([
+      {
+        $match: {
+          user_id: user.user_id,
+          started_at: { $gte: new Date(Date.now() - MORE_WINDOW_MS) },
+        },
+      },
+      { $sort: { started_at: -1 } },
+      {
+        $group: {
+          _id: "$alert_id",
+          entry_id: { $first: "$_id" },
+          run_id: { $first: "$run_id" },
+          started_at: { $first: "$started_at" },
+          remaining_articles: { $first: "$remaining_articles" },
+        },
+      },
+      { $match: { "remaining_articles.0": { $exists: true } } },
+      { $sort: { started_at: -1 } },
+      { $limit: 1 },
+    ]);
+
+    if (!entry) {
+      return {
+        reply: "No more updates right now. We'll message you when there's news.",
+        result: { sent: false, reason: "no_remaining_articles" },
+      };
+    }
+
+    const alertId = entry._id;
+    const alert = await Alert.findOne({ alert_id: alertId })
+      .select("channels")
+      .lean();
+
+    // Walk down the ranking until one article is not a duplicate
+    for (const article of [...entry.remaining_articles]) {
+      // Sent on the alert's channels, with the same duplicate checks as a run
+      const delivery = await DeliveryService.deliver(
+        user.user_id,
+        [
+          {
+            alert_id: alertId,
+            article: {
+              title: article.title,
+              description: article.description,
+              image_url: article.image_url,
+              article_hash: article.article_hash,
+              ...pickSourceFields(article),
+            },
+          },
+        ],
+        { channels: alert?.channels }
+      );
+
+      // Sent or already received: drop it. Failed or paused sends keep it
+      // for the next MORE.
+      const duplicate = /^duplicate_/.test(delivery.reason || "");
+      if (delivery.message_sent || duplicate) {
+        await CronRunAlert.updateOne(
+          { _id: entry.entry_id },
+          { $pop: { remaining_articles: -1 } }
+        );
+      }
+
+      if (delivery.message_sent) {
+        return {
+          reply: null,
+          result: {
+            sent: true,
+            run_id: entry.run_id,
+            alert_id: alertId,
+            article_hash: article.article_hash,
+          },
+        };
+      }
+
+      if (!duplicate) {
+        return {
+          reply: "Sorry, we couldn't send the next update. Please try again later.",
+          result: { sent: false, reason: delivery.reason },
+        };
+      }
+    }
+
+    return {
+      reply: "You're all caught up – no new updates from your latest alerts.",
+      result: { sent: false, reason: "all_duplicates" },
+    };
+  }
+
+  /**
+   * Record a 👍/👎 on the message being replied to (or the latest one)
+   */
+  async _handleFeedback(user, value, replyContextId) {
+    const dispatch = await FeedbackService.findDispatchForReply(
+      user.user_id,
+      replyContextId
+    );
+
+    if (!dispatch) {
+      return {
+        reply: null,
+        result: { recorded: false, reason: "dispatch_not_found" },
+      };
+    }
+
+    const feedback = await FeedbackService.recordFeedback(dispatch, {
+      value,
+      source: "whatsapp",
+    });
+
+    return {
+      reply:
+        value === "up"
+          ? "Thanks! We'll send more updates like this."
+          : "Thanks for telling us. We'll send fewer updates like this.",
+      result: {
+        recorded: true,
+        value,
+        dispatch_id: dispatch._id,
+        alert_id: feedback.alert_id,
+      },
+    };
+  }
+
+  /**
+   * Handle one inbound message
+   * @param {string} waId Sender number from WATI (e.g. "919876543210")
+   * @param {string} text Message text
+   * @param {Object} context - { replyContextId }: id of the message replied to
+   * @returns {Promise<object>} { user_id, command, reply, result }
+   */
+  async handleInboundMessage(waId, text, { replyContextId = null } = {}) {
+    const { command, argument } = this.parseCommand(text);
+    const user = await this.findUserByWaId(waId);
+
+    if (!user) {
+      console.warn("[WATI][INBOUND] Unknown sender:", { waId });
+      return {
+        user_id: null,
+        command,
+        reply: null,
+        result: { error: "unknown_sender" },
+      };
+    }
+
+    let outcome;
+    switch (command) {
+      case "STOP":
+        outcome = await this._handleStop(user);
+        break;
+      case "PAUSE":
+        outcome = await this._handlePause(user, argument);
+        break;
+      case "RESUME":
+        outcome = await this._handleResume(user, argument);
+        break;
+      case "LIST":
+        outcome = await this._handleList(user);
+        break;
+      case "MORE":
+        outcome = await this._handleMore(user);
+        break;
+      case "FEEDBACK":
+        outcome = await this._handleFeedback(user, argument, replyContextId);
+        break;
+      case "HELP":
+        outcome = { reply: HELP_TEXT, result: {} };
+        break;
+      default:
+        outcome = {
+          reply: `Sorry, I didn't understand that.\n\n${HELP_TEXT}`,
+          result: { error: "unknown_command" },
+        };
+    }
+
+    console.log("[WATI][INBOUND] Command handled:", {
+      user_id: user.user_id,
+      command,
+      argument,
+      result: outcome.result,
+    });
+
+    if (outcome.reply) {
+      await WatiNotificationService.sendSessionMessage(waId, outcome.reply);
+    }
+
+    return {
+      user_id: user.user_id,
+      command,
+      reply: outcome.reply,
+      result: outcome.result,
+    };
+  }
+}
+
+module.exports = new WhatsappCommandService();
@@ -0,0 +1,31 @@
+/**
+ * Run `worker` over `items` with at most `concurrency` running at once
+ * Items are started in order. After a worker throws, no new items are
+ * started; the error is rethrown once the running ones have finished.
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} worker - async (item) => void
+ * @param {Object} options - { shouldStop }: checked before each new item
+ */
+async function runPool(items, concurrency, worker, { shouldStop } = {}) {
+  let next = 0;
+  let failure = null;
+
+  const runner = async () => {
+    while (next < items.length && !failure && !shouldStop?.()) {
+      const item = items[next++];
+      try {
+        await worker(item);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const size = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: size }, runner));
+
+  if (failure) throw failure;
+}
+
+module.exports = { runPool };
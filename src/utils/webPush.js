@@ -5,10 +5,19 @@ const vapidKeys = {
   privateKey: process.env.VAPID_PRIVATE_KEY,
 };
 
-webpush.setVapidDetails(
-  "mailto:your-email@example.com", // Replace with your email
-  vapidKeys.publicKey,
-  vapidKeys.privateKey
-);
+// Without VAPID keys the push channel stays disabled instead of crashing on load
+const isConfigured = !!(vapidKeys.publicKey && vapidKeys.privateKey);
 
-module.exports = webpush;
+if (isConfigured) {
+  webpush.setVapidDetails(
+    process.env.VAPID_SUBJECT || "mailto:alerts@naaradai.com",
+    vapidKeys.publicKey,
+    vapidKeys.privateKey
+  );
+}
+
+module.exports = {
+  webpush,
+  isConfigured,
+  publicKey: vapidKeys.publicKey || null,
+};